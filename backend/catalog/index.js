@@ -0,0 +1,145 @@
+// Vehicle make and model catalog
+//
+// ./makes.json lists makes and their common models in the manufacturer's own spelling (the makes
+// match the VIN decoder's, see vin/wmi.json). The catalog feeds the brand and model type-ahead
+// and gives new listings one spelling per name: "toyota", "TOYOTA" and "Toyta" are all stored as
+// "Toyota", "f150" as "F-150". Names that are not in the catalog are kept as the seller typed them.
+
+const CATALOG = require('./makes.json');
+const { editDistance } = require('../search');
+
+// Nicknames people type instead of the make
+const MAKE_ALIASES = {
+  chevy: 'Chevrolet',
+  vw: 'Volkswagen',
+  merc: 'Mercedes-Benz',
+  mercedes: 'Mercedes-Benz',
+  benz: 'Mercedes-Benz',
+  beemer: 'BMW',
+  bimmer: 'BMW',
+  caddy: 'Cadillac',
+  lambo: 'Lamborghini',
+  alfa: 'Alfa Romeo',
+  rolls: 'Rolls-Royce'
+};
+
+// Letters and digits only, so "Mercedes Benz" matches "Mercedes-Benz" and "f150" matches "F-150"
+const nameKey = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const MAKES = Object.keys(CATALOG);
+const makesByKey = new Map(MAKES.map(make => [nameKey(make), make]));
+const modelsByMake = new Map(MAKES.map(make => [make, new Map(CATALOG[make].map(model => [nameKey(model), model]))]));
+
+// Same thresholds as the keyword search's typo corrections
+const allowedEdits = (key) => (key.length >= 8 ? 2 : key.length >= 4 ? 1 : 0);
+
+// The name whose key is closest to key, or null when nothing is close enough or two names are
+// equally close. Keys with digits are never corrected: "Mazda2" is not a misspelt "Mazda3".
+function closestName(key, namesByKey) {
+  const max = allowedEdits(key);
+  if (max === 0 || /\d/.test(key)) return null;
+
+  let best = max + 1;
+  let matches = [];
+  for (const [candidate, name] of namesByKey) {
+    const distance = editDistance(key, candidate, max);
+    if (distance < best) {
+      best = distance;
+      matches = [name];
+    } else if (distance === best && distance <= max) {
+      matches.push(name);
+    }
+  }
+  return matches.length === 1 ? matches[0] : null;
+}
+
+// Catalog spelling of a make ("chevy" -> "Chevrolet", "Toyta" -> "Toyota"), or null
+function canonicalMake(value) {
+  const key = nameKey(value);
+  if (!key) return null;
+
+  return makesByKey.get(key) || MAKE_ALIASES[key] || closestName(key, makesByKey);
+}
+
+// Catalog spelling of one of make's models ("rav 4" -> "RAV4"), or null
+function canonicalModel(make, value) {
+  const models = modelsByMake.get(canonicalMake(make));
+  const key = nameKey(value);
+  if (!models || !key) return null;
+
+  return models.get(key) || closestName(key, models);
+}
+
+const tidy = (value) => (typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : value);
+
+// { brand, model } in catalog spelling where recognized; anything else only has its whitespace tidied
+function normalizeMakeModel(brand, model) {
+  const make = canonicalMake(brand);
+  return {
+    brand: make || tidy(brand),
+    model: (make && canonicalModel(make, model)) || tidy(model)
+  };
+}
+
+// Every make and model name in the catalog
+const catalogNames = () => MAKES.flatMap(make => [make, ...CATALOG[make]]);
+
+// How well a name matches what has been typed so far: 0 starts with it, 1 has a word starting
+// with it ("rover" -> "Land Rover"), 2 is a typo away ("toyt" -> "Toyota"), null no match
+function matchTier(query, name) {
+  const key = nameKey(name);
+  if (key.startsWith(query)) return 0;
+  if (String(name).toLowerCase().split(/[^a-z0-9]+/).some(word => word.startsWith(query))) return 1;
+
+  const max = allowedEdits(query);
+  if (max === 0) return null;
+  // The typed text may be one letter short of or past the same point in the name
+  for (let length = query.length - 1; length <= query.length + 1; length++) {
+    if (length > 0 && editDistance(query, key.slice(0, length), max) <= max) return 2;
+  }
+  return null;
+}
+
+// Type-ahead suggestions from the catalog names plus the names in inventory.
+//   catalog    names from the catalog (makes, or one make's models)
+//   inventory  [{ value, count }] names in published listings, most listed first
+// Resolves [{ value, count }], best matches first and the most listed first within a tier. Names
+// in both lists appear once, in the catalog's spelling and with the inventory's count.
+function suggestNames(query, catalog, inventory, limit = 10) {
+  const names = new Map(catalog.map(name => [nameKey(name), { value: name, count: 0 }]));
+  for (const { value, count } of inventory) {
+    const key = nameKey(value);
+    if (!key) continue;
+    if (names.has(key)) {
+      names.get(key).count += count;
+    } else {
+      names.set(key, { value: tidy(value), count });
+    }
+  }
+
+  const queryKey = nameKey(query);
+  return [...names.values()]
+    .map(name => ({ ...name, tier: queryKey ? matchTier(queryKey, name.value) : 0 }))
+    .filter(name => name.tier !== null)
+    .sort((a, b) => a.tier - b.tier || b.count - a.count || a.value.localeCompare(b.value))
+    .slice(0, limit)
+    .map(({ value, count }) => ({ value, count }));
+}
+
+// Catalog models of a make, or of every make when make is not given
+const catalogModels = (make) => {
+  if (!make) return MAKES.flatMap(name => CATALOG[name]);
+  const canonical = canonicalMake(make);
+  return canonical ? CATALOG[canonical] : [];
+};
+
+module.exports = {
+  canonicalMake,
+  canonicalModel,
+  normalizeMakeModel,
+  suggestNames,
+  catalogModels,
+  catalogNames,
+  nameKey,
+  MAKES
+};
@@ -0,0 +1,97 @@
+// Minimal RFC 4180 CSV reading and writing
+//
+// parseCsv turns a document with a header row into an array of objects keyed by the
+// (trimmed) header names. Quoted fields may contain commas, quotes ("") and line breaks.
+// Blank lines are skipped. Each record also gets a non-enumerable `line` property with the
+// line number it started on, for error reports.
+
+function parseRecords(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    if (record.length > 1 || record[0] !== '') {
+      records.push({ fields: record, line: recordLine });
+    }
+    record = [];
+    recordLine = line;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      line++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+  if (field !== '' || record.length > 0) {
+    endRecord();
+  }
+
+  return records;
+}
+
+function parseCsv(input) {
+  const text = String(input).replace(/^﻿/, '');
+  const [header, ...rows] = parseRecords(text);
+  if (!header) return [];
+
+  const columns = header.fields.map(name => name.trim());
+
+  return rows.map(({ fields, line }) => {
+    const row = {};
+    columns.forEach((column, index) => {
+      if (column) row[column] = (fields[index] ?? '').trim();
+    });
+    Object.defineProperty(row, 'line', { value: line, enumerable: false });
+    return row;
+  });
+}
+
+const escapeField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// toCsv([{ row: 2, message: 'Invalid year' }], ['row', 'message'])
+function toCsv(rows, columns) {
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(fields => fields.map(escapeField).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, toCsv };
@@ -0,0 +1,122 @@
+// Downloads from URLs that users supply (photo URLs in inventory imports)
+//
+// Only http and https on the standard ports, and only to public addresses: every address a host
+// name resolves to is checked inside the connection's own DNS lookup, so a name cannot pass the
+// check and then connect somewhere private. Redirects are followed by hand and checked the same
+// way. Bodies are streamed and the download is abandoned as soon as it passes maxBytes.
+
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+
+const MAX_REDIRECTS = 3;
+const ALLOWED_PORTS = ['', '80', '443'];
+
+// Loopback, private, link-local, carrier-grade NAT, multicast, documentation and other
+// special-purpose ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup() that refuses host names resolving to any non-public address
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (addresses.length === 0 || addresses.some(entry => !isPublicAddress(entry.address))) {
+      return callback(new Error(`${hostname} is not a public address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Resolves { buffer, contentType }; rejects with an Error whose message can be shown to the user
+function download(url, { maxBytes, timeoutMs = 15000, redirects = MAX_REDIRECTS } = {}) {
+  return new Promise((resolve, reject) => {
+    let target;
+    try {
+      target = new URL(url);
+    } catch (error) {
+      return reject(new Error('invalid URL'));
+    }
+    if (!['http:', 'https:'].includes(target.protocol)) {
+      return reject(new Error('only http and https URLs are allowed'));
+    }
+    if (!ALLOWED_PORTS.includes(target.port)) {
+      return reject(new Error('only the standard ports 80 and 443 are allowed'));
+    }
+    // Literal addresses never go through the lookup
+    const host = target.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && !isPublicAddress(host)) {
+      return reject(new Error(`${host} is not a public address`));
+    }
+
+    const client = target.protocol === 'https:' ? https : http;
+    const request = client.get(target, { lookup: publicLookup, headers: { 'User-Agent': 'AutoHub-Import' } }, (response) => {
+      const { statusCode, headers } = response;
+
+      if ([301, 302, 303, 307, 308].includes(statusCode) && headers.location) {
+        response.resume();
+        clearTimeout(timer);
+        if (redirects === 0) {
+          return reject(new Error('too many redirects'));
+        }
+        return resolve(download(new URL(headers.location, target).href, { maxBytes, timeoutMs, redirects: redirects - 1 }));
+      }
+      if (statusCode < 200 || statusCode >= 300) {
+        response.resume();
+        clearTimeout(timer);
+        return reject(new Error(`HTTP ${statusCode}`));
+      }
+
+      const tooLarge = () => new Error(`larger than ${Math.round(maxBytes / 1000000)}MB`);
+      if (maxBytes && parseInt(headers['content-length']) > maxBytes) {
+        request.destroy(tooLarge());
+        return;
+      }
+
+      const chunks = [];
+      let received = 0;
+      response.on('data', (chunk) => {
+        received += chunk.length;
+        if (maxBytes && received > maxBytes) {
+          request.destroy(tooLarge());
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => {
+        clearTimeout(timer);
+        resolve({ buffer: Buffer.concat(chunks), contentType: headers['content-type'] || '' });
+      });
+      response.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+    });
+
+    // For the whole download, not just between packets
+    const timer = setTimeout(() => request.destroy(new Error('timed out')), timeoutMs);
+    request.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+}
+
+module.exports = { download, isPublicAddress };
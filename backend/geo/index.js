@@ -0,0 +1,62 @@
+// Offline geocoding for listing locations
+//
+// ./us-postcodes.json maps US ZIP codes to their centroid, city and state (see NOTICE and
+// scripts/build-postcodes.js). The table is ~1.7MB, so it is only loaded the first time a
+// postcode is looked up. Points follow GeoJSON order: [longitude, latitude].
+
+const EARTH_RADIUS_MILES = 3958.8;
+const METERS_PER_MILE = 1609.344;
+
+let postcodes = null;
+
+// "78701", "78701-1234" and " 78701 " all normalize to "78701"; anything else is null
+function normalizePostcode(value) {
+  const match = /^\s*(\d{5})(?:-\d{4})?\s*$/.exec(String(value ?? ''));
+  return match ? match[1] : null;
+}
+
+// Returns { postcode, city, state, point } or null for unknown postcodes
+function lookupPostcode(value) {
+  const postcode = normalizePostcode(value);
+  if (!postcode) return null;
+
+  postcodes = postcodes || require('./us-postcodes.json');
+  const entry = postcodes[postcode];
+  if (!entry) return null;
+
+  const [latitude, longitude, city, state] = entry;
+  return { postcode, city, state, point: { type: 'Point', coordinates: [longitude, latitude] } };
+}
+
+// Accepts a postcode or "latitude,longitude"; returns [longitude, latitude] or null
+function parseOrigin(value) {
+  const match = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(String(value ?? ''));
+  if (match) {
+    const latitude = parseFloat(match[1]);
+    const longitude = parseFloat(match[2]);
+    return Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180 ? [longitude, latitude] : null;
+  }
+
+  const location = lookupPostcode(value);
+  return location ? location.point.coordinates : null;
+}
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle (haversine) distance in miles between two [longitude, latitude] points
+function distanceMiles([lng1, lat1], [lng2, lat2]) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+}
+
+module.exports = {
+  normalizePostcode,
+  lookupPostcode,
+  parseOrigin,
+  distanceMiles,
+  EARTH_RADIUS_MILES,
+  METERS_PER_MILE
+};
@@ -0,0 +1,82 @@
+// Listing photo processing
+//
+// Every photo is re-encoded before it is stored, so the original file never leaves the server:
+// it is rotated according to its EXIF orientation and all metadata (GPS position, camera serial
+// numbers, ...) is dropped. processImage() returns the cleaned photo as a JPEG no larger than
+// MAX_DIMENSION plus WebP variants for each width in IMAGE_VARIANTS (never enlarged), along with
+// its dimensions and a 64-bit difference hash used to spot reposted photos.
+
+const sharp = require('sharp');
+
+const MAX_DIMENSION = 2000;
+
+// name -> width in pixels
+const IMAGE_VARIANTS = {
+  thumb: 400, // cards, gallery thumbnails
+  medium: 800,
+  large: 1600 // detail view
+};
+
+// Difference hash: one bit per pixel of a 9x8 greyscale thumbnail, set when it is brighter than its
+// right-hand neighbour. Near-identical photos (recompressed, resized, lightly edited) differ in few bits.
+// Resolves null for images without any detail.
+async function differenceHash(image) {
+  const pixels = await image.clone().greyscale().resize(9, 8, { fit: 'fill' }).raw().toBuffer();
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const bit = pixels[row * 9 + col] > pixels[row * 9 + col + 1] ? 1n : 0n;
+      hash = (hash << 1n) | bit;
+    }
+  }
+  // A flat image (no brightness changes at all) would match every other flat image
+  return hash === 0n ? null : hash.toString(16).padStart(16, '0');
+}
+
+// Photos whose hashes differ in at most HASH_MAX_DISTANCE bits count as the same photo
+const HASH_MAX_DISTANCE = 6;
+
+// The hash cut into HASH_MAX_DISTANCE + 1 slices of 9 or 10 bits, as "<slice>:<hex>". Two hashes
+// that close can't differ in every slice, so they always share a band, and bands can be indexed
+// where the bit distance cannot.
+function hashBands(hash) {
+  const value = BigInt(`0x${hash}`);
+  const count = HASH_MAX_DISTANCE + 1;
+  const bands = [];
+  for (let band = 0, start = 0; band < count; band++) {
+    const end = Math.round((64 * (band + 1)) / count);
+    const bits = (value >> BigInt(64 - end)) & ((1n << BigInt(end - start)) - 1n);
+    bands.push(`${band}:${bits.toString(16)}`);
+    start = end;
+  }
+  return bands;
+}
+
+// Resolves { width, height, hash, files: [{ variant, buffer, contentType, extension }] }; the first
+// file (variant "original") is the full-size JPEG. Rejects for files sharp cannot decode.
+async function processImage(buffer) {
+  // rotate() without an angle applies the EXIF orientation; sharp drops metadata on output by default
+  const { data, info } = await sharp(buffer, { failOn: 'error' })
+    .rotate()
+    .resize(MAX_DIMENSION, MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: 82, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+  
+  const image = sharp(data);
+  const variants = await Promise.all(Object.entries(IMAGE_VARIANTS).map(async ([variant, width]) => ({
+    variant,
+    buffer: await image.clone().resize({ width, withoutEnlargement: true }).webp({ quality: 78 }).toBuffer(),
+    contentType: 'image/webp',
+    extension: 'webp'
+  })));
+  
+  return {
+    width: info.width,
+    height: info.height,
+    hash: await differenceHash(image),
+    files: [{ variant: 'original', buffer: data, contentType: 'image/jpeg', extension: 'jpg' }, ...variants]
+  };
+}
+
+module.exports = { processImage, hashBands, IMAGE_VARIANTS, MAX_DIMENSION, HASH_MAX_DISTANCE };
@@ -0,0 +1,156 @@
+// Transactional email: templates + pluggable transports
+//
+// Templates live in ./templates as <name>.html and <name>.txt and are wrapped in
+// ./templates/layouts/default.{html,txt}. Placeholders:
+//   {{ name }}    value, HTML-escaped in .html templates
+//   {{{ name }}}  raw value (only for trusted markup such as the rendered body in a layout)
+//
+// MAIL_TRANSPORT selects delivery:
+//   smtp     (default) SMTP_HOST/SMTP_PORT/SMTP_SECURE/SMTP_USER/SMTP_PASS, falling back to Gmail with EMAIL_USER/EMAIL_PASS
+//   file     writes each message as an .eml file to MAIL_FILE_DIR (default: <tmp>/autohub-mail)
+//   console  prints the plain-text version to stdout
+//   stub     keeps messages in mailer.outbox and sends nothing (tests)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const TEMPLATE_DIR = path.join(__dirname, 'templates');
+
+// subject is rendered like a text template; theme picks the layout header colour
+const TEMPLATES = {
+  'verify-email': { subject: 'AutoHub - Verify Your Email Address', title: '📧 Verify Your Email' },
+  'password-reset': { subject: 'AutoHub - Password Reset Request', title: '🔒 Password Reset Request' },
+  'password-changed': { subject: 'AutoHub - Password Changed Successfully', title: '✅ Password Changed Successfully', theme: 'success' },
+  'account-locked': { subject: 'AutoHub - Your Account Has Been Locked', title: '🔐 Account Temporarily Locked', theme: 'danger' },
+  'organization-invitation': { subject: 'AutoHub - Join {{ organizationName }} on AutoHub', title: '🏢 Dealership Invitation' },
+  'saved-search-alert': { subject: 'AutoHub - {{ summary }}', title: '🔔 New Listings For You' }
+};
+
+const THEMES = {
+  default: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+  success: 'linear-gradient(135deg, #10b981 0%, #059669 100%)',
+  danger: 'linear-gradient(135deg, #ef4444 0%, #dc2626 100%)'
+};
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+const lookup = (data, key) => key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), data);
+
+// Single pass, so placeholders that appear inside substituted values are never expanded
+function renderString(source, data, escape) {
+  return source.replace(/\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g, (match, rawKey, key) => {
+    if (rawKey) {
+      return String(lookup(data, rawKey) ?? '');
+    }
+    const value = lookup(data, key);
+    return escape ? escapeHtml(value) : String(value ?? '');
+  });
+}
+
+const templateCache = new Map();
+
+function readTemplate(file) {
+  if (!templateCache.has(file)) {
+    templateCache.set(file, fs.readFileSync(path.join(TEMPLATE_DIR, file), 'utf8'));
+  }
+  return templateCache.get(file);
+}
+
+// Renders { subject, html, text } for a named template
+function render(name, data = {}) {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+  
+  const layoutData = {
+    ...data,
+    title: template.title,
+    headerBackground: THEMES[template.theme || 'default'],
+    year: new Date().getFullYear()
+  };
+  
+  return {
+    subject: renderString(template.subject, data, false),
+    html: renderString(readTemplate('layouts/default.html'), {
+      ...layoutData,
+      body: renderString(readTemplate(`${name}.html`), data, true)
+    }, true),
+    text: renderString(readTemplate('layouts/default.txt'), {
+      ...layoutData,
+      body: renderString(readTemplate(`${name}.txt`), data, false).trim()
+    }, false)
+  };
+}
+
+function createTransport(type, options) {
+  switch (type) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'smtp.gmail.com',
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: {
+          user: process.env.SMTP_USER || process.env.EMAIL_USER,
+          pass: process.env.SMTP_PASS || process.env.EMAIL_PASS
+        }
+      });
+    
+    case 'file': {
+      const dir = options.fileDir || process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'autohub-mail');
+      const stream = nodemailer.createTransport({ streamTransport: true, buffer: true });
+      return {
+        async sendMail(message) {
+          const info = await stream.sendMail(message);
+          fs.mkdirSync(dir, { recursive: true });
+          const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+          fs.writeFileSync(file, info.message);
+          console.log(`📧 Email "${message.subject}" to ${message.to} written to ${file}`);
+          return info;
+        }
+      };
+    }
+    
+    case 'console':
+      return {
+        async sendMail(message) {
+          console.log(`📧 To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`);
+          return { messageId: `console-${Date.now()}` };
+        }
+      };
+    
+    case 'stub':
+      return {
+        async sendMail(message) {
+          options.outbox.push(message);
+          return { messageId: `stub-${options.outbox.length}` };
+        }
+      };
+    
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${type}"`);
+  }
+}
+
+function createMailer(options = {}) {
+  const outbox = [];
+  const transport = createTransport(options.transport || process.env.MAIL_TRANSPORT || 'smtp', { ...options, outbox });
+  const from = options.from || process.env.MAIL_FROM || process.env.EMAIL_USER;
+  
+  return {
+    outbox,
+    render,
+    
+    // send('password-reset', { to: user.email, name: user.name, resetUrl })
+    async send(name, { to, ...data }) {
+      const { subject, html, text } = render(name, data);
+      return transport.sendMail({ from, to, subject, html, text });
+    }
+  };
+}
+
+module.exports = { createMailer, render, escapeHtml };
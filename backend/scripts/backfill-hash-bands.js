@@ -0,0 +1,40 @@
+// Adds hash bands (see images/) to the photos of listings posted before bands existed, so the
+// duplicate check can find them. Safe to run more than once; photos that already have bands are skipped.
+//
+//   MONGODB_URI=... node scripts/backfill-hash-bands.js
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { hashBands } = require('../images');
+
+async function main() {
+  if (!process.env.MONGODB_URI) {
+    console.error('Set MONGODB_URI to the database to update');
+    process.exit(1);
+  }
+  await mongoose.connect(process.env.MONGODB_URI);
+  const vehicles = mongoose.connection.collection('vehicles');
+
+  const cursor = vehicles.find(
+    { imageDetails: { $elemMatch: { hash: { $type: 'string' }, hashBands: { $exists: false } } } },
+    { projection: { imageDetails: 1 } }
+  );
+
+  let updated = 0;
+  for await (const vehicle of cursor) {
+    const imageDetails = vehicle.imageDetails.map(image => (image.hash && !image.hashBands
+      ? { ...image, hashBands: hashBands(image.hash) }
+      : image));
+    // Only if the photos haven't been edited since they were read
+    const result = await vehicles.updateOne({ _id: vehicle._id, imageDetails: vehicle.imageDetails }, { $set: { imageDetails } });
+    updated += result.modifiedCount;
+  }
+
+  console.log(`Added hash bands to ${updated} listings`);
+  await mongoose.disconnect();
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,28 @@
+// Rebuilds geo/us-postcodes.json, the offline ZIP code centroid table used for listing locations.
+//
+//   npm pack zipcodes && tar xzf zipcodes-*.tgz
+//   node scripts/build-postcodes.js package/lib/codes.js
+//
+// The source data is from the zipcodes package (BSD licensed, see geo/NOTICE). Each entry is
+// "<zip>": [latitude, longitude, city, state], with coordinates rounded to ~100m.
+
+const fs = require('fs');
+const path = require('path');
+
+const source = process.argv[2];
+if (!source) {
+  console.error('Usage: node scripts/build-postcodes.js <path to zipcodes lib/codes.js>');
+  process.exit(1);
+}
+
+const { codes } = require(path.resolve(source));
+const table = {};
+
+for (const [zip, entry] of Object.entries(codes)) {
+  if (entry.country !== 'US' || !/^\d{5}$/.test(zip) || typeof entry.latitude !== 'number') continue;
+  table[zip] = [Number(entry.latitude.toFixed(3)), Number(entry.longitude.toFixed(3)), entry.city, entry.state];
+}
+
+const output = path.join(__dirname, '..', 'geo', 'us-postcodes.json');
+fs.writeFileSync(output, JSON.stringify(table));
+console.log(`Wrote ${Object.keys(table).length} postcodes to ${output}`);
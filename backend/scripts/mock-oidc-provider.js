@@ -0,0 +1,167 @@
+// Minimal OpenID Connect provider for trying single sign-on locally.
+//
+//   npm run mock-oidc
+//
+// and point the backend at it:
+//
+//   OIDC_PROVIDERS='[{"id":"mock","name":"Mock SSO","issuer":"http://localhost:9400","clientId":"autohub","clientSecret":"mock-secret"}]'
+//
+// The authorize page lets you type any email/name to sign in as. Codes, PKCE and
+// nonces are checked the same way a real provider would; everything lives in memory.
+
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 9400;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'autohub';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'mock-secret';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+const codes = new Map(); // code -> { clientId, redirectUri, nonce, codeChallenge, claims, expiresAt }
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+const base64Url = (buffer) => buffer.toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const tokenError = (res, error, description) => res.status(400).json({ error, error_description: description });
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_post', 'client_secret_basic']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+// Sign-in form standing in for the provider's login page
+app.get('/authorize', (req, res) => {
+  const { client_id, redirect_uri, response_type, code_challenge, code_challenge_method } = req.query;
+
+  if (client_id !== CLIENT_ID || response_type !== 'code' || !redirect_uri) {
+    return res.status(400).send('Invalid authorization request');
+  }
+  if (!code_challenge || code_challenge_method !== 'S256') {
+    return res.status(400).send('PKCE (S256) is required');
+  }
+
+  const hidden = Object.entries(req.query)
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+    .join('');
+
+  res.send(`<!DOCTYPE html>
+<html>
+<head><title>Mock SSO</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 360px; margin: 4rem auto;">
+  <h2>Mock SSO sign-in</h2>
+  <form method="POST" action="/authorize">
+    ${hidden}
+    <p><label>Email<br><input name="email" type="email" value="fleet.buyer@example.com" required style="width: 100%;"></label></p>
+    <p><label>Name<br><input name="name" value="Fleet Buyer" style="width: 100%;"></label></p>
+    <p><label><input name="email_verified" type="checkbox" checked> Email verified</label></p>
+    <p>
+      <button type="submit" name="decision" value="allow">Sign in</button>
+      <button type="submit" name="decision" value="deny">Cancel</button>
+    </p>
+  </form>
+</body>
+</html>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { redirect_uri, state, nonce, code_challenge, client_id, email, name, email_verified, decision } = req.body;
+  const redirect = new URL(redirect_uri);
+
+  if (state) redirect.searchParams.set('state', state);
+
+  if (decision !== 'allow') {
+    redirect.searchParams.set('error', 'access_denied');
+    redirect.searchParams.set('error_description', 'Sign-in was cancelled');
+    return res.redirect(redirect.toString());
+  }
+
+  const code = crypto.randomBytes(24).toString('hex');
+  codes.set(code, {
+    clientId: client_id,
+    redirectUri: redirect_uri,
+    nonce,
+    codeChallenge: code_challenge,
+    claims: {
+      sub: crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 24),
+      email,
+      email_verified: email_verified === 'on',
+      name
+    },
+    expiresAt: Date.now() + 60 * 1000
+  });
+
+  redirect.searchParams.set('code', code);
+  res.redirect(redirect.toString());
+});
+
+app.post('/token', (req, res) => {
+  let { client_id: clientId, client_secret: clientSecret } = req.body;
+
+  const basic = /^Basic (.+)$/.exec(req.get('authorization') || '');
+  if (basic) {
+    [clientId, clientSecret] = Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent);
+  }
+
+  if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  const { grant_type, code, redirect_uri, code_verifier } = req.body;
+  const grant = codes.get(code);
+  codes.delete(code);
+
+  if (grant_type !== 'authorization_code' || !grant || grant.expiresAt < Date.now()) {
+    return tokenError(res, 'invalid_grant', 'Unknown or expired code');
+  }
+  if (grant.redirectUri !== redirect_uri || grant.clientId !== clientId) {
+    return tokenError(res, 'invalid_grant', 'redirect_uri or client mismatch');
+  }
+  if (!code_verifier || base64Url(crypto.createHash('sha256').update(code_verifier).digest()) !== grant.codeChallenge) {
+    return tokenError(res, 'invalid_grant', 'PKCE verification failed');
+  }
+
+  const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: clientId,
+    expiresIn: '5m'
+  });
+
+  res.json({
+    access_token: crypto.randomBytes(24).toString('hex'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER} (client_id "${CLIENT_ID}", client_secret "${CLIENT_SECRET}")`);
+});
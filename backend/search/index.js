@@ -0,0 +1,107 @@
+// Free-text vehicle search helpers
+//
+// Search runs on MongoDB's text index (brand, model, description), which matches whole, stemmed
+// words only. expandQuery() widens a query before it gets there:
+//   synonyms  "chevy" also searches "chevrolet", "vw" searches "volkswagen", ...
+//   typos     words that are not in the vocabulary (the brand and model words in inventory) also
+//             search the closest vocabulary words: "toyta" -> "toyota", "mustnag" -> "mustang"
+// Text search ORs the words together and ranks listings matching more (and heavier) words first.
+
+const SYNONYMS = {
+  chevy: ['chevrolet'],
+  vw: ['volkswagen'],
+  merc: ['mercedes'],
+  mercedes: ['benz'],
+  benz: ['mercedes'],
+  beemer: ['bmw'],
+  bimmer: ['bmw'],
+  caddy: ['cadillac'],
+  lambo: ['lamborghini'],
+  landie: ['land', 'rover'],
+  rangie: ['range', 'rover'],
+  alfa: ['romeo'],
+  vette: ['corvette'],
+  stang: ['mustang'],
+  suv: ['crossover'],
+  truck: ['pickup'],
+  pickup: ['truck'],
+  ev: ['electric'],
+  electric: ['ev'],
+  convertible: ['cabriolet', 'roadster'],
+  cabrio: ['cabriolet', 'convertible'],
+  wagon: ['estate'],
+  estate: ['wagon'],
+  minivan: ['van']
+};
+
+const MAX_QUERY_WORDS = 10;
+
+const tokenize = (text) => String(text ?? '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+// Damerau-Levenshtein (optimal string alignment) distance, giving up once it exceeds max
+function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Short words are left alone: "kia" is one edit away from far too many other words
+const allowedEdits = (word) => (word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0);
+
+// The vocabulary words closest to word, if it is not a vocabulary word itself
+function corrections(word, vocabulary) {
+  const max = allowedEdits(word);
+  if (max === 0 || vocabulary.has(word) || /^\d+$/.test(word)) return [];
+  
+  let best = max + 1;
+  let matches = [];
+  for (const candidate of vocabulary) {
+    const distance = editDistance(word, candidate, max);
+    if (distance < best) {
+      best = distance;
+      matches = [candidate];
+    } else if (distance === best && distance <= max) {
+      matches.push(candidate);
+    }
+  }
+  return matches.slice(0, 3);
+}
+
+// Returns { words, search }: the query's own words and the string to hand to $text.
+// vocabulary is a Set of lowercase words.
+function expandQuery(query, vocabulary = new Set()) {
+  const words = [...new Set(tokenize(query))].slice(0, MAX_QUERY_WORDS);
+  const terms = new Set(words);
+  
+  for (const word of words) {
+    (SYNONYMS[word] || []).forEach(synonym => terms.add(synonym));
+    corrections(word, vocabulary).forEach(correction => {
+      terms.add(correction);
+      (SYNONYMS[correction] || []).forEach(synonym => terms.add(synonym));
+    });
+  }
+  
+  return { words, search: [...terms].join(' ') };
+}
+
+module.exports = { expandQuery, editDistance, tokenize, SYNONYMS };
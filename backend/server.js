@@ -5,8 +5,18 @@ const jwt = require('jsonwebtoken');
 const multer = require('multer');
 const path = require('path');
 const cors = require('cors');
-const nodemailer = require('nodemailer');
 const crypto = require('crypto');
+const QRCode = require('qrcode');
+const AdmZip = require('adm-zip');
+const { createMailer, escapeHtml } = require('./mailer');
+const { validateVin, decodeVin, maskVin } = require('./vin');
+const { parseCsv, toCsv } = require('./csv');
+const { lookupPostcode, parseOrigin, distanceMiles, EARTH_RADIUS_MILES, METERS_PER_MILE } = require('./geo');
+const { createStorage, CACHE_CONTROL } = require('./storage');
+const { processImage, hashBands, IMAGE_VARIANTS, HASH_MAX_DISTANCE } = require('./images');
+const { download } = require('./download');
+const { expandQuery, tokenize, SYNONYMS } = require('./search');
+const { canonicalMake, normalizeMakeModel, suggestNames, catalogModels, catalogNames, nameKey, MAKES } = require('./catalog');
 
 const app = express();
 
@@ -52,6 +62,12 @@ if (allowedOrigins.includes('*')) {
   app.use(cors(corsOptions));
   app.options('*', cors(corsOptions));
 }
+// Behind a proxy (Vercel's is one hop) req.ip would otherwise be the proxy address for every client.
+// Only set TRUST_PROXY_HOPS when there really is a proxy: otherwise clients could pick their own
+// X-Forwarded-For address and a fresh per-IP attempt limit with it.
+if (process.env.TRUST_PROXY_HOPS !== undefined && process.env.TRUST_PROXY_HOPS !== '') {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS) || 0);
+}
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -85,31 +101,281 @@ async function connectToDatabase() {
 }
 
 // Schemas
+const USER_ROLES = ['buyer', 'seller', 'dealer', 'inspector', 'admin'];
+
 const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
   phone: { type: String, required: true },
+  roles: { type: [{ type: String, enum: USER_ROLES }], default: ['buyer', 'seller'] },
+  dealerViaOrganization: { type: Boolean }, // the dealer role came from joining a dealership, see revokeMembershipDealerRole
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String },        // AES-256-GCM encrypted base32 secret
+    pendingSecret: { type: String }, // encrypted secret awaiting first code during enrollment
+    backupCodes: [{ type: String }], // sha256 hashes, removed once used
+    lastUsedStep: { type: Number }   // last accepted TOTP time step, blocks code replay
+  },
+  // Left unset on accounts created before verification existed so they are not locked out
+  emailVerified: { type: Boolean },
+  emailVerifiedAt: { type: Date },
+  pendingEmail: { type: String }, // new address waiting for verification before it replaces email
+  identities: [{                  // linked single sign-on accounts
+    provider: { type: String, required: true },
+    subject: { type: String, required: true },
+    linkedAt: { type: Date, default: Date.now }
+  }],
+  deletedAt: { type: Date },      // set when the account is anonymized on deletion
   createdAt: { type: Date, default: Date.now }
 });
 
+userSchema.index({ 'identities.provider': 1, 'identities.subject': 1 });
+
+// Listing Lifecycle
+const VEHICLE_STATUSES = ['draft', 'available', 'pending_sale', 'sold', 'withdrawn', 'expired'];
+
+// Allowed moves; pending_sale is only entered by confirming a booking, expired only by the expiry job
+const VEHICLE_TRANSITIONS = {
+  draft: ['available'],
+  available: ['pending_sale', 'withdrawn', 'expired'],
+  pending_sale: ['sold', 'available'],
+  sold: [],
+  withdrawn: ['available'],
+  expired: ['available', 'withdrawn']
+};
+
+// Statuses that can be browsed in GET /api/vehicles
+const PUBLIC_VEHICLE_STATUSES = ['available', 'pending_sale', 'sold'];
+
+const LISTING_EXPIRY_DAYS = parseInt(process.env.LISTING_EXPIRY_DAYS) || 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Allowed values for the optional specification fields (also the filter values for GET /api/vehicles)
+const VEHICLE_SPECS = {
+  fuelType: ['petrol', 'diesel', 'hybrid', 'plug_in_hybrid', 'electric', 'lpg'],
+  transmission: ['automatic', 'manual', 'semi_automatic'],
+  drivetrain: ['fwd', 'rwd', 'awd', '4wd'],
+  color: ['black', 'white', 'silver', 'gray', 'blue', 'red', 'green', 'brown', 'beige', 'yellow', 'orange', 'gold', 'purple', 'other'],
+  features: [
+    'sunroof', 'apple_carplay', 'android_auto', 'navigation', 'bluetooth', 'backup_camera',
+    'parking_sensors', 'blind_spot_monitor', 'adaptive_cruise', 'heated_seats', 'leather_seats',
+    'keyless_entry', 'third_row_seating', 'tow_hitch'
+  ]
+};
+
+const VEHICLE_DOCUMENT_TYPES = ['inspection_report', 'service_history', 'title', 'other'];
+
+// Inspection checklist items; each is rated pass, advisory or fail
+const INSPECTION_ITEMS = [
+  'bodywork', 'paint', 'glass', 'lights', 'tires', 'brakes', 'suspension', 'steering',
+  'engine', 'transmission', 'exhaust', 'electrical', 'interior', 'air_conditioning', 'road_test'
+];
+const INSPECTION_RESULT_POINTS = { pass: 1, advisory: 0.5, fail: 0 };
+
+// GeoJSON point, [longitude, latitude]
+const geoPointSchema = new mongoose.Schema({
+  type: { type: String, enum: ['Point'], required: true },
+  coordinates: { type: [Number], required: true }
+}, { _id: false });
+
+// Drafts may be saved incomplete; everything else needs the full listing
+function isPublished() {
+  return this.status !== 'draft';
+}
+
 const vehicleSchema = new mongoose.Schema({
   sellerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  brand: { type: String, required: true },
-  model: { type: String, required: true },
-  year: { type: Number, required: true },
-  price: { type: Number, required: true },
-  type: { type: String, required: true },
-  condition: { type: String, required: true },
-  mileage: { type: Number, required: true },
+  organizationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', index: true }, // shared dealer inventory
+  stockNumber: { type: String, trim: true }, // the dealer's own reference; bulk imports update by it
+  vin: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    index: { sparse: true },
+    validate: {
+      validator: value => !value || validateVin(value).valid,
+      message: props => validateVin(props.value).error
+    }
+  },
+  brand: { type: String, required: isPublished },
+  model: { type: String, required: isPublished },
+  year: { type: Number, required: isPublished },
+  price: { type: Number, required: isPublished },
+  type: { type: String, required: isPublished },
+  condition: { type: String, required: isPublished },
+  mileage: { type: Number, required: isPublished },
   description: { type: String },
+  fuelType: { type: String, enum: VEHICLE_SPECS.fuelType },
+  transmission: { type: String, enum: VEHICLE_SPECS.transmission },
+  drivetrain: { type: String, enum: VEHICLE_SPECS.drivetrain },
+  color: { type: String, enum: VEHICLE_SPECS.color },
+  engineSize: { type: Number, min: 0, max: 10 }, // litres; unset for electric vehicles
+  seats: { type: Number, min: 1, max: 20 },
+  features: [{ type: String, enum: VEHICLE_SPECS.features }],
   images: [{ type: String }],
-  contactName: { type: String, required: true },
-  contactPhone: { type: String, required: true },
-  status: { type: String, default: 'available' },
+  // One entry per image URL: its size, WebP variants (see images/) and difference hash (64-bit hex),
+  // used to spot reposted listings, with the hash's bands to find candidates by. Hashes and bands
+  // are never sent to clients.
+  // Listings from before bands existed get them from scripts/backfill-hash-bands.js.
+  imageDetails: [{
+    _id: false,
+    url: { type: String },
+    width: { type: Number },
+    height: { type: Number },
+    hash: { type: String },
+    hashBands: [{ type: String }],
+    variants: {
+      thumb: { type: String },
+      medium: { type: String },
+      large: { type: String }
+    }
+  }],
+  // Listings this one looks like a copy of; set when it was posted, cleared by an admin
+  duplicateFlags: [{
+    vehicleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Vehicle' },
+    reasons: [{ type: String, enum: ['vin', 'images', 'details'] }],
+    detectedAt: { type: Date, default: Date.now }
+  }],
+  documents: [{
+    documentType: { type: String, enum: VEHICLE_DOCUMENT_TYPES, required: true },
+    name: { type: String, required: true },
+    url: { type: String, required: true },
+    size: { type: Number },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    uploadedAt: { type: Date, default: Date.now }
+  }],
+  // Filled in by an inspector; score is the share of checklist points, 0-100
+  inspection: {
+    inspectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    inspectedAt: { type: Date },
+    checklist: [{
+      item: { type: String, enum: INSPECTION_ITEMS, required: true },
+      result: { type: String, enum: Object.keys(INSPECTION_RESULT_POINTS), required: true },
+      notes: { type: String }
+    }],
+    score: { type: Number, min: 0, max: 100 },
+    summary: { type: String }
+  },
+  contactName: { type: String, required: isPublished },
+  contactPhone: { type: String, required: isPublished },
+  // Geocoded from the postcode against the bundled centroid table (see geo/)
+  location: {
+    address: { type: String }, // street or area; only shown to signed-in users
+    postcode: { type: String },
+    city: { type: String },
+    state: { type: String },
+    point: { type: geoPointSchema }
+  },
+  status: { type: String, enum: VEHICLE_STATUSES, default: 'available' },
+  statusHistory: [{
+    from: { type: String },
+    status: { type: String, required: true },
+    at: { type: Date, default: Date.now },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' } // unset for automatic publish/expiry
+  }],
+  publishAt: { type: Date },   // scheduled drafts go live at this time
+  publishedAt: { type: Date },
+  alertsPendingAt: { type: Date }, // published or relisted, not yet matched against saved searches
+  expiresAt: { type: Date },   // available listings expire after LISTING_EXPIRY_DAYS unless renewed
+  // Who changed what after publishing; bidders can see a listing was edited under them
+  editHistory: [{
+    editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    editedAt: { type: Date, default: Date.now },
+    hadBids: { type: Boolean, default: false },
+    changes: [{ field: String, from: mongoose.Schema.Types.Mixed, to: mongoose.Schema.Types.Mixed }]
+  }],
+  updatedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+vehicleSchema.index({ status: 1, expiresAt: 1 });
+// Search result orderings (see VEHICLE_SORTS)
+vehicleSchema.index({ status: 1, createdAt: -1, _id: -1 });
+vehicleSchema.index({ status: 1, price: 1, _id: 1 });
+vehicleSchema.index({ status: 1, year: -1, _id: -1 });
+vehicleSchema.index({ status: 1, mileage: 1, _id: 1 });
+vehicleSchema.index({ 'location.point': '2dsphere' });
+vehicleSchema.index(
+  { brand: 'text', model: 'text', description: 'text' },
+  { name: 'vehicle_text_search', weights: { brand: 10, model: 8, description: 1 } }
+);
+vehicleSchema.index({ alertsPendingAt: 1 }, { sparse: true });
+vehicleSchema.index({ 'imageDetails.hashBands': 1 });
+vehicleSchema.index({ sellerId: 1, stockNumber: 1 }, { sparse: true });
+vehicleSchema.index({ organizationId: 1, stockNumber: 1 }, { sparse: true });
+
+vehicleSchema.methods.canTransitionTo = function(status) {
+  return (VEHICLE_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Moves the listing along the lifecycle and records the transition; check canTransitionTo first
+vehicleSchema.methods.transitionTo = function(status, userId) {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Cannot move a ${this.status} listing to ${status}`);
+  }
+  
+  const now = new Date();
+  const previousStatus = this.status;
+  this.statusHistory.push({ from: previousStatus, status, at: now, by: userId });
+  this.status = status;
+  
+  if (status === 'available') {
+    this.publishAt = undefined;
+    this.publishedAt = this.publishedAt || now;
+    this.expiresAt = new Date(now.getTime() + LISTING_EXPIRY_DAYS * DAY_MS);
+    // Published or back on the market; a cancelled sale was never off it
+    if (previousStatus !== 'pending_sale') {
+      this.alertsPendingAt = now;
+    }
+  }
+};
+
+const ORGANIZATION_ROLES = ['owner', 'manager', 'sales'];
+
+// What each organization role may do; anything not listed is open to every member
+const ORGANIZATION_PERMISSIONS = {
+  manageMembers: ['owner', 'manager'],
+  manageInventory: ['owner', 'manager'],
+  confirmBookings: ['owner', 'manager']
+};
+
+const organizationSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  email: { type: String },
+  phone: { type: String },
+  address: { type: String },
+  members: [{
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    role: { type: String, enum: ORGANIZATION_ROLES, required: true },
+    joinedAt: { type: Date, default: Date.now }
+  }],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   createdAt: { type: Date, default: Date.now }
 });
 
+organizationSchema.index({ 'members.userId': 1 });
+
+// members.userId may have been populated with the user document
+organizationSchema.methods.roleOf = function(userId) {
+  const member = this.members.find(m => String(m.userId._id ?? m.userId) === String(userId));
+  return member ? member.role : null;
+};
+
+organizationSchema.methods.can = function(userId, permission) {
+  const role = this.roleOf(userId);
+  return Boolean(role) && ORGANIZATION_PERMISSIONS[permission].includes(role);
+};
+
+const invitationSchema = new mongoose.Schema({
+  organizationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
+  email: { type: String, required: true },
+  role: { type: String, enum: ORGANIZATION_ROLES.filter(role => role !== 'owner'), required: true },
+  token: { type: String, required: true },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  createdAt: { type: Date, default: Date.now, expires: 7 * 24 * 3600 }
+});
+
 const bidSchema = new mongoose.Schema({
   vehicleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Vehicle', required: true },
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
@@ -128,26 +394,150 @@ const bookingSchema = new mongoose.Schema({
   createdAt: { type: Date, default: Date.now }
 });
 
+const verificationTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  email: { type: String, required: true },
+  token: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now, expires: 86400 }
+});
+
+const sessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  refreshTokenHash: { type: String, required: true },
+  userAgent: { type: String },
+  ip: { type: String },
+  revokedAt: { type: Date, default: null },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true, expires: 0 },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// In-flight OIDC logins: PKCE/nonce state until the callback, then a one-time code the frontend exchanges for tokens
+const oidcLoginSchema = new mongoose.Schema({
+  provider: { type: String, required: true },
+  state: { type: String, required: true, unique: true },
+  nonce: { type: String, required: true },
+  codeVerifier: { type: String },
+  redirectUri: { type: String, required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  exchangeCodeHash: { type: String, index: true },
+  createdAt: { type: Date, default: Date.now, expires: 600 }
+});
+
+// Failed/attempted requests per key ("login:ip:<ip>", "login:account:<email>", ...) for brute-force protection
+const attemptSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  firstAttemptAt: { type: Date, default: Date.now },
+  lastAttemptAt: { type: Date, default: Date.now },
+  lockedUntil: { type: Date },
+  unlockTokenHash: { type: String },
+  expiresAt: { type: Date, required: true, expires: 0 }
+});
+
+// Bulk inventory imports. Parsed rows are kept until the job finishes so a job that was
+// interrupted can be resumed; rowErrors is the per-row report.
+const importJobSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  organizationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization' },
+  source: { type: String, enum: ['csv', 'json'], required: true },
+  status: { type: String, enum: ['queued', 'running', 'completed', 'failed'], default: 'queued' },
+  rows: { type: [mongoose.Schema.Types.Mixed], select: false }, // [{ row, record }]
+  hasPhotoArchive: { type: Boolean, default: false },
+  total: { type: Number, default: 0 },
+  processed: { type: Number, default: 0 },
+  created: { type: Number, default: 0 },
+  updated: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  rowErrors: [{
+    row: { type: Number },
+    stockNumber: { type: String },
+    messages: [{ type: String }]
+  }],
+  error: { type: String },
+  heartbeatAt: { type: Date },
+  // The instance running the job holds a lease that it renews after every row; see runImportJob
+  leaseId: { type: String },
+  leaseExpiresAt: { type: Date },
+  startedAt: { type: Date },
+  finishedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now, expires: 30 * 24 * 60 * 60 }
+});
+
+// Search form filters a buyer wants to hear about; see matchSavedSearches
+const SAVED_SEARCH_FREQUENCIES = ['instant', 'daily'];
+
+const savedSearchSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true, maxlength: 100 },
+  filters: { type: mongoose.Schema.Types.Mixed, default: {} }, // GET /api/vehicles query parameters
+  frequency: { type: String, enum: SAVED_SEARCH_FREQUENCIES, default: 'instant' },
+  // Indexed copies of the simple filters, so matching only looks at searches that can match;
+  // unset means any (see savedSearchCriteria)
+  criteria: {
+    type: { type: String },
+    brandKey: { type: String },
+    minPrice: { type: Number },
+    maxPrice: { type: Number }
+  },
+  pendingVehicleIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Vehicle' }], // waiting for the daily digest
+  lastMatchedAt: { type: Date },
+  lastNotifiedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+savedSearchSchema.index({ 'criteria.type': 1, 'criteria.brandKey': 1, 'criteria.minPrice': 1 });
+
+// In-app alerts, shown under the bell in the navigation bar
+const notificationSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: ['saved_search', 'listing'], required: true },
+  title: { type: String, required: true },
+  message: { type: String },
+  savedSearchId: { type: mongoose.Schema.Types.ObjectId, ref: 'SavedSearch' },
+  vehicleIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Vehicle' }],
+  readAt: { type: Date },
+  createdAt: { type: Date, default: Date.now, expires: 90 * 24 * 60 * 60 }
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+
 const resetTokenSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   token: { type: String, required: true },
   createdAt: { type: Date, default: Date.now, expires: 3600 }
 });
 
+// Email addresses are stored lowercased so one address can't be registered twice in different case.
+// Accounts from before that may still have capitals, so lookups by a typed address also try it as typed.
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+const typedEmail = (email) => ({ $in: [...new Set([normalizeEmail(email), String(email)])] });
+// The address in any case; can't use the email index, so only for sign-up, email changes and SSO linking
+const anyCaseEmail = (email) => new RegExp(`^${escapeRegExp(normalizeEmail(email))}$`, 'i');
+
+// Never sent to clients: credentials and 2FA material
+const PRIVATE_USER_FIELDS = '-password -twoFactor.secret -twoFactor.pendingSecret -twoFactor.backupCodes';
+
 const User = mongoose.models.User || mongoose.model('User', userSchema);
 const Vehicle = mongoose.models.Vehicle || mongoose.model('Vehicle', vehicleSchema);
 const Bid = mongoose.models.Bid || mongoose.model('Bid', bidSchema);
 const Booking = mongoose.models.Booking || mongoose.model('Booking', bookingSchema);
+const Organization = mongoose.models.Organization || mongoose.model('Organization', organizationSchema);
+const Invitation = mongoose.models.Invitation || mongoose.model('Invitation', invitationSchema);
 const ResetToken = mongoose.models.ResetToken || mongoose.model('ResetToken', resetTokenSchema);
+const Session = mongoose.models.Session || mongoose.model('Session', sessionSchema);
+const Attempt = mongoose.models.Attempt || mongoose.model('Attempt', attemptSchema);
+const VerificationToken = mongoose.models.VerificationToken || mongoose.model('VerificationToken', verificationTokenSchema);
+const OidcLogin = mongoose.models.OidcLogin || mongoose.model('OidcLogin', oidcLoginSchema);
+const ImportJob = mongoose.models.ImportJob || mongoose.model('ImportJob', importJobSchema);
+const SavedSearch = mongoose.models.SavedSearch || mongoose.model('SavedSearch', savedSearchSchema);
+const Notification = mongoose.models.Notification || mongoose.model('Notification', notificationSchema);
 
-// Cloudinary Configuration for Image Uploads
-const cloudinary = require('cloudinary').v2;
-
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
+// Uploaded photos and documents (STORAGE_DRIVER, see storage/)
+const fileStorage = createStorage();
+if (fileStorage.directory) {
+  app.use('/uploads', express.static(fileStorage.directory, { setHeaders: res => res.set('Cache-Control', CACHE_CONTROL) }));
+}
 
 // Multer Configuration for Memory Storage (Vercel serverless)
 const storage = multer.memoryStorage();
@@ -165,426 +555,4566 @@ const upload = multer({
   }
 });
 
-// Helper function to upload to Cloudinary
-async function uploadToCloudinary(fileBuffer, filename) {
-  return new Promise((resolve, reject) => {
-    const uploadStream = cloudinary.uploader.upload_stream(
-      {
-        folder: 'autohub-vehicles',
-        public_id: `${Date.now()}-${filename}`,
-        resource_type: 'auto'
-      },
-      (error, result) => {
-        if (error) reject(error);
-        else resolve(result.secure_url);
-      }
-    );
-    uploadStream.end(fileBuffer);
+// Vehicle documents (inspection reports, service history, titles) are PDFs
+const documentUpload = multer({
+  storage: storage,
+  limits: { fileSize: 10000000 }, // 10MB per file
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'application/pdf') {
+      return cb(null, true);
+    }
+    return cb(new Error('Only PDF documents are allowed!'), false);
+  }
+});
+
+// Inventory imports: a CSV or JSON file plus an optional ZIP of photos
+const importUpload = multer({
+  storage: storage,
+  limits: { fileSize: 25000000 }, // 25MB per file
+  fileFilter: (req, file, cb) => {
+    const allowed = file.fieldname === 'photos'
+      ? /\.zip$/i.test(file.originalname)
+      : /\.(csv|json)$/i.test(file.originalname);
+    if (allowed) {
+      return cb(null, true);
+    }
+    return cb(new Error(file.fieldname === 'photos' ? 'Photos must be a ZIP archive' : 'Inventory must be a CSV or JSON file'), false);
+  }
+});
+
+// "autohub-vehicles/1700000000000-1a2b3c4d-front-view"; unique, and safe as a URL path
+const storageKey = (folder, filename) => {
+  const name = path.parse(filename || '').name.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+  return `${folder}/${Date.now()}-${crypto.randomBytes(4).toString('hex')}${name ? `-${name}` : ''}`;
+};
+
+// Stores a file as it is (documents); resolves its URL
+async function uploadFile(fileBuffer, filename, contentType, folder) {
+  return fileStorage.put(`${storageKey(folder, filename)}${path.extname(filename || '').toLowerCase()}`, fileBuffer, contentType);
+}
+
+// Listing photos go through the image pipeline first; resolves { url, width, height, hash, variants }
+// where url is the cleaned full-size JPEG
+async function uploadVehicleImage(fileBuffer, filename) {
+  const image = await processImage(fileBuffer);
+  const key = storageKey('autohub-vehicles', filename);
+  
+  const results = await Promise.allSettled(image.files.map(file => fileStorage.put(
+    `${key}${file.variant === 'original' ? '' : `-${file.variant}`}.${file.extension}`,
+    file.buffer,
+    file.contentType
+  )));
+  const failed = results.find(result => result.status === 'rejected');
+  if (failed) {
+    await deleteStoredFiles(results.filter(result => result.status === 'fulfilled').map(result => result.value));
+    throw failed.reason;
+  }
+  
+  const [url, ...variantUrls] = results.map(result => result.value);
+  const variants = {};
+  image.files.slice(1).forEach((file, index) => {
+    variants[file.variant] = variantUrls[index];
+  });
+  return {
+    url,
+    width: image.width,
+    height: image.height,
+    hash: image.hash,
+    hashBands: image.hash ? hashBands(image.hash) : undefined,
+    variants
+  };
+}
+
+// Every stored file behind the given photo URLs: the JPEG plus its variants (photos uploaded
+// before the image pipeline have no details and no variants)
+function imageFileUrls(imageDetails, urls) {
+  return urls.flatMap(url => {
+    const details = imageDetails.find(image => image.url === url);
+    return [url, ...Object.keys(IMAGE_VARIANTS).map(variant => details?.variants?.[variant]).filter(Boolean)];
   });
 }
 
+async function deleteStoredFiles(urls) {
+  await Promise.all(urls.map(async url => {
+    try {
+      await fileStorage.remove(url);
+    } catch (error) {
+      // A leftover file is not worth failing the request over
+      console.error('Storage delete error:', error);
+    }
+  }));
+}
+
 // JWT Secret
 const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret_key_change_in_production';
 
-// Email Configuration
-const transporter = nodemailer.createTransport({
-  host: 'smtp.gmail.com',
-  port: 587,
-  secure: false,
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS
+// Token lifetimes
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// Email Delivery (transport and templates are configured in ./mailer)
+const mailer = createMailer();
+
+// Email Verification Helper
+// Sends a verification link for `email` (defaults to the account address; a pending new address on email change)
+async function sendVerificationEmail(user, email = user.email) {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  
+  // Only replaces earlier links to the same address: a pending email change and the account's
+  // own verification each keep their link
+  await VerificationToken.deleteMany({ userId: user._id, email });
+  await VerificationToken.create({
+    userId: user._id,
+    email,
+    token: hashToken(verificationToken)
+  });
+  
+  const baseUrl = process.env.BASE_URL || 'https://your-frontend-domain.vercel.app';
+  const verifyUrl = `${baseUrl}/frontend/pages/verify-email.html?token=${verificationToken}&email=${encodeURIComponent(email)}`;
+  
+  await mailer.send('verify-email', { to: email, name: user.name, verifyUrl });
+}
+
+// Password Changed Notification
+async function sendPasswordChangedEmail(user) {
+  await mailer.send('password-changed', { to: user.email, name: user.name });
+}
+
+// Brute-Force Protection
+// windowMs: how long attempts are remembered; max: hard cap per window;
+// freeAttempts: attempts before progressive delays start; lockAfter/lockMs: account lockout
+const ATTEMPT_POLICIES = {
+  loginIp: { windowMs: 15 * 60 * 1000, max: 50, freeAttempts: 10 },
+  loginAccount: { windowMs: 15 * 60 * 1000, freeAttempts: 3, lockAfter: 10, lockMs: 30 * 60 * 1000 },
+  twoFactorAccount: { windowMs: 15 * 60 * 1000, max: 5 },
+  forgotIp: { windowMs: 60 * 60 * 1000, max: 10 },
+  forgotAccount: { windowMs: 60 * 60 * 1000, max: 3 },
+  resendIp: { windowMs: 60 * 60 * 1000, max: 10 },
+  resendAccount: { windowMs: 60 * 60 * 1000, max: 3 },
+  resetIp: { windowMs: 15 * 60 * 1000, max: 20, freeAttempts: 5 }
+};
+
+const MAX_PROGRESSIVE_DELAY_MS = 5 * 60 * 1000;
+
+const attemptKey = (scope, value) => `${scope}:${String(value).trim().toLowerCase()}`;
+
+// Returns { retryAfter, locked } when the key is currently blocked, otherwise null
+async function checkAttempts(key, policy) {
+  const record = await Attempt.findOne({ key });
+  if (!record) return null;
+  
+  const now = Date.now();
+  
+  if (record.lockedUntil && record.lockedUntil.getTime() > now) {
+    return { retryAfter: Math.ceil((record.lockedUntil.getTime() - now) / 1000), locked: true };
   }
-});
+  
+  if (record.firstAttemptAt.getTime() + policy.windowMs <= now) {
+    return null;
+  }
+  
+  if (policy.max && record.count >= policy.max) {
+    return { retryAfter: Math.ceil((record.firstAttemptAt.getTime() + policy.windowMs - now) / 1000), locked: false };
+  }
+  
+  if (policy.freeAttempts !== undefined && record.count >= policy.freeAttempts) {
+    const delay = Math.min(1000 * 2 ** (record.count - policy.freeAttempts), MAX_PROGRESSIVE_DELAY_MS);
+    const nextAllowedAt = record.lastAttemptAt.getTime() + delay;
+    if (nextAllowedAt > now) {
+      return { retryAfter: Math.ceil((nextAllowedAt - now) / 1000), locked: false };
+    }
+  }
+  
+  return null;
+}
 
-// Authentication Middleware
-const authenticateToken = (req, res, next) => {
-  const token = req.headers['authorization']?.split(' ')[1];
+// Counts an attempt against the key and returns the updated record. Every step is a single
+// atomic update, so parallel attempts can't lose counts or race each other into the unique key.
+async function recordAttempt(key, policy) {
+  const now = new Date();
   
-  if (!token) {
-    return res.status(401).json({ message: 'Access token required' });
+  // Start a fresh window once the old one has passed (locked keys never get here, checkAttempts stops them)
+  await Attempt.updateOne(
+    {
+      key,
+      firstAttemptAt: { $lte: new Date(now.getTime() - policy.windowMs) },
+      $or: [{ lockedUntil: { $exists: false } }, { lockedUntil: { $lte: now } }]
+    },
+    { $set: { count: 0, firstAttemptAt: now }, $unset: { lockedUntil: 1, unlockTokenHash: 1 } }
+  );
+  
+  const increment = () => Attempt.findOneAndUpdate(
+    { key },
+    {
+      $inc: { count: 1 },
+      $set: { lastAttemptAt: now },
+      $setOnInsert: { firstAttemptAt: now },
+      $max: { expiresAt: new Date(now.getTime() + policy.windowMs) }
+    },
+    { upsert: true, new: true }
+  );
+  
+  let record;
+  try {
+    record = await increment();
+  } catch (error) {
+    // Two first attempts at once: one insert wins and the other becomes an update
+    if (error.code !== 11000) throw error;
+    record = await increment();
   }
   
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ message: 'Invalid or expired token' });
+  if (policy.lockAfter && record.count >= policy.lockAfter && !(record.lockedUntil > now)) {
+    const lockedUntil = new Date(now.getTime() + policy.lockMs);
+    // Only one of several parallel attempts gets to lock, so only one unlock email goes out
+    const locked = await Attempt.findOneAndUpdate(
+      { key, $or: [{ lockedUntil: { $exists: false } }, { lockedUntil: { $lte: now } }] },
+      { $set: { lockedUntil }, $max: { expiresAt: lockedUntil } },
+      { new: true }
+    );
+    if (locked) record = locked;
+  }
+  
+  return record;
+}
+
+async function clearAttempts(key) {
+  await Attempt.deleteOne({ key });
+}
+
+function sendTooManyAttempts(res, block) {
+  const minutes = Math.ceil(block.retryAfter / 60);
+  const wait = block.retryAfter < 60 ? `${block.retryAfter} seconds` : `${minutes} minute${minutes > 1 ? 's' : ''}`;
+  
+  res.set('Retry-After', String(block.retryAfter));
+  return res.status(429).json({
+    message: block.locked
+      ? `This account is temporarily locked after too many failed login attempts. Try again in ${wait} or use the unlock link we emailed you.`
+      : `Too many attempts. Please try again in ${wait}.`,
+    code: block.locked ? 'ACCOUNT_LOCKED' : 'TOO_MANY_ATTEMPTS',
+    retryAfter: block.retryAfter
+  });
+}
+
+// Emails an unlock link the first time an account gets locked
+async function sendAccountLockedEmail(user, record) {
+  const unlockToken = crypto.randomBytes(32).toString('hex');
+  record.unlockTokenHash = hashToken(unlockToken);
+  await record.save();
+  
+  const baseUrl = process.env.BASE_URL || 'https://your-frontend-domain.vercel.app';
+  const unlockUrl = `${baseUrl}/frontend/pages/unlock-account.html?token=${unlockToken}&email=${encodeURIComponent(user.email)}`;
+  
+  await mailer.send('account-locked', { to: user.email, name: user.name, unlockUrl });
+}
+
+// Dealer Invitation Email
+async function sendInvitationEmail(invitation, organization, inviter, token) {
+  const baseUrl = process.env.BASE_URL || 'https://your-frontend-domain.vercel.app';
+  const acceptUrl = `${baseUrl}/frontend/index.html?invitation=${token}`;
+  
+  await mailer.send('organization-invitation', {
+    to: invitation.email,
+    inviterName: inviter.name,
+    organizationName: organization.name,
+    role: invitation.role,
+    acceptUrl
+  });
+}
+
+// Session Helpers
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without scanning hashes
+function generateRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(48).toString('hex')}`;
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { userId: user._id, email: user.email, roles: user.roles, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Creates a new session for the user and returns the token pair for it
+async function issueAuthTokens(user, req) {
+  const session = new Session({
+    userId: user._id,
+    refreshTokenHash: 'pending',
+    userAgent: req.headers['user-agent'],
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+  });
+  const refreshToken = generateRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken
+  };
+}
+
+async function buildLoginResponse(user, req) {
+  const { token, refreshToken } = await issueAuthTokens(user, req);
+  
+  return {
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      roles: user.roles,
+      emailVerified: user.emailVerified !== false,
+      twoFactorEnabled: Boolean(user.twoFactor?.enabled)
     }
-    req.user = user;
-    next();
+  };
+}
+
+// Password-checked (or SSO) logins for 2FA users get a short-lived challenge for POST /api/login/2fa
+function buildTwoFactorChallenge(user) {
+  const challengeToken = jwt.sign(
+    { userId: user._id, purpose: '2fa' },
+    JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+  return { twoFactorRequired: true, challengeToken };
+}
+
+async function findSessionByRefreshToken(refreshToken) {
+  const [sessionId] = String(refreshToken).split('.');
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return null;
+  }
+  return Session.findById(sessionId);
+}
+
+// Two-Factor Authentication Helpers (TOTP, RFC 6238)
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'ImranAutoHub';
+const TOTP_STEP_SECONDS = 30;
+const TWO_FACTOR_KEY = crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || JWT_SECRET)
+  .digest();
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+  let bits = '';
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    bits += index.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+function generateHotp(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000;
+  return code.toString().padStart(6, '0');
+}
+
+// Returns the matching time step (allowing one step of clock drift) or null
+function verifyTotp(secret, code, lastUsedStep) {
+  if (!/^\d{6}$/.test(String(code))) return null;
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+    if (lastUsedStep && step <= lastUsedStep) continue;
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+function encryptSecret(plain) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', TWO_FACTOR_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+}
+
+function decryptSecret(payload) {
+  const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', TWO_FACTOR_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+function generateBackupCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
   });
-};
+}
 
-// Health Check
-app.get('/api/health', async (req, res) => {
+const normalizeBackupCode = (code) => String(code).trim().toLowerCase().replace(/[^a-f0-9]/g, '');
+
+// Checks a TOTP or single-use backup code against the user's enabled 2FA and records its use
+async function consumeTwoFactorCode(user, code) {
+  if (!code) return false;
+  
+  const step = verifyTotp(decryptSecret(user.twoFactor.secret), String(code).trim(), user.twoFactor.lastUsedStep);
+  if (step !== null) {
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+    return true;
+  }
+  
+  const backupHash = hashToken(normalizeBackupCode(code));
+  const index = user.twoFactor.backupCodes.indexOf(backupHash);
+  if (index !== -1) {
+    user.twoFactor.backupCodes.splice(index, 1);
+    await user.save();
+    return true;
+  }
+  
+  return false;
+}
+
+// consumeTwoFactorCode for signed-in actions (new backup codes, turning 2FA off, deleting the
+// account), counted against the same per-account limit as the login step so a stolen access
+// token can't be used to guess codes. Resolves { valid } or { block } once the limit is reached.
+async function checkTwoFactorCode(user, code) {
+  const twoFactorKey = attemptKey('2fa:account', user._id);
+  const block = await checkAttempts(twoFactorKey, ATTEMPT_POLICIES.twoFactorAccount);
+  if (block) {
+    return { block };
+  }
+  
+  if (!(await consumeTwoFactorCode(user, code))) {
+    await recordAttempt(twoFactorKey, ATTEMPT_POLICIES.twoFactorAccount);
+    return { valid: false };
+  }
+  
+  await clearAttempts(twoFactorKey);
+  return { valid: true };
+}
+
+// OpenID Connect Single Sign-On Helpers
+// OIDC_PROVIDERS is a JSON array, e.g.
+// [{"id":"acme","name":"Acme Corp","issuer":"https://login.acme.com","clientId":"...","clientSecret":"..."}]
+// Optional per provider: "scope" (default "openid email profile") and
+// "tokenAuthMethod" ("client_secret_post" default, or "client_secret_basic").
+function loadOidcProviders() {
+  if (!process.env.OIDC_PROVIDERS) return [];
+  
   try {
-    await connectToDatabase();
-    res.json({ 
-      status: 'OK', 
-      database: mongoose.connection.readyState === 1 ? 'Connected' : 'Disconnected',
-      timestamp: new Date().toISOString()
+    const providers = JSON.parse(process.env.OIDC_PROVIDERS);
+    return providers.filter(provider => {
+      const valid = provider.id && provider.issuer && provider.clientId;
+      if (!valid) console.error('Ignoring OIDC provider without id/issuer/clientId:', provider.id);
+      return valid;
     });
   } catch (error) {
-    res.status(500).json({ 
-      status: 'Error', 
-      message: error.message 
-    });
+    console.error('Invalid OIDC_PROVIDERS configuration:', error.message);
+    return [];
   }
-});
+}
 
-// User Registration
-app.post('/api/register', async (req, res) => {
+const OIDC_PROVIDERS = loadOidcProviders();
+const OIDC_CACHE_MS = 60 * 60 * 1000;
+const oidcMetadataCache = new Map(); // issuer -> { metadata, jwks, fetchedAt }
+
+const findOidcProvider = (id) => OIDC_PROVIDERS.find(provider => provider.id === id);
+
+const base64Url = (buffer) => buffer.toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+async function fetchJson(url, options) {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`${url} responded ${response.status}: ${body.error_description || body.error || 'request failed'}`);
+  }
+  return body;
+}
+
+// Discovery document and signing keys, cached per issuer; forceRefresh picks up rotated keys
+async function getOidcMetadata(provider, forceRefresh = false) {
+  const cached = oidcMetadataCache.get(provider.issuer);
+  if (cached && !forceRefresh && Date.now() - cached.fetchedAt < OIDC_CACHE_MS) {
+    return cached;
+  }
+  
+  const issuer = provider.issuer.replace(/\/$/, '');
+  const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+  const jwks = await fetchJson(metadata.jwks_uri);
+  const entry = { metadata, jwks, fetchedAt: Date.now() };
+  
+  oidcMetadataCache.set(provider.issuer, entry);
+  return entry;
+}
+
+async function getOidcSigningKey(provider, kid) {
+  let { jwks } = await getOidcMetadata(provider);
+  let jwk = jwks.keys.find(key => !kid || key.kid === kid);
+  
+  if (!jwk) {
+    ({ jwks } = await getOidcMetadata(provider, true));
+    jwk = jwks.keys.find(key => !kid || key.kid === kid);
+  }
+  
+  if (!jwk) {
+    throw new Error(`No signing key "${kid}" published by ${provider.issuer}`);
+  }
+  
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+// Exchanges the authorization code (with the PKCE verifier) and returns the verified ID token claims
+async function redeemOidcCode(provider, login, code) {
+  const { metadata } = await getOidcMetadata(provider);
+  
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: login.redirectUri,
+    code_verifier: login.codeVerifier,
+    client_id: provider.clientId
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+  
+  if (provider.tokenAuthMethod === 'client_secret_basic') {
+    const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret || '')}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else if (provider.clientSecret) {
+    params.set('client_secret', provider.clientSecret);
+  }
+  
+  const tokens = await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body: params });
+  if (!tokens.id_token) {
+    throw new Error('Token response did not include an id_token');
+  }
+  
+  const decoded = jwt.decode(tokens.id_token, { complete: true });
+  if (!decoded) {
+    throw new Error('Malformed id_token');
+  }
+  
+  const key = await getOidcSigningKey(provider, decoded.header.kid);
+  const claims = jwt.verify(tokens.id_token, key, {
+    algorithms: ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'],
+    issuer: metadata.issuer,
+    audience: provider.clientId,
+    clockTolerance: 60
+  });
+  
+  if (claims.nonce !== login.nonce) {
+    throw new Error('id_token nonce mismatch');
+  }
+  
+  return claims;
+}
+
+// Finds the user linked to this identity, links an existing account by verified email, or creates one
+async function findOrCreateOidcUser(provider, claims) {
+  const identity = { provider: provider.id, subject: String(claims.sub) };
+  
+  let user = await User.findOne({ identities: { $elemMatch: identity } });
+  if (user) {
+    return user;
+  }
+  
+  const email = claims.email ? normalizeEmail(claims.email) : null;
+  if (!email || claims.email_verified === false) {
+    throw new Error('Your identity provider did not share a verified email address');
+  }
+  
+  user = await User.findOne({ email: anyCaseEmail(email) });
+  
+  if (!user) {
+    user = new User({
+      name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email.split('@')[0],
+      email,
+      password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10), // password login stays off until reset
+      phone: claims.phone_number || 'N/A'
+    });
+  }
+  
+  user.identities.push({ ...identity, linkedAt: new Date() });
+  
+  // The provider vouched for the address, so no separate verification email is needed
+  if (user.emailVerified === false) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  
+  await user.save();
+  return user;
+}
+
+// Authentication Middleware
+const authenticateToken = (req, res, next) => {
+  const token = req.headers['authorization']?.split(' ')[1];
+  
+  if (!token) {
+    return res.status(401).json({ message: 'Access token required' });
+  }
+  
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
+    if (err) {
+      if (err.name === 'TokenExpiredError') {
+        return res.status(401).json({ message: 'Access token expired', code: 'TOKEN_EXPIRED' });
+      }
+      return res.status(403).json({ message: 'Invalid or expired token' });
+    }
+
+    try {
+      await connectToDatabase();
+      const session = user.sid ? await Session.findById(user.sid) : null;
+      if (!session || session.revokedAt) {
+        return res.status(401).json({ message: 'Session has been revoked', code: 'SESSION_REVOKED' });
+      }
+    } catch (error) {
+      console.error('Session lookup error:', error);
+      return res.status(500).json({ message: 'Server error' });
+    }
+
+    req.user = user;
+    next();
+  });
+};
+
+// Like authenticateToken, but anonymous requests pass through without req.user
+// A missing, malformed or revoked token means an anonymous visitor rather than an error. An expired
+// one still gets the 401 so the client refreshes it and retries as the user.
+const optionalAuthenticate = (req, res, next) => {
+  const token = req.headers['authorization']?.split(' ')[1];
+  
+  if (!token) {
+    return next();
+  }
+  
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
+    if (err) {
+      if (err.name === 'TokenExpiredError') {
+        return res.status(401).json({ message: 'Access token expired', code: 'TOKEN_EXPIRED' });
+      }
+      return next();
+    }
+    
+    try {
+      await connectToDatabase();
+      const session = user.sid ? await Session.findById(user.sid) : null;
+      if (session && !session.revokedAt) {
+        req.user = user;
+      }
+    } catch (error) {
+      console.error('Session lookup error:', error);
+      return res.status(500).json({ message: 'Server error' });
+    }
+    
+    next();
+  });
+};
+
+// Role Authorization Middleware (run after authenticateToken); admins pass every check
+const authorize = (...roles) => (req, res, next) => {
+  const userRoles = req.user?.roles || [];
+  
+  if (userRoles.includes('admin') || roles.some(role => userRoles.includes(role))) {
+    return next();
+  }
+  
+  return res.status(403).json({ message: 'You do not have permission to perform this action' });
+};
+
+// Requires a verified email address (run after authenticateToken)
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    const user = await User.findById(req.user.userId).select('emailVerified');
+    if (!user) {
+      return res.status(401).json({ message: 'User not found' });
+    }
+    if (user.emailVerified === false) {
+      return res.status(403).json({
+        message: 'Please verify your email address before continuing',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Email verification check error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Health Check
+app.get('/api/health', async (req, res) => {
+  try {
+    await connectToDatabase();
+    res.json({ 
+      status: 'OK', 
+      database: mongoose.connection.readyState === 1 ? 'Connected' : 'Disconnected',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      status: 'Error', 
+      message: error.message 
+    });
+  }
+});
+
+// User Registration
+app.post('/api/register', async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const { name, password, phone } = req.body;
+    const email = req.body.email ? normalizeEmail(req.body.email) : '';
+    
+    if (!name || !email || !password || !phone) {
+      return res.status(400).json({ message: 'All fields are required' });
+    }
+    
+    if (typeof password !== 'string') {
+      return res.status(400).json({ message: 'Password must be text' });
+    }
+    
+    if (password.length < 8) {
+      return res.status(400).json({ message: 'Password must be at least 8 characters' });
+    }
+    
+    const existingUser = await User.findOne({ $or: [{ email: anyCaseEmail(email) }, { pendingEmail: anyCaseEmail(email) }] });
+    if (existingUser) {
+      return res.status(400).json({ message: 'Email already registered' });
+    }
+    
+    const hashedPassword = await bcrypt.hash(password, 10);
+    
+    const user = new User({
+      name,
+      email,
+      password: hashedPassword,
+      phone,
+      emailVerified: false
+    });
+    
+    await user.save();
+    
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      // The account still exists; the user can request another link
+      console.error('Verification email error:', mailError);
+    }
+    
+    res.status(201).json({ message: 'Registration successful. Please check your email to verify your account.' });
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// User Login
+app.post('/api/login', async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const { email, password } = req.body;
+    
+    if (!email || !password) {
+      return res.status(400).json({ message: 'Email and password required' });
+    }
+    
+    if (typeof password !== 'string') {
+      return res.status(400).json({ message: 'Password must be text' });
+    }
+    
+    const ipKey = attemptKey('login:ip', req.ip);
+    const accountKey = attemptKey('login:account', email);
+    
+    const block = await checkAttempts(accountKey, ATTEMPT_POLICIES.loginAccount)
+      || await checkAttempts(ipKey, ATTEMPT_POLICIES.loginIp);
+    if (block) {
+      return sendTooManyAttempts(res, block);
+    }
+    
+    const user = await User.findOne({ email: typedEmail(email) });
+    const isMatch = user ? await bcrypt.compare(password, user.password) : false;
+    
+    if (!isMatch) {
+      await recordAttempt(ipKey, ATTEMPT_POLICIES.loginIp);
+      const record = await recordAttempt(accountKey, ATTEMPT_POLICIES.loginAccount);
+      
+      if (user && record.lockedUntil && !record.unlockTokenHash) {
+        try {
+          await sendAccountLockedEmail(user, record);
+        } catch (mailError) {
+          console.error('Account locked email error:', mailError);
+        }
+      }
+      
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+    
+    await clearAttempts(accountKey);
+    
+    if (user.twoFactor?.enabled) {
+      return res.json(buildTwoFactorChallenge(user));
+    }
+    
+    res.json(await buildLoginResponse(user, req));
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Complete Login with a Two-Factor Code
+app.post('/api/login/2fa', async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const { challengeToken, code } = req.body;
+    
+    if (!challengeToken || !code) {
+      return res.status(400).json({ message: 'Verification code required' });
+    }
+    
+    let challenge;
+    try {
+      challenge = jwt.verify(challengeToken, JWT_SECRET);
+    } catch (err) {
+      return res.status(401).json({ message: 'Login attempt expired. Please login again.' });
+    }
+    
+    if (challenge.purpose !== '2fa') {
+      return res.status(401).json({ message: 'Login attempt expired. Please login again.' });
+    }
+    
+    const user = await User.findById(challenge.userId);
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(401).json({ message: 'Login attempt expired. Please login again.' });
+    }
+    
+    const twoFactorKey = attemptKey('2fa:account', user._id);
+    const block = await checkAttempts(twoFactorKey, ATTEMPT_POLICIES.twoFactorAccount);
+    if (block) {
+      return sendTooManyAttempts(res, block);
+    }
+    
+    if (!(await consumeTwoFactorCode(user, code))) {
+      await recordAttempt(twoFactorKey, ATTEMPT_POLICIES.twoFactorAccount);
+      return res.status(401).json({ message: 'Invalid verification code' });
+    }
+    
+    await clearAttempts(twoFactorKey);
+    
+    res.json(await buildLoginResponse(user, req));
+  } catch (error) {
+    console.error('2FA login error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Single Sign-On (OpenID Connect)
+
+// List Configured SSO Providers
+app.get('/api/auth/oidc/providers', (req, res) => {
+  res.json(OIDC_PROVIDERS.map(provider => ({ id: provider.id, name: provider.name || provider.id })));
+});
+
+// Start SSO Login (redirects to the provider)
+app.get('/api/auth/oidc/:provider/start', async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const provider = findOidcProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ message: 'Unknown sign-in provider' });
+    }
+    
+    const { metadata } = await getOidcMetadata(provider);
+    
+    const codeVerifier = base64Url(crypto.randomBytes(32));
+    const login = await OidcLogin.create({
+      provider: provider.id,
+      state: base64Url(crypto.randomBytes(24)),
+      nonce: base64Url(crypto.randomBytes(24)),
+      codeVerifier,
+      redirectUri: `${process.env.OIDC_REDIRECT_BASE_URL || `${req.protocol}://${req.get('host')}`}/api/auth/oidc/${provider.id}/callback`
+    });
+    
+    const authorizeUrl = new URL(metadata.authorization_endpoint);
+    authorizeUrl.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: provider.clientId,
+      redirect_uri: login.redirectUri,
+      scope: provider.scope || 'openid email profile',
+      state: login.state,
+      nonce: login.nonce,
+      code_challenge: base64Url(crypto.createHash('sha256').update(codeVerifier).digest()),
+      code_challenge_method: 'S256'
+    }).toString();
+    
+    res.redirect(authorizeUrl.toString());
+  } catch (error) {
+    console.error('SSO start error:', error);
+    res.status(502).json({ message: 'Could not reach the sign-in provider. Please try again later.' });
+  }
+});
+
+// SSO Callback (provider redirects here, we redirect back to the frontend)
+app.get('/api/auth/oidc/:provider/callback', async (req, res) => {
+  const baseUrl = process.env.BASE_URL || 'https://your-frontend-domain.vercel.app';
+  const backToFrontend = (params) => res.redirect(`${baseUrl}/frontend/index.html?${new URLSearchParams(params)}`);
+  
+  try {
+    await connectToDatabase();
+    
+    const { code, state, error: providerError, error_description: providerErrorDescription } = req.query;
+    
+    const login = state
+      ? await OidcLogin.findOne({ state, provider: req.params.provider, codeVerifier: { $exists: true } })
+      : null;
+    if (!login) {
+      return backToFrontend({ ssoError: 'Sign-in session expired. Please try again.' });
+    }
+    
+    // The state is single use whatever happens next
+    const codeVerifier = login.codeVerifier;
+    login.codeVerifier = undefined;
+    await login.save();
+    
+    if (providerError || !code) {
+      return backToFrontend({ ssoError: providerErrorDescription || providerError || 'Sign-in was cancelled' });
+    }
+    
+    const provider = findOidcProvider(login.provider);
+    if (!provider) {
+      return backToFrontend({ ssoError: 'Unknown sign-in provider' });
+    }
+    
+    let user;
+    try {
+      const claims = await redeemOidcCode(provider, { ...login.toObject(), codeVerifier }, code);
+      user = await findOrCreateOidcUser(provider, claims);
+    } catch (ssoError) {
+      console.error('SSO callback error:', ssoError);
+      return backToFrontend({ ssoError: ssoError.message.startsWith('Your identity provider')
+        ? ssoError.message
+        : 'Sign-in failed. Please try again.' });
+    }
+    
+    if (user.deletedAt) {
+      return backToFrontend({ ssoError: 'This account has been deleted' });
+    }
+    
+    // Tokens never travel in the URL: the frontend trades this one-time code for them
+    const exchangeCode = crypto.randomBytes(32).toString('hex');
+    login.userId = user._id;
+    login.exchangeCodeHash = hashToken(exchangeCode);
+    await login.save();
+    
+    backToFrontend({ sso: exchangeCode });
+  } catch (error) {
+    console.error('SSO callback error:', error);
+    backToFrontend({ ssoError: 'Sign-in failed. Please try again.' });
+  }
+});
+
+// Exchange SSO Code for Tokens
+app.post('/api/auth/oidc/exchange', async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const { code } = req.body;
+    
+    if (!code) {
+      return res.status(400).json({ message: 'Sign-in code required' });
+    }
+    
+    const login = await OidcLogin.findOneAndDelete({ exchangeCodeHash: hashToken(code) });
+    const user = login ? await User.findById(login.userId) : null;
+    
+    if (!user) {
+      return res.status(400).json({ message: 'Sign-in link expired. Please try again.' });
+    }
+    
+    if (user.twoFactor?.enabled) {
+      return res.json(buildTwoFactorChallenge(user));
+    }
+    
+    res.json(await buildLoginResponse(user, req));
+  } catch (error) {
+    console.error('SSO exchange error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Verify Email
+app.post('/api/verify-email', async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const { token, email } = req.body;
+    
+    if (!token || !email) {
+      return res.status(400).json({ message: 'Token and email are required' });
+    }
+    
+    const user = await User.findOne({ $or: [{ email }, { pendingEmail: email }] });
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid verification link' });
+    }
+    
+    const isEmailChange = user.pendingEmail === email;
+    
+    if (!isEmailChange && user.emailVerified !== false) {
+      return res.json({ message: 'Email already verified', verified: true });
+    }
+    
+    const verificationToken = await VerificationToken.findOne({
+      userId: user._id,
+      email,
+      token: hashToken(token)
+    });
+    
+    if (!verificationToken) {
+      return res.status(400).json({ message: 'Invalid or expired verification link' });
+    }
+    
+    if (isEmailChange) {
+      const emailTaken = await User.exists({ email, _id: { $ne: user._id } });
+      if (emailTaken) {
+        return res.status(400).json({ message: 'Email already registered' });
+      }
+      user.email = email;
+      user.pendingEmail = undefined;
+    }
+    
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+    
+    await VerificationToken.deleteMany({ userId: user._id });
+    
+    res.json({ message: 'Email verified successfully', verified: true });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Error verifying email. Please try again.' });
+  }
+});
+
+// Resend Verification Email
+app.post('/api/resend-verification', async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const { email } = req.body;
+    
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+    
+    // Every request counts (not just failures) since each one can send an email
+    const ipKey = attemptKey('resend:ip', req.ip);
+    const accountKey = attemptKey('resend:account', email);
+    
+    const block = await checkAttempts(ipKey, ATTEMPT_POLICIES.resendIp)
+      || await checkAttempts(accountKey, ATTEMPT_POLICIES.resendAccount);
+    if (block) {
+      return sendTooManyAttempts(res, block);
+    }
+    
+    await recordAttempt(ipKey, ATTEMPT_POLICIES.resendIp);
+    await recordAttempt(accountKey, ATTEMPT_POLICIES.resendAccount);
+    
+    const user = await User.findOne({ email: typedEmail(email) });
+    
+    if (user && user.emailVerified === false) {
+      await sendVerificationEmail(user);
+    }
+    
+    res.json({ message: 'If this account still needs verification, a new link has been sent.' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Error sending verification email. Please try again.' });
+  }
+});
+
+// Refresh Access Token (rotates the refresh token)
+app.post('/api/token/refresh', async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const { refreshToken } = req.body;
+    
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token required' });
+    }
+    
+    const session = await findSessionByRefreshToken(refreshToken);
+    if (!session || session.revokedAt || session.expiresAt < new Date()) {
+      return res.status(401).json({ message: 'Session expired. Please login again.' });
+    }
+    
+    // A valid session id with the wrong secret means an old refresh token was replayed
+    if (session.refreshTokenHash !== hashToken(refreshToken)) {
+      session.revokedAt = new Date();
+      await session.save();
+      return res.status(401).json({ message: 'Session expired. Please login again.' });
+    }
+    
+    const user = await User.findById(session.userId);
+    if (!user) {
+      return res.status(401).json({ message: 'Session expired. Please login again.' });
+    }
+    
+    const newRefreshToken = generateRefreshToken(session._id);
+    session.refreshTokenHash = hashToken(newRefreshToken);
+    session.lastUsedAt = new Date();
+    session.userAgent = req.headers['user-agent'] || session.userAgent;
+    session.ip = req.ip || session.ip;
+    await session.save();
+    
+    res.json({
+      token: signAccessToken(user, session._id),
+      refreshToken: newRefreshToken
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Logout Current Session
+app.post('/api/logout', async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const { refreshToken } = req.body;
+    
+    if (refreshToken) {
+      const session = await findSessionByRefreshToken(refreshToken);
+      if (session && session.refreshTokenHash === hashToken(refreshToken) && !session.revokedAt) {
+        session.revokedAt = new Date();
+        await session.save();
+      }
+    }
+    
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Logout All Sessions
+app.post('/api/logout-all', authenticateToken, async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const result = await Session.updateMany(
+      { userId: req.user.userId, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    
+    res.json({ message: 'Logged out from all devices', count: result.modifiedCount });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get Active Sessions
+app.get('/api/user/sessions', authenticateToken, async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const sessions = await Session.find({
+      userId: req.user.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+    .select('-refreshTokenHash')
+    .sort({ lastUsedAt: -1 });
+    
+    res.json(sessions.map(session => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session._id.toString() === req.user.sid
+    })));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke a Single Session
+app.delete('/api/user/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    
+    const session = await Session.findOne({ _id: req.params.id, userId: req.user.userId });
+    if (!session || session.revokedAt) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    
+    session.revokedAt = new Date();
+    await session.save();
+    
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get User Profile
+app.get('/api/user/profile', authenticateToken, async (req, res) => {
+  try {
+    await connectToDatabase();
+    const user = await User.findById(req.user.userId).select(PRIVATE_USER_FIELDS);
+    res.json(user);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update User Profile
+app.put('/api/user/profile', authenticateToken, async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const { name, phone, email, currentPassword } = req.body;
+    
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (name !== undefined) {
+      if (!String(name).trim()) {
+        return res.status(400).json({ message: 'Name cannot be empty' });
+      }
+      user.name = String(name).trim();
+    }
+    
+    if (phone !== undefined) {
+      if (!String(phone).trim()) {
+        return res.status(400).json({ message: 'Phone cannot be empty' });
+      }
+      user.phone = String(phone).trim();
+    }
+    
+    let emailChangePending = false;
+    const newEmail = email !== undefined ? normalizeEmail(email) : null;
+    
+    if (newEmail && newEmail !== normalizeEmail(user.email)) {
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(newEmail)) {
+        return res.status(400).json({ message: 'Invalid email address' });
+      }
+      
+      if (currentPassword !== undefined && typeof currentPassword !== 'string') {
+        return res.status(400).json({ message: 'Password must be text' });
+      }
+      
+      if (!currentPassword || !(await bcrypt.compare(currentPassword, user.password))) {
+        return res.status(401).json({ message: 'Current password is required to change your email' });
+      }
+      
+      const emailTaken = await User.exists({ $or: [{ email: anyCaseEmail(newEmail) }, { pendingEmail: anyCaseEmail(newEmail) }] });
+      if (emailTaken) {
+        return res.status(400).json({ message: 'Email already registered' });
+      }
+      
+      // The old address keeps working until the new one is confirmed
+      user.pendingEmail = newEmail;
+      emailChangePending = true;
+    }
+    
+    await user.save();
+    
+    if (emailChangePending) {
+      await sendVerificationEmail(user, user.pendingEmail);
+    }
+    
+    const profile = await User.findById(user._id).select(PRIVATE_USER_FIELDS);
+    
+    res.json({
+      message: emailChangePending
+        ? `Profile updated. Check ${user.pendingEmail} to confirm your new email address.`
+        : 'Profile updated',
+      user: profile
+    });
+  } catch (error) {
+    console.error('Profile update error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Change Password
+app.post('/api/user/change-password', authenticateToken, async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const { currentPassword, newPassword } = req.body;
+    
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: 'Current and new password are required' });
+    }
+    
+    if (typeof newPassword !== 'string' || typeof currentPassword !== 'string') {
+      return res.status(400).json({ message: 'Passwords must be text' });
+    }
+    
+    if (newPassword.length < 8) {
+      return res.status(400).json({ message: 'Password must be at least 8 characters' });
+    }
+    
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+    
+    user.password = await bcrypt.hash(newPassword, 10);
+    await user.save();
+    
+    // Keep this device signed in, sign out the rest
+    await Session.updateMany(
+      { userId: user._id, _id: { $ne: req.user.sid }, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    
+    try {
+      await sendPasswordChangedEmail(user);
+    } catch (mailError) {
+      console.error('Password changed email error:', mailError);
+    }
+    
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Two-Factor Authentication Routes
+
+// Start 2FA Enrollment
+app.post('/api/user/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    
+    const secret = base32Encode(crypto.randomBytes(20));
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+    
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${user.email}`);
+    const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}&algorithm=SHA1&digits=6&period=${TOTP_STEP_SECONDS}`;
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+    
+    res.json({ secret, otpauthUrl, qrCode });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Confirm 2FA Enrollment
+app.post('/api/user/2fa/enable', authenticateToken, async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const { code } = req.body;
+    
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+    
+    const secret = decryptSecret(user.twoFactor.pendingSecret);
+    const step = verifyTotp(secret, String(code || '').trim());
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+    
+    const backupCodes = generateBackupCodes();
+    
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.backupCodes = backupCodes.map(backupCode => hashToken(normalizeBackupCode(backupCode)));
+    await user.save();
+    
+    res.json({ message: 'Two-factor authentication enabled', backupCodes });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Regenerate Backup Codes
+app.post('/api/user/2fa/backup-codes', authenticateToken, async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const { code } = req.body;
+    
+    const user = await User.findById(req.user.userId);
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    
+    const twoFactor = await checkTwoFactorCode(user, code);
+    if (twoFactor.block) {
+      return sendTooManyAttempts(res, twoFactor.block);
+    }
+    if (!twoFactor.valid) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+    
+    const backupCodes = generateBackupCodes();
+    user.twoFactor.backupCodes = backupCodes.map(backupCode => hashToken(normalizeBackupCode(backupCode)));
+    await user.save();
+    
+    res.json({ message: 'Backup codes regenerated', backupCodes });
+  } catch (error) {
+    console.error('2FA backup codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Disable 2FA
+app.post('/api/user/2fa/disable', authenticateToken, async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const { password, code } = req.body;
+    
+    if (!password || !code) {
+      return res.status(400).json({ message: 'Password and verification code required' });
+    }
+    
+    if (typeof password !== 'string') {
+      return res.status(400).json({ message: 'Password must be text' });
+    }
+    
+    const user = await User.findById(req.user.userId);
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      return res.status(401).json({ message: 'Incorrect password' });
+    }
+    
+    const twoFactor = await checkTwoFactorCode(user, code);
+    if (twoFactor.block) {
+      return sendTooManyAttempts(res, twoFactor.block);
+    }
+    if (!twoFactor.valid) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+    
+    user.twoFactor = { enabled: false, backupCodes: [] };
+    await user.save();
+    
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// The listing's seller, an admin, or a member of the listing's dealership with `permission`
+async function hasListingPermission(vehicle, user, permission) {
+  if (vehicle.sellerId.toString() === user.userId || user.roles.includes('admin')) {
+    return true;
+  }
+  if (!vehicle.organizationId) {
+    return false;
+  }
+  const organization = await Organization.findById(vehicle.organizationId);
+  return Boolean(organization && organization.can(user.userId, permission));
+}
+
+const REQUIRED_LISTING_FIELDS = ['brand', 'model', 'year', 'price', 'type', 'condition', 'mileage', 'contactName', 'contactPhone'];
+
+// What still has to be filled in before a draft can go live
+function missingListingFields(vehicle) {
+  const missing = REQUIRED_LISTING_FIELDS.filter(field => vehicle[field] === undefined || vehicle[field] === null || vehicle[field] === '');
+  if (!vehicle.images || vehicle.images.length === 0) {
+    missing.push('images');
+  }
+  return missing;
+}
+
+// Reads the optional specification fields from a form body. Empty values clear a field;
+// features is a comma-separated list. Returns { specs } or { error }.
+function parseVehicleSpecs(body) {
+  const specs = {};
+  
+  for (const field of ['fuelType', 'transmission', 'drivetrain', 'color']) {
+    if (body[field] === undefined) continue;
+    const value = String(body[field]).trim();
+    if (value && !VEHICLE_SPECS[field].includes(value)) {
+      return { error: `Invalid ${field}` };
+    }
+    specs[field] = value || undefined;
+  }
+  
+  const ranges = { engineSize: [parseFloat, 0, 10], seats: [parseInt, 1, 20] };
+  for (const [field, [parse, min, max]] of Object.entries(ranges)) {
+    if (body[field] === undefined) continue;
+    const value = body[field] === '' ? undefined : parse(body[field]);
+    if (value !== undefined && (isNaN(value) || value < min || value > max)) {
+      return { error: `${field} must be between ${min} and ${max}` };
+    }
+    specs[field] = value;
+  }
+  
+  if (body.features !== undefined) {
+    const features = [...new Set(String(body.features).split(',').map(value => value.trim()).filter(Boolean))];
+    const unknown = features.find(feature => !VEHICLE_SPECS.features.includes(feature));
+    if (unknown) {
+      return { error: `Unknown feature "${unknown}"` };
+    }
+    specs.features = features;
+  }
+  
+  return { specs };
+}
+
+// Reads postcode/address from a form body. Returns { location } (null when the postcode was
+// cleared), { error } for unknown postcodes, or {} when neither field was sent.
+function readListingLocation(body) {
+  if (body.postcode === undefined && body.address === undefined) {
+    return {};
+  }
+  if (!body.postcode) {
+    return body.address ? { error: 'Enter a ZIP code with the address' } : { location: null };
+  }
+  
+  const found = lookupPostcode(body.postcode);
+  if (!found) {
+    return { error: `Unknown ZIP code "${body.postcode}"` };
+  }
+  
+  const address = body.address ? String(body.address).trim().slice(0, 200) : undefined;
+  return { location: { ...found, address } };
+}
+
+// "78701 500 Congress Ave" for edit history entries; '' when there is no location
+const locationLabel = (location) => (location && location.postcode
+  ? [location.postcode, location.address || ''].join(' ').trim()
+  : '');
+
+const optionalNumber = (value, parse) => (value === undefined || value === '' ? undefined : parse(value));
+
+// Publishes scheduled drafts whose publishAt has passed and expires stale listings. There is no
+// scheduler on Vercel, so this runs lazily (at most once a minute per instance) before listings are read.
+// Drafts can be edited after they are scheduled, so each one is checked again before it goes live;
+// incomplete ones stay drafts, lose their schedule and the seller gets a notification saying why.
+let lastLifecycleRun = 0;
+
+async function runListingLifecycle() {
+  if (Date.now() - lastLifecycleRun < 60 * 1000) return;
+  lastLifecycleRun = Date.now();
+  
+  try {
+    const now = new Date();
+    
+    const due = await Vehicle.find({ status: 'draft', publishAt: { $lte: now } })
+      .select(`${REQUIRED_LISTING_FIELDS.join(' ')} images sellerId publishAt`);
+    
+    let published = 0;
+    for (const vehicle of due) {
+      // Conditional updates, in case the seller publishes or reschedules at the same moment
+      const scheduled = { _id: vehicle._id, status: 'draft', publishAt: vehicle.publishAt };
+      const missing = missingListingFields(vehicle);
+      
+      if (missing.length > 0) {
+        const held = await Vehicle.updateOne(scheduled, { $unset: { publishAt: 1 } });
+        if (held.modifiedCount > 0) {
+          await Notification.create({
+            userId: vehicle.sellerId,
+            type: 'listing',
+            title: `${[vehicle.year, vehicle.brand, vehicle.model].filter(Boolean).join(' ') || 'A draft'} was not published`,
+            message: `Complete these fields and publish it again: ${missing.join(', ')}`,
+            vehicleIds: [vehicle._id]
+          });
+        }
+        continue;
+      }
+      
+      const result = await Vehicle.updateOne(scheduled, {
+        $set: { status: 'available', publishedAt: now, alertsPendingAt: now, expiresAt: new Date(now.getTime() + LISTING_EXPIRY_DAYS * DAY_MS) },
+        $unset: { publishAt: 1 },
+        $push: { statusHistory: { from: 'draft', status: 'available', at: now } }
+      });
+      published += result.modifiedCount;
+    }
+    
+    // Listings from before expiry existed have no expiresAt and age out from createdAt
+    const expired = await Vehicle.updateMany(
+      {
+        status: 'available',
+        $or: [
+          { expiresAt: { $lte: now } },
+          { expiresAt: { $exists: false }, createdAt: { $lte: new Date(now.getTime() - LISTING_EXPIRY_DAYS * DAY_MS) } }
+        ]
+      },
+      {
+        $set: { status: 'expired' },
+        $push: { statusHistory: { from: 'available', status: 'expired', at: now } }
+      }
+    );
+    
+    if (published > 0 || expired.modifiedCount > 0) {
+      console.log(`Listing lifecycle: ${published} published, ${expired.modifiedCount} expired`);
+    }
+  } catch (error) {
+    console.error('Listing lifecycle error:', error);
+  }
+}
+
+// Duplicate detection: the same VIN, near-identical photos, or the same brand/model/year with
+// about the same mileage. A seller reposting their own listing by VIN or photos is blocked;
+// everything else is flagged for review.
+const IMAGE_HASH_MAX_DISTANCE = HASH_MAX_DISTANCE; // differing bits out of 64
+const REPOST_STATUSES = ['draft', 'available', 'pending_sale', 'expired', 'withdrawn'];
+const DUPLICATE_LISTING_FIELDS = 'sellerId organizationId brand model year mileage status imageDetails.hash';
+
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function hashDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let bits = 0;
+  while (diff) {
+    bits += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return bits;
+}
+
+// candidate: { _id?, sellerId, organizationId?, vin?, brand, model, year, mileage }.
+// Returns [{ vehicle, reasons, sameOwner }]; photos are only compared when image hashes are given.
+async function findDuplicateListings(candidate, imageHashes = []) {
+  const matches = new Map();
+  const add = (vehicle, reason) => {
+    const key = vehicle._id.toString();
+    if (!matches.has(key)) {
+      const sameOwner = vehicle.sellerId.toString() === candidate.sellerId.toString()
+        || Boolean(candidate.organizationId && vehicle.organizationId
+          && vehicle.organizationId.toString() === candidate.organizationId.toString());
+      matches.set(key, { vehicle, reasons: [], sameOwner });
+    }
+    const match = matches.get(key);
+    if (!match.reasons.includes(reason)) match.reasons.push(reason);
+  };
+  const others = candidate._id ? { _id: { $ne: candidate._id } } : {};
+  
+  if (candidate.vin) {
+    const sameVin = await Vehicle.find({ ...others, vin: candidate.vin }).select(DUPLICATE_LISTING_FIELDS).lean();
+    sameVin.forEach(vehicle => add(vehicle, 'vin'));
+  }
+  
+  if (candidate.brand && candidate.model && candidate.year && Number.isFinite(candidate.mileage)) {
+    const tolerance = Math.max(500, candidate.mileage * 0.02);
+    const owners = [{ sellerId: candidate.sellerId }];
+    if (candidate.organizationId) owners.push({ organizationId: candidate.organizationId });
+    
+    const similar = await Vehicle.find({
+      ...others,
+      $or: owners,
+      status: { $in: REPOST_STATUSES },
+      brand: new RegExp(`^${escapeRegExp(candidate.brand.trim())}$`, 'i'),
+      model: new RegExp(`^${escapeRegExp(candidate.model.trim())}$`, 'i'),
+      year: candidate.year,
+      mileage: { $gte: candidate.mileage - tolerance, $lte: candidate.mileage + tolerance }
+    }).select(DUPLICATE_LISTING_FIELDS).lean();
+    similar.forEach(vehicle => add(vehicle, 'details'));
+  }
+  
+  // Hamming distance cannot be indexed: the band index narrows the search down to listings with a
+  // photo that shares a slice of hash, and only those are compared bit by bit
+  const hashes = imageHashes.filter(Boolean);
+  if (hashes.length > 0) {
+    const listings = await Vehicle.find({ ...others, 'imageDetails.hashBands': { $in: hashes.flatMap(hashBands) } })
+      .select(DUPLICATE_LISTING_FIELDS)
+      .lean();
+    listings
+      .filter(vehicle => vehicle.imageDetails.some(image => image.hash
+        && hashes.some(hash => hashDistance(image.hash, hash) <= IMAGE_HASH_MAX_DISTANCE)))
+      .forEach(vehicle => add(vehicle, 'images'));
+  }
+  
+  return [...matches.values()];
+}
+
+const isBlockingDuplicate = (match) => match.sameOwner
+  && REPOST_STATUSES.includes(match.vehicle.status)
+  && (match.reasons.includes('vin') || match.reasons.includes('images'));
+
+const duplicateSummary = ({ vehicle, reasons }) => ({
+  _id: vehicle._id,
+  brand: vehicle.brand,
+  model: vehicle.model,
+  year: vehicle.year,
+  status: vehicle.status,
+  reasons
+});
+
+function duplicateListingResponse(match) {
+  const relist = match.vehicle.status === 'expired' || match.vehicle.status === 'withdrawn';
+  return {
+    message: relist
+      ? `You already listed this vehicle (now ${match.vehicle.status}). Relist the existing listing instead of posting it again.`
+      : 'You already have a listing for this vehicle. Edit the existing listing instead of posting it again.',
+    code: 'DUPLICATE_LISTING',
+    duplicateOf: duplicateSummary(match)
+  };
+}
+
+// Post Vehicle
+// status=draft saves an incomplete listing; publishAt (ISO date) schedules a complete one
+app.post('/api/vehicles', authenticateToken, authorize('seller', 'dealer'), requireVerifiedEmail, upload.array('images', 10), async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const { stockNumber, year, price, type, condition, mileage, description, contactName, contactPhone, organizationId, status, publishAt } = req.body;
+    // New listings are stored under the catalog's spelling of their brand and model
+    const { brand, model } = normalizeMakeModel(req.body.brand, req.body.model);
+    
+    let vin;
+    if (req.body.vin) {
+      const result = validateVin(req.body.vin);
+      if (!result.valid) {
+        return res.status(400).json({ message: result.error, code: 'INVALID_VIN' });
+      }
+      vin = result.vin;
+    }
+    
+    const { specs, error: specError } = parseVehicleSpecs(req.body);
+    if (specError) {
+      return res.status(400).json({ message: specError });
+    }
+    
+    const { location, error: locationError } = readListingLocation(req.body);
+    if (locationError) {
+      return res.status(400).json({ message: locationError });
+    }
+    
+    let publishDate = null;
+    if (publishAt) {
+      publishDate = new Date(publishAt);
+      if (isNaN(publishDate.getTime())) {
+        return res.status(400).json({ message: 'Invalid publish date' });
+      }
+    }
+    
+    const isScheduled = Boolean(publishDate && publishDate > new Date());
+    const isDraft = status === 'draft' && !publishDate;
+    
+    if (!isDraft) {
+      if (!brand || !model || !year || !price || !type || !condition || !mileage || !contactName || !contactPhone) {
+        return res.status(400).json({ message: 'All required fields must be filled' });
+      }
+      
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ message: 'At least one image is required' });
+      }
+    }
+    
+    if (organizationId) {
+      const organization = mongoose.Types.ObjectId.isValid(organizationId)
+        ? await Organization.findById(organizationId)
+        : null;
+      if (!organization || !organization.roleOf(req.user.userId)) {
+        return res.status(403).json({ message: 'You are not a member of this dealership' });
+      }
+    }
+    
+    const candidate = {
+      sellerId: req.user.userId,
+      organizationId: organizationId || undefined,
+      vin,
+      brand,
+      model,
+      year: optionalNumber(year, parseInt),
+      mileage: optionalNumber(mileage, parseInt)
+    };
+    
+    // Cheap checks first so an obvious repost never uploads anything
+    const blocking = (await findDuplicateListings(candidate)).find(isBlockingDuplicate);
+    if (blocking) {
+      return res.status(409).json(duplicateListingResponse(blocking));
+    }
+    
+    const uploadedImages = await Promise.all((req.files || []).map(file =>
+      uploadVehicleImage(file.buffer, file.originalname)
+    ));
+    const imageUrls = uploadedImages.map(image => image.url);
+    
+    const duplicates = await findDuplicateListings(candidate, uploadedImages.map(image => image.hash));
+    const repost = duplicates.find(isBlockingDuplicate);
+    if (repost) {
+      await deleteStoredFiles(imageFileUrls(uploadedImages, imageUrls));
+      return res.status(409).json(duplicateListingResponse(repost));
+    }
+    
+    const vehicle = new Vehicle({
+      sellerId: req.user.userId,
+      stockNumber: stockNumber || undefined,
+      vin,
+      brand,
+      model,
+      year: optionalNumber(year, parseInt),
+      price: optionalNumber(price, parseFloat),
+      type,
+      condition,
+      mileage: optionalNumber(mileage, parseInt),
+      description,
+      ...specs,
+      images: imageUrls,
+      imageDetails: uploadedImages,
+      duplicateFlags: duplicates.map(match => ({ vehicleId: match.vehicle._id, reasons: match.reasons })),
+      contactName,
+      contactPhone,
+      location: location || undefined,
+      organizationId: organizationId || undefined,
+      status: isDraft || isScheduled ? 'draft' : 'available',
+      publishAt: isScheduled ? publishDate : undefined,
+      publishedAt: isDraft || isScheduled ? undefined : new Date(),
+      alertsPendingAt: isDraft || isScheduled ? undefined : new Date(),
+      expiresAt: isDraft || isScheduled ? undefined : new Date(Date.now() + LISTING_EXPIRY_DAYS * DAY_MS)
+    });
+    vehicle.statusHistory.push({ status: vehicle.status, by: req.user.userId });
+    
+    await vehicle.save();
+    
+    const message = isScheduled
+      ? `Listing scheduled for ${publishDate.toISOString()}`
+      : isDraft ? 'Draft saved' : 'Vehicle posted successfully';
+    
+    res.status(201).json({
+      message,
+      vehicle,
+      ...(duplicates.length > 0 && {
+        warning: 'This listing looks like an existing one and has been flagged for review.',
+        duplicates: duplicates.map(duplicateSummary)
+      })
+    });
+  } catch (error) {
+    console.error('Vehicle post error:', error);
+    res.status(500).json({ message: 'Server error: ' + error.message });
+  }
+});
+
+// Publish or Schedule a Draft
+// Body: { publishAt } to schedule (omit to publish now), or { publishAt: null } to cancel a schedule
+app.post('/api/vehicles/:id/publish', authenticateToken, requireVerifiedEmail, async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Vehicle not found' });
+    }
+    
+    const vehicle = await Vehicle.findById(req.params.id);
+    if (!vehicle) {
+      return res.status(404).json({ message: 'Vehicle not found' });
+    }
+    
+    if (!(await hasListingPermission(vehicle, req.user, 'manageInventory'))) {
+      return res.status(403).json({ message: 'Only the seller can publish this listing' });
+    }
+    
+    if (vehicle.status !== 'draft') {
+      return res.status(400).json({ message: 'Only drafts can be published' });
+    }
+    
+    if (req.body.publishAt === null) {
+      vehicle.publishAt = undefined;
+      await vehicle.save();
+      return res.json({ message: 'Schedule cancelled. The listing is a draft again.', vehicle });
+    }
+    
+    const missing = missingListingFields(vehicle);
+    if (missing.length > 0) {
+      return res.status(400).json({ message: `Complete these fields before publishing: ${missing.join(', ')}`, missing });
+    }
+    
+    const publishDate = req.body.publishAt ? new Date(req.body.publishAt) : new Date();
+    if (isNaN(publishDate.getTime())) {
+      return res.status(400).json({ message: 'Invalid publish date' });
+    }
+    
+    if (publishDate > new Date()) {
+      vehicle.publishAt = publishDate;
+      await vehicle.save();
+      return res.json({ message: `Listing scheduled for ${publishDate.toISOString()}`, vehicle });
+    }
+    
+    vehicle.transitionTo('available', req.user.userId);
+    await vehicle.save();
+    
+    res.json({ message: 'Listing published', vehicle });
+  } catch (error) {
+    console.error('Publish vehicle error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Full VINs and attached documents are for signed-in users; everyone else sees the
+// serial number masked and only the document types. Duplicate flags are for admins.
+function vehicleForViewer(vehicle, user) {
+  const data = vehicle.toObject();
+  data.imageDetails = (data.imageDetails || []).map(({ hash, hashBands: bands, ...image }) => image);
+  if (!(user?.roles || []).includes('admin')) {
+    delete data.duplicateFlags;
+  }
+  if (!user) {
+    if (data.vin) data.vin = maskVin(data.vin);
+    if (data.location) delete data.location.address;
+    data.documents = (data.documents || []).map(({ _id, documentType, uploadedAt }) => ({ _id, documentType, uploadedAt }));
+  }
+  return data;
+}
+
+// Decode VIN
+app.get('/api/vin/:vin', (req, res) => {
+  const result = validateVin(req.params.vin);
+  if (!result.valid) {
+    return res.status(400).json({ message: result.error, code: 'INVALID_VIN' });
+  }
+  res.json(decodeVin(result.vin));
+});
+
+const DEFAULT_SEARCH_RADIUS_MILES = 50;
+const MAX_SEARCH_RADIUS_MILES = 500;
+
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+
+// sort=<name> -> the field results are ordered by; ties are broken by _id in the same direction.
+// relevance (the default with q=) and distance (the default with near=) are handled separately.
+const VEHICLE_SORTS = {
+  newest: { field: 'createdAt', direction: -1 },
+  price_asc: { field: 'price', direction: 1 },
+  price_desc: { field: 'price', direction: -1 },
+  year_desc: { field: 'year', direction: -1 },
+  year_asc: { field: 'year', direction: 1 },
+  mileage_asc: { field: 'mileage', direction: 1 },
+  ending_soon: { field: 'expiresAt', direction: 1 }
+};
+const DATE_SORT_FIELDS = ['createdAt', 'expiresAt'];
+
+// Cursors are opaque to clients: base64url JSON of the last result's sort value and _id, or of
+// an offset for relevance and distance sorting, whose sort values cannot be filtered on
+const encodeCursor = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function decodeCursor(cursor) {
+  try {
+    const value = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    return value && typeof value === 'object' ? value : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Mongo condition for the results that come after the cursor in the given sort order, or null
+// when the cursor is not valid. Listings without the sort field (expiresAt before expiry existed)
+// sort before every value ascending and after every value descending, and $gt/$lt never match
+// them, so they get their own conditions.
+function afterCursor({ field, direction }, cursor) {
+  if (!cursor.id || !mongoose.Types.ObjectId.isValid(cursor.id)) return null;
+  
+  let value = cursor.value ?? null;
+  if (DATE_SORT_FIELDS.includes(field) && value !== null) {
+    value = typeof value === 'string' ? new Date(value) : null;
+    if (!value || isNaN(value.getTime())) return null;
+  } else if (value !== null && !Number.isFinite(value)) {
+    return null;
+  }
+  
+  const op = direction === 1 ? '$gt' : '$lt';
+  const id = new mongoose.Types.ObjectId(cursor.id);
+  const sameValue = { [field]: value, _id: { [op]: id } };
+  
+  if (value === null) {
+    return direction === 1 ? { $or: [{ [field]: { $ne: null } }, sameValue] } : sameValue;
+  }
+  const after = [{ [field]: { [op]: value } }, sameValue];
+  if (direction === -1) after.push({ [field]: null });
+  return { $or: after };
+}
+
+// Brand/model pairs in published listings with their listing counts (most listed first), and
+// the words text searches correct typos against: those names plus the catalog's
+const INVENTORY_NAMES_TTL_MS = 5 * 60 * 1000;
+let inventoryNames = { names: [], words: new Set(), loadedAt: 0 };
+
+async function loadInventoryNames() {
+  if (Date.now() - inventoryNames.loadedAt < INVENTORY_NAMES_TTL_MS) {
+    return inventoryNames;
+  }
+  
+  const names = (await Vehicle.aggregate([
+    { $match: { status: { $in: PUBLIC_VEHICLE_STATUSES }, brand: { $type: 'string' } } },
+    { $group: { _id: { brand: '$brand', model: '$model' }, count: { $sum: 1 } } },
+    { $sort: { count: -1 } }
+  ])).map(({ _id, count }) => ({
+    brand: _id.brand,
+    model: _id.model || '',
+    brandKey: nameKey(canonicalMake(_id.brand) || _id.brand), // the same for every spelling of a catalog make
+    count
+  }));
+  
+  const words = new Set([...names.flatMap(name => [name.brand, name.model]), ...catalogNames(), ...Object.keys(SYNONYMS)]
+    .flatMap(tokenize)
+    .filter(word => word.length >= 3 && !/^\d+$/.test(word)));
+  
+  inventoryNames = { names, words, loadedAt: Date.now() };
+  return inventoryNames;
+}
+
+const loadSearchVocabulary = async () => (await loadInventoryNames()).words;
+
+// Search filters shared by the listing search and its facet counts. Resolves { filter, origin,
+// radiusMiles } where origin is the [lng, lat] of near=, or { error } for a bad location.
+async function buildVehicleFilter(query) {
+  const { brand, type, condition, minPrice, maxPrice, minYear, maxYear, status } = query;
+  
+  const filter = {};
+  
+  if (brand) {
+    // "Toyta" and "chevy" also find listings under the catalog's "Toyota" and "Chevrolet"
+    const make = canonicalMake(brand);
+    const names = make && make.toLowerCase() !== String(brand).toLowerCase() ? [String(brand), make] : [String(brand)];
+    const patterns = names.map(name => new RegExp(escapeRegExp(name), 'i'));
+    filter.brand = patterns.length === 1 ? patterns[0] : { $in: patterns };
+  }
+  if (type) filter.type = String(type);
+  if (condition) filter.condition = String(condition);
+  if (minPrice || maxPrice) {
+    filter.price = {};
+    if (minPrice) filter.price.$gte = parseFloat(minPrice);
+    if (maxPrice) filter.price.$lte = parseFloat(maxPrice);
+  }
+  if (minYear || maxYear) {
+    filter.year = {};
+    if (minYear) filter.year.$gte = parseInt(minYear);
+    if (maxYear) filter.year.$lte = parseInt(maxYear);
+  }
+  // Specification filters take comma-separated values, e.g. fuelType=hybrid,electric. Unknown
+  // values are dropped, and a filter with no known value at all is ignored like features below.
+  for (const field of ['fuelType', 'transmission', 'drivetrain', 'color']) {
+    if (!query[field]) continue;
+    const values = String(query[field]).split(',').filter(value => VEHICLE_SPECS[field].includes(value));
+    if (values.length > 0) filter[field] = { $in: values };
+  }
+  // $all with an empty list matches nothing, so features= without a known feature is ignored
+  if (query.features) {
+    const features = String(query.features).split(',').filter(value => VEHICLE_SPECS.features.includes(value));
+    if (features.length > 0) filter.features = { $all: features };
+  }
+  const specNumbers = { minSeats: parseInt, minEngineSize: parseFloat, maxEngineSize: parseFloat };
+  for (const [param, parse] of Object.entries(specNumbers)) {
+    if (query[param] && isNaN(parse(query[param]))) {
+      return { error: `${param} must be a number` };
+    }
+  }
+  if (query.minSeats) filter.seats = { $gte: parseInt(query.minSeats) };
+  if (query.minEngineSize || query.maxEngineSize) {
+    filter.engineSize = {};
+    if (query.minEngineSize) filter.engineSize.$gte = parseFloat(query.minEngineSize);
+    if (query.maxEngineSize) filter.engineSize.$lte = parseFloat(query.maxEngineSize);
+  }
+  
+  // q=<words>: brand, model and description, widened with synonyms and typo corrections
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (q) {
+    const { search } = expandQuery(q, await loadSearchVocabulary());
+    if (search) filter.$text = { $search: search };
+  }
+  
+  // near=<ZIP or "lat,lng">&radius=<miles>
+  let origin = null;
+  let radiusMiles;
+  if (query.near) {
+    origin = parseOrigin(query.near);
+    if (!origin) {
+      return { error: 'Unknown location. Use a ZIP code or "latitude,longitude".' };
+    }
+    radiusMiles = Math.min(parseFloat(query.radius) || DEFAULT_SEARCH_RADIUS_MILES, MAX_SEARCH_RADIUS_MILES);
+    filter['location.point'] = { $geoWithin: { $centerSphere: [origin, radiusMiles / EARTH_RADIUS_MILES] } };
+  }
+  
+  // ids=<id>,<id>: particular listings, e.g. a visitor's favorites. Cast here since aggregate()
+  // (the facets) does not cast filter values the way find() does.
+  if (query.ids) {
+    const ids = String(query.ids).split(',').filter(id => mongoose.Types.ObjectId.isValid(id)).slice(0, MAX_PAGE_SIZE);
+    filter._id = { $in: ids.map(id => new mongoose.Types.ObjectId(id)) };
+  }
+  
+  // status=available,pending_sale; drafts, withdrawn and expired listings are never public
+  const statuses = status ? String(status).split(',').filter(value => PUBLIC_VEHICLE_STATUSES.includes(value)) : [];
+  filter.status = statuses.length > 0 ? { $in: statuses } : 'available';
+  
+  return { filter, origin, radiusMiles };
+}
+
+// Get All Vehicles
+app.get('/api/vehicles', optionalAuthenticate, async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const { filter, origin, radiusMiles, error: filterError } = await buildVehicleFilter(req.query);
+    if (filterError) {
+      return res.status(400).json({ message: filterError });
+    }
+    
+    const sortName = req.query.sort || (filter.$text ? 'relevance' : origin ? 'distance' : 'newest');
+    // MongoDB cannot combine $text with $nearSphere
+    if (filter.$text && sortName === 'distance') {
+      return res.status(400).json({ message: 'Keyword searches cannot be sorted by distance' });
+    }
+    const byDistance = sortName === 'distance' && Boolean(origin);
+    const byRelevance = sortName === 'relevance' && Boolean(filter.$text);
+    const byOffset = byDistance || byRelevance;
+    const sort = VEHICLE_SORTS[sortName] || VEHICLE_SORTS.newest;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    const cursorCondition = cursor && !byOffset ? afterCursor(sort, cursor) : null;
+    if (req.query.cursor && (!cursor || (byOffset ? !Number.isInteger(cursor.offset) || cursor.offset < 0 : !cursorCondition))) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+    const offset = byOffset && cursor ? cursor.offset : 0;
+    
+    await runListingLifecycle();
+    
+    // The total ignores the cursor; $nearSphere cannot be counted, so counting uses $geoWithin
+    const total = await Vehicle.countDocuments(filter);
+    
+    let query;
+    if (byRelevance) {
+      query = Vehicle.find(filter, { score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' }, _id: -1 })
+        .skip(offset);
+    } else if (byDistance) {
+      // $nearSphere returns the closest listings first
+      query = Vehicle.find({
+        ...filter,
+        'location.point': {
+          $nearSphere: { $geometry: { type: 'Point', coordinates: origin }, $maxDistance: radiusMiles * METERS_PER_MILE }
+        }
+      }).skip(offset);
+    } else {
+      query = Vehicle.find(cursorCondition ? { ...filter, $and: [cursorCondition] } : filter)
+        .sort({ [sort.field]: sort.direction, _id: sort.direction });
+    }
+    // One extra result tells whether there is another page
+    const results = await query.limit(limit + 1).populate('sellerId', 'name email');
+    const vehicles = results.slice(0, limit);
+    
+    let nextCursor = null;
+    if (results.length > limit) {
+      const last = vehicles[vehicles.length - 1];
+      nextCursor = byOffset
+        ? encodeCursor({ offset: offset + limit })
+        : encodeCursor({ value: last[sort.field] ?? null, id: last._id });
+    }
+    
+    res.json({
+      vehicles: vehicles.map(vehicle => {
+        const data = vehicleForViewer(vehicle, req.user);
+        if (origin && vehicle.location?.point) {
+          data.distance = Math.round(distanceMiles(origin, vehicle.location.point.coordinates) * 10) / 10;
+        }
+        return data;
+      }),
+      total,
+      limit,
+      sort: byRelevance ? 'relevance' : byDistance ? 'distance' : Object.keys(VEHICLE_SORTS).find(name => VEHICLE_SORTS[name] === sort),
+      nextCursor
+    });
+  } catch (error) {
+    console.error('Get vehicles error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Facet buckets: a bucket holds values from its boundary up to (not including) the next one
+const YEAR_FACET_BOUNDARIES = [0, 2000, 2005, 2010, 2015, 2020, 2023, 10000];
+const PRICE_FACET_BOUNDARIES = [0, 5000, 10000, 15000, 20000, 30000, 50000, 75000, 100000, Number.MAX_SAFE_INTEGER];
+const FACET_BRAND_LIMIT = 50;
+
+// Facets a search can be narrowed by, with the filter field each one is counted on
+const FACET_FIELDS = ['type', 'brand', 'condition', 'year', 'price'];
+
+// { value, count } per distinct value, most common first; brands are grouped case-insensitively
+const valueFacet = (field, caseInsensitive = false) => [
+  { $match: { [field]: { $nin: [null, ''] } } },
+  { $group: { _id: caseInsensitive ? { $toLower: `$${field}` } : `$${field}`, value: { $first: `$${field}` }, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } }
+];
+
+// { min, max, count } per non-empty bucket; max is exclusive, and null for the open-ended last bucket
+const bucketFacet = (field, boundaries) => [
+  { $match: { [field]: { $type: 'number' } } },
+  { $bucket: { groupBy: `$${field}`, boundaries, default: 'other', output: { count: { $sum: 1 } } } }
+];
+
+const bucketRanges = (buckets, boundaries) => buckets.filter(bucket => bucket._id !== 'other').map(bucket => {
+  const next = boundaries[boundaries.indexOf(bucket._id) + 1];
+  return { min: bucket._id, max: next === boundaries[boundaries.length - 1] ? null : next, count: bucket.count };
+});
+
+// Search Facet Counts
+// Takes the same filters as GET /api/vehicles. Each facet is counted with every filter except its
+// own, so the other options of a facet that is already narrowed down are still offered.
+app.get('/api/vehicles/facets', async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const { filter, error: filterError } = await buildVehicleFilter(req.query);
+    if (filterError) {
+      return res.status(400).json({ message: filterError });
+    }
+    
+    const shared = { ...filter };
+    const facetFilters = {};
+    FACET_FIELDS.forEach(field => {
+      if (shared[field] !== undefined) {
+        facetFilters[field] = shared[field];
+        delete shared[field];
+      }
+    });
+    const exceptFor = (field) => ({ $match: Object.fromEntries(Object.entries(facetFilters).filter(([key]) => key !== field)) });
+    
+    await runListingLifecycle();
+    
+    // $text has to be in the first stage, so everything that is not a facet filter is matched up front
+    const [facets] = await Vehicle.aggregate([
+      { $match: shared },
+      {
+        $facet: {
+          total: [{ $match: facetFilters }, { $count: 'count' }],
+          type: [exceptFor('type'), ...valueFacet('type')],
+          brand: [exceptFor('brand'), ...valueFacet('brand', true), { $limit: FACET_BRAND_LIMIT }],
+          condition: [exceptFor('condition'), ...valueFacet('condition')],
+          year: [exceptFor('year'), ...bucketFacet('year', YEAR_FACET_BOUNDARIES)],
+          price: [exceptFor('price'), ...bucketFacet('price', PRICE_FACET_BOUNDARIES)]
+        }
+      }
+    ]);
+    
+    const values = (list) => list.map(({ value, count }) => ({ value, count }));
+    res.json({
+      total: facets.total[0]?.count || 0,
+      type: values(facets.type),
+      brand: values(facets.brand),
+      condition: values(facets.condition),
+      year: bucketRanges(facets.year, YEAR_FACET_BOUNDARIES),
+      price: bucketRanges(facets.price, PRICE_FACET_BOUNDARIES)
+    });
+  } catch (error) {
+    console.error('Vehicle facets error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const MAX_SUGGESTIONS = 20;
+
+// Brand and Model Suggestions (type-ahead)
+// ?field=brand&q=toy, or ?field=model&brand=Toyota&q=cam (brand optional). Combines the bundled
+// make/model catalog with the names in published listings; q may be misspelt.
+// Returns { field, suggestions: [{ value, count }] } where count is the number of listings.
+app.get('/api/vehicles/suggest', async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const field = req.query.field || 'brand';
+    if (!['brand', 'model'].includes(field)) {
+      return res.status(400).json({ message: 'field must be brand or model' });
+    }
+    const q = typeof req.query.q === 'string' ? req.query.q.slice(0, 50) : '';
+    const brand = typeof req.query.brand === 'string' ? req.query.brand : '';
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 8, 1), MAX_SUGGESTIONS);
+    
+    const { names } = await loadInventoryNames();
+    
+    let suggestions;
+    if (field === 'brand') {
+      suggestions = suggestNames(q, MAKES, names.map(name => ({ value: name.brand, count: name.count })), limit);
+    } else {
+      // Listings under any spelling of the brand count towards its models
+      const brandKey = nameKey(canonicalMake(brand) || brand);
+      const models = names
+        .filter(name => !brandKey || name.brandKey === brandKey)
+        .map(name => ({ value: name.model, count: name.count }));
+      suggestions = suggestNames(q, catalogModels(brand), models, limit);
+    }
+    
+    res.json({ field, suggestions });
+  } catch (error) {
+    console.error('Vehicle suggestions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get Single Vehicle
+app.get('/api/vehicles/:id', optionalAuthenticate, async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    await runListingLifecycle();
+    
+    const vehicle = await Vehicle.findById(req.params.id)
+      .populate('sellerId', 'name email phone');
+    
+    if (!vehicle) {
+      return res.status(404).json({ message: 'Vehicle not found' });
+    }
+    
+    // Drafts only exist for the people who can edit them
+    if (vehicle.status === 'draft') {
+      const canView = req.user && await hasListingPermission(
+        { sellerId: vehicle.sellerId._id, organizationId: vehicle.organizationId },
+        req.user,
+        'manageInventory'
+      );
+      if (!canView) {
+        return res.status(404).json({ message: 'Vehicle not found' });
+      }
+    }
+    
+    res.json(vehicleForViewer(vehicle, req.user));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Listing fields a seller may edit, with how to read them from the form body
+const EDITABLE_VEHICLE_FIELDS = {
+  stockNumber: String,
+  vin: String,
+  brand: String,
+  model: String,
+  year: parseInt,
+  price: parseFloat,
+  type: String,
+  condition: String,
+  mileage: parseInt,
+  description: String,
+  contactName: String,
+  contactPhone: String
+};
+
+// May be cleared on published listings
+const OPTIONAL_VEHICLE_FIELDS = ['stockNumber', 'vin', 'description'];
+
+// Fields bidders based their offer on; frozen while bids are open (price may still be lowered)
+const BID_LOCKED_VEHICLE_FIELDS = ['vin', 'brand', 'model', 'year', 'type', 'condition', 'mileage'];
+
+const MAX_VEHICLE_IMAGES = 10;
+
+// Update Vehicle
+// Images: optional `imageOrder` JSON array of existing image URLs and "new:<n>" entries
+// (the n-th uploaded file). Existing images left out are deleted. Without it, uploads are appended.
+app.put('/api/vehicles/:id', authenticateToken, upload.array('images', MAX_VEHICLE_IMAGES), async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Vehicle not found' });
+    }
+    
+    const vehicle = await Vehicle.findById(req.params.id);
+    if (!vehicle) {
+      return res.status(404).json({ message: 'Vehicle not found' });
+    }
+    
+    if (!(await hasListingPermission(vehicle, req.user, 'manageInventory'))) {
+      return res.status(403).json({ message: 'Only the seller can edit this listing' });
+    }
+    
+    if (vehicle.status === 'sold' || vehicle.status === 'pending_sale') {
+      return res.status(400).json({ message: 'Listings with a confirmed sale can no longer be edited' });
+    }
+    
+    // Empty form fields arrive as '' (published listings) or undefined (drafts); neither is a
+    // change to a field that was never filled in
+    const isBlank = (value) => value === undefined || value === null || value === '';
+    const changes = [];
+    for (const [field, parse] of Object.entries(EDITABLE_VEHICLE_FIELDS)) {
+      if (req.body[field] === undefined) continue;
+      
+      let value = vehicle.status === 'draft' ? optionalNumber(req.body[field], parse) : parse(req.body[field]);
+      if (field === 'vin' && value) {
+        const result = validateVin(value);
+        if (!result.valid) {
+          return res.status(400).json({ message: result.error, code: 'INVALID_VIN' });
+        }
+        value = result.vin;
+      }
+      if (typeof value === 'number' && (isNaN(value) || value < 0)) {
+        return res.status(400).json({ message: `Invalid ${field}` });
+      }
+      if (value === '' && !OPTIONAL_VEHICLE_FIELDS.includes(field) && vehicle.status !== 'draft') {
+        return res.status(400).json({ message: `${field} cannot be empty` });
+      }
+      if (isBlank(value) && isBlank(vehicle[field])) continue;
+      if (value !== vehicle[field]) {
+        changes.push({ field, from: vehicle[field], to: value });
+      }
+    }
+    
+    const { specs, error: specError } = parseVehicleSpecs(req.body);
+    if (specError) {
+      return res.status(400).json({ message: specError });
+    }
+    const { location, error: locationError } = readListingLocation(req.body);
+    if (locationError) {
+      return res.status(400).json({ message: locationError });
+    }
+    if (location !== undefined && locationLabel(location) !== locationLabel(vehicle.location)) {
+      changes.push({ field: 'location', from: locationLabel(vehicle.location) || undefined, to: locationLabel(location) || undefined });
+    }
+    
+    for (const [field, value] of Object.entries(specs)) {
+      const current = field === 'features' ? [...vehicle.features] : vehicle[field];
+      const unchanged = field === 'features' ? current.join(',') === value.join(',') : current === value;
+      if (!unchanged) {
+        changes.push({ field, from: current, to: value });
+      }
+    }
+    
+    const highestBid = await Bid.findOne({ vehicleId: vehicle._id, status: 'pending' }).sort({ amount: -1 });
+    
+    if (highestBid) {
+      const locked = changes.filter(change => BID_LOCKED_VEHICLE_FIELDS.includes(change.field)
+        || (change.field === 'price' && change.to > vehicle.price));
+      if (locked.length > 0) {
+        return res.status(409).json({
+          message: `This listing has bids, so ${locked.map(change => change.field).join(', ')} can no longer be changed (price may only be lowered)`,
+          code: 'LISTING_HAS_BIDS'
+        });
+      }
+    }
+    
+    // Work out the new image list before uploading anything
+    const uploads = req.files || [];
+    let order;
+    if (req.body.imageOrder) {
+      try {
+        order = JSON.parse(req.body.imageOrder);
+      } catch (err) {
+        return res.status(400).json({ message: 'Invalid image order' });
+      }
+      const valid = Array.isArray(order) && order.every(entry => vehicle.images.includes(entry)
+        || (/^new:\d+$/.test(entry) && parseInt(entry.slice(4)) < uploads.length));
+      if (!valid || new Set(order).size !== order.length) {
+        return res.status(400).json({ message: 'Invalid image order' });
+      }
+    } else {
+      order = [...vehicle.images, ...uploads.map((file, index) => `new:${index}`)];
+    }
+    
+    if (order.length === 0 && vehicle.status !== 'draft') {
+      return res.status(400).json({ message: 'At least one image is required' });
+    }
+    if (order.length > MAX_VEHICLE_IMAGES) {
+      return res.status(400).json({ message: `Maximum ${MAX_VEHICLE_IMAGES} images allowed` });
+    }
+    
+    const uploadedImages = await Promise.all(
+      uploads.map(file => uploadVehicleImage(file.buffer, file.originalname))
+    );
+    const uploadedUrls = uploadedImages.map(image => image.url);
+    const images = order.map(entry => (entry.startsWith('new:') ? uploadedUrls[parseInt(entry.slice(4))] : entry));
+    const removedImages = vehicle.images.filter(url => !images.includes(url));
+    
+    if (images.join('\n') !== vehicle.images.join('\n')) {
+      changes.push({
+        field: 'images',
+        from: vehicle.images.length,
+        to: images.length
+      });
+    }
+    
+    if (changes.length === 0) {
+      return res.json({ message: 'No changes to save', vehicle });
+    }
+    
+    changes.forEach(change => {
+      if (change.field === 'location') {
+        vehicle.location = location || undefined;
+      } else if (change.field !== 'images') {
+        vehicle[change.field] = change.to;
+      }
+    });
+    // Dropped images, and uploaded files that did not make it into the order, are cleaned up after saving
+    const unusedFiles = [
+      ...imageFileUrls(vehicle.imageDetails, removedImages),
+      ...imageFileUrls(uploadedImages, uploadedUrls.filter(url => !images.includes(url)))
+    ];
+    vehicle.images = images;
+    vehicle.imageDetails = [...vehicle.imageDetails, ...uploadedImages].filter(image => images.includes(image.url));
+    vehicle.updatedAt = new Date();
+    if (vehicle.status !== 'draft') {
+      vehicle.editHistory.push({ editedBy: req.user.userId, hadBids: Boolean(highestBid), changes });
+    }
+    
+    await vehicle.save();
+    await deleteStoredFiles(unusedFiles);
+    
+    res.json({ message: 'Listing updated', vehicle });
+  } catch (error) {
+    console.error('Vehicle update error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Withdraw or Delete Vehicle
+// Listings without bids are deleted with their images; listings with bids are withdrawn
+// (kept for the bidders' history) and their open bids are rejected.
+app.delete('/api/vehicles/:id', authenticateToken, async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Vehicle not found' });
+    }
+    
+    const vehicle = await Vehicle.findById(req.params.id);
+    if (!vehicle) {
+      return res.status(404).json({ message: 'Vehicle not found' });
+    }
+    
+    if (!(await hasListingPermission(vehicle, req.user, 'manageInventory'))) {
+      return res.status(403).json({ message: 'Only the seller can remove this listing' });
+    }
+    
+    if (vehicle.status === 'sold' || vehicle.status === 'pending_sale') {
+      return res.status(400).json({ message: 'Listings with a confirmed sale cannot be removed' });
+    }
+    
+    const bidCount = await Bid.countDocuments({ vehicleId: vehicle._id });
+    
+    if (bidCount > 0) {
+      if (vehicle.status !== 'withdrawn') {
+        vehicle.transitionTo('withdrawn', req.user.userId);
+        await vehicle.save();
+      }
+      await Bid.updateMany({ vehicleId: vehicle._id, status: 'pending' }, { status: 'rejected' });
+      
+      return res.json({ message: 'Listing withdrawn. Open bids have been rejected.', withdrawn: true });
+    }
+    
+    await Vehicle.deleteOne({ _id: vehicle._id });
+    await deleteStoredFiles([
+      ...imageFileUrls(vehicle.imageDetails, vehicle.images),
+      ...vehicle.documents.map(doc => doc.url)
+    ]);
+    
+    res.json({ message: 'Listing deleted', deleted: true });
+  } catch (error) {
+    console.error('Vehicle delete error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Change Listing Status
+// Body: { status }. Sellers complete (sold) or call off (available) a pending sale, withdraw
+// listings and relist withdrawn or expired ones. Publishing drafts goes through /publish.
+app.post('/api/vehicles/:id/status', authenticateToken, async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const { status } = req.body;
+    
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Vehicle not found' });
+    }
+    
+    const vehicle = await Vehicle.findById(req.params.id);
+    if (!vehicle) {
+      return res.status(404).json({ message: 'Vehicle not found' });
+    }
+    
+    const permission = vehicle.status === 'pending_sale' ? 'confirmBookings' : 'manageInventory';
+    if (!(await hasListingPermission(vehicle, req.user, permission))) {
+      return res.status(403).json({ message: 'Only the seller can change this listing' });
+    }
+    
+    if (vehicle.status === 'draft' || status === 'pending_sale' || status === 'expired') {
+      const hint = vehicle.status === 'draft' ? 'Publish the draft instead'
+        : status === 'pending_sale' ? 'Confirm a booking to start a sale'
+        : 'Listings expire automatically';
+      return res.status(400).json({ message: hint });
+    }
+    
+    if (!vehicle.canTransitionTo(status)) {
+      return res.status(409).json({
+        message: `A ${vehicle.status.replace('_', ' ')} listing cannot be marked ${String(status).replace('_', ' ')}`,
+        code: 'INVALID_STATUS_TRANSITION',
+        allowed: VEHICLE_TRANSITIONS[vehicle.status]
+      });
+    }
+    
+    const previousStatus = vehicle.status;
+    vehicle.transitionTo(status, req.user.userId);
+    await vehicle.save();
+    
+    if (previousStatus === 'pending_sale') {
+      const booking = await Booking.findOne({ vehicleId: vehicle._id, status: 'confirmed' }).sort({ createdAt: -1 });
+      if (booking) {
+        booking.status = status === 'sold' ? 'completed' : 'cancelled';
+        await booking.save();
+        if (status === 'available') {
+          await Bid.updateOne({ _id: booking.bidId }, { status: 'rejected' });
+        }
+      }
+    }
+    
+    if (status === 'withdrawn') {
+      await Bid.updateMany({ vehicleId: vehicle._id, status: 'pending' }, { status: 'rejected' });
+    }
+    
+    const messages = {
+      sold: 'Sale completed',
+      available: previousStatus === 'pending_sale' ? 'Sale cancelled. The listing is available again.' : 'Listing is live again',
+      withdrawn: 'Listing withdrawn'
+    };
+    
+    res.json({ message: messages[status], vehicle });
+  } catch (error) {
+    console.error('Vehicle status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Renew Listing (restarts the expiry period; relists expired listings)
+app.post('/api/vehicles/:id/renew', authenticateToken, async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Vehicle not found' });
+    }
+    
+    const vehicle = await Vehicle.findById(req.params.id);
+    if (!vehicle) {
+      return res.status(404).json({ message: 'Vehicle not found' });
+    }
+    
+    if (!(await hasListingPermission(vehicle, req.user, 'manageInventory'))) {
+      return res.status(403).json({ message: 'Only the seller can renew this listing' });
+    }
+    
+    if (vehicle.status === 'expired') {
+      vehicle.transitionTo('available', req.user.userId);
+    } else if (vehicle.status === 'available') {
+      vehicle.expiresAt = new Date(Date.now() + LISTING_EXPIRY_DAYS * DAY_MS);
+    } else {
+      return res.status(400).json({ message: 'Only available or expired listings can be renewed' });
+    }
+    
+    await vehicle.save();
+    
+    res.json({ message: `Listing renewed until ${vehicle.expiresAt.toDateString()}`, vehicle });
+  } catch (error) {
+    console.error('Renew vehicle error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const MAX_VEHICLE_DOCUMENTS = 10;
+
+const isInspector = (user) => (user.roles || []).some(role => role === 'inspector' || role === 'admin');
+
+// Attach Vehicle Documents
+// Multipart: `documents` (PDF files) and `documentType`. Sellers with manageInventory and inspectors may attach.
+app.post('/api/vehicles/:id/documents', authenticateToken, documentUpload.array('documents', 5), async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Vehicle not found' });
+    }
+    
+    const vehicle = await Vehicle.findById(req.params.id);
+    if (!vehicle) {
+      return res.status(404).json({ message: 'Vehicle not found' });
+    }
+    
+    if (!isInspector(req.user) && !(await hasListingPermission(vehicle, req.user, 'manageInventory'))) {
+      return res.status(403).json({ message: 'Only the seller or an inspector can attach documents' });
+    }
+    
+    const { documentType } = req.body;
+    if (!VEHICLE_DOCUMENT_TYPES.includes(documentType)) {
+      return res.status(400).json({ message: `Document type must be one of: ${VEHICLE_DOCUMENT_TYPES.join(', ')}` });
+    }
+    
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({ message: 'Select at least one PDF document' });
+    }
+    if (vehicle.documents.length + files.length > MAX_VEHICLE_DOCUMENTS) {
+      return res.status(400).json({ message: `Maximum ${MAX_VEHICLE_DOCUMENTS} documents per listing` });
+    }
+    
+    const urls = await Promise.all(
+      files.map(file => uploadFile(file.buffer, file.originalname, file.mimetype, 'autohub-documents'))
+    );
+    
+    files.forEach((file, index) => {
+      vehicle.documents.push({
+        documentType,
+        name: file.originalname,
+        url: urls[index],
+        size: file.size,
+        uploadedBy: req.user.userId
+      });
+    });
+    
+    await vehicle.save();
+    
+    res.status(201).json({ message: files.length === 1 ? 'Document attached' : `${files.length} documents attached`, documents: vehicle.documents });
+  } catch (error) {
+    console.error('Attach document error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove Vehicle Document
+app.delete('/api/vehicles/:id/documents/:documentId', authenticateToken, async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Vehicle not found' });
+    }
+    
+    const vehicle = await Vehicle.findById(req.params.id);
+    const document = vehicle && vehicle.documents.id(req.params.documentId);
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+    
+    // Inspectors can only remove what they uploaded; the seller can remove anything on their listing
+    const canRemove = (document.uploadedBy && document.uploadedBy.toString() === req.user.userId)
+      || (req.user.roles || []).includes('admin')
+      || await hasListingPermission(vehicle, req.user, 'manageInventory');
+    if (!canRemove) {
+      return res.status(403).json({ message: 'You cannot remove this document' });
+    }
+    
+    document.deleteOne();
+    await vehicle.save();
+    await deleteStoredFiles([document.url]);
+    
+    res.json({ message: 'Document removed', documents: vehicle.documents });
+  } catch (error) {
+    console.error('Remove document error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Record Inspection
+// Body: { checklist: [{ item, result: pass|advisory|fail, notes }], summary }. Every checklist item
+// must be rated; the score is worked out here so it cannot be set directly.
+app.put('/api/vehicles/:id/inspection', authenticateToken, authorize('inspector'), async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Vehicle not found' });
+    }
+    
+    const vehicle = await Vehicle.findById(req.params.id);
+    if (!vehicle) {
+      return res.status(404).json({ message: 'Vehicle not found' });
+    }
+    
+    if (vehicle.sellerId.toString() === req.user.userId) {
+      return res.status(403).json({ message: 'You cannot inspect your own vehicle' });
+    }
+    
+    const { checklist, summary } = req.body;
+    if (!Array.isArray(checklist)) {
+      return res.status(400).json({ message: 'Checklist is required' });
+    }
+    
+    const entries = new Map();
+    for (const entry of checklist) {
+      if (!entry || !INSPECTION_ITEMS.includes(entry.item) || !(entry.result in INSPECTION_RESULT_POINTS)) {
+        return res.status(400).json({ message: 'Each checklist entry needs a known item and a result of pass, advisory or fail' });
+      }
+      entries.set(entry.item, {
+        item: entry.item,
+        result: entry.result,
+        notes: entry.notes ? String(entry.notes).trim().slice(0, 500) : undefined
+      });
+    }
+    
+    const missing = INSPECTION_ITEMS.filter(item => !entries.has(item));
+    if (missing.length > 0) {
+      return res.status(400).json({ message: `Rate every checklist item. Missing: ${missing.join(', ')}`, missing });
+    }
+    
+    const ratedChecklist = INSPECTION_ITEMS.map(item => entries.get(item));
+    const points = ratedChecklist.reduce((total, entry) => total + INSPECTION_RESULT_POINTS[entry.result], 0);
+    
+    vehicle.inspection = {
+      inspectedBy: req.user.userId,
+      inspectedAt: new Date(),
+      checklist: ratedChecklist,
+      score: Math.round((points / INSPECTION_ITEMS.length) * 100),
+      summary: summary ? String(summary).trim().slice(0, 2000) : undefined
+    };
+    
+    await vehicle.save();
+    
+    res.json({ message: `Inspection recorded with a score of ${vehicle.inspection.score}`, inspection: vehicle.inspection });
+  } catch (error) {
+    console.error('Record inspection error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Bulk Inventory Import
+//
+// Columns (CSV header or JSON keys, case-insensitive): stockNumber, vin, brand, model, year, price,
+// type, condition, mileage, description, contactName, contactPhone, fuelType, transmission,
+// drivetrain, color, engineSize, seats, features, images, status, postcode, address.
+// images lists photo URLs or file names from the uploaded ZIP, separated by spaces, "|" or ";".
+// A row whose stockNumber matches an existing listing updates it; blank cells leave fields as they are.
+// status (draft or available, default available) only applies to new listings.
+const IMPORT_COLUMNS = [
+  'stockNumber', 'vin', 'brand', 'model', 'year', 'price', 'type', 'condition', 'mileage', 'description',
+  'contactName', 'contactPhone', 'fuelType', 'transmission', 'drivetrain', 'color', 'engineSize', 'seats',
+  'features', 'images', 'status', 'postcode', 'address'
+];
+const MAX_IMPORT_ROWS = 1000;
+// Limits on the uncompressed photos in an import's ZIP
+const MAX_ARCHIVE_PHOTOS = 2000;
+const MAX_ARCHIVE_PHOTO_BYTES = 5000000;
+const MAX_ARCHIVE_BYTES = 100000000; // photos barely compress, so four times the 25MB upload is plenty
+const IMPORT_BATCH_SIZE = 10;
+const IMPORT_STALE_MS = 60 * 1000; // a queued job nobody has picked up
+// Longer than the slowest row: 10 photo downloads with a 15s timeout each, plus processing
+const IMPORT_LEASE_MS = 5 * 60 * 1000;
+
+// ZIP photos only live in the memory of the instance that received the upload
+const importPhotoArchives = new Map(); // jobId -> Map(lowercase file name -> { name, data })
+const activeImports = new Set();
+
+const validationMessages = (error) => Object.values(error.errors)
+  .map(err => (err.kind === 'required' ? `${err.path} is required` : err.message));
+
+// Maps a CSV/JSON record onto vehicle fields; returns { fields, location, imageRefs, status, errors }
+function readImportRecord(record) {
+  const row = {};
+  for (const [key, value] of Object.entries(record)) {
+    const column = IMPORT_COLUMNS.find(name => name.toLowerCase() === key.trim().toLowerCase());
+    if (column && value !== undefined && value !== null) {
+      row[column] = Array.isArray(value) ? value.join(',') : String(value).trim();
+    }
+  }
+  
+  const errors = [];
+  const fields = {};
+  
+  for (const field of ['stockNumber', 'brand', 'model', 'type', 'condition', 'description', 'contactName', 'contactPhone']) {
+    if (row[field]) fields[field] = row[field];
+  }
+  for (const [field, parse] of [['year', parseInt], ['price', parseFloat], ['mileage', parseInt]]) {
+    if (!row[field]) continue;
+    const value = parse(row[field]);
+    if (isNaN(value) || value < 0) {
+      errors.push(`Invalid ${field} "${row[field]}"`);
+    } else {
+      fields[field] = value;
+    }
+  }
+  
+  if (row.vin) {
+    const result = validateVin(row.vin);
+    if (result.valid) {
+      fields.vin = result.vin;
+    } else {
+      errors.push(result.error);
+    }
+  }
+  
+  const specInput = {};
+  for (const field of ['fuelType', 'transmission', 'drivetrain', 'color', 'engineSize', 'seats']) {
+    if (row[field]) specInput[field] = row[field];
+  }
+  if (row.features) specInput.features = row.features.replace(/[;|]/g, ',');
+  const { specs, error: specError } = parseVehicleSpecs(specInput);
+  if (specError) {
+    errors.push(specError);
+  } else {
+    Object.assign(fields, specs);
+  }
+  
+  const { location, error: locationError } = row.postcode || row.address
+    ? readListingLocation({ postcode: row.postcode, address: row.address })
+    : {};
+  if (locationError) {
+    errors.push(locationError);
+  }
+  
+  const status = row.status || 'available';
+  if (!['draft', 'available'].includes(status)) {
+    errors.push('status must be draft or available');
+  }
+  
+  const imageRefs = (row.images || '').split(/[\s|;,]+/).filter(Boolean);
+  if (imageRefs.length > MAX_VEHICLE_IMAGES) {
+    errors.push(`Maximum ${MAX_VEHICLE_IMAGES} images allowed`);
+  }
+  
+  return { fields, location, imageRefs, status, errors };
+}
+
+// Uploads one photo (a URL to download, or a file name from the ZIP) through the normal image path;
+// resolves the same details as uploadVehicleImage
+async function uploadImportPhoto(ref, photos, hadArchive) {
+  if (/^https?:\/\//i.test(ref)) {
+    let file;
+    try {
+      file = await download(ref, { maxBytes: 5000000, timeoutMs: 15000 });
+    } catch (error) {
+      throw new Error(`Could not download ${ref} (${error.message})`);
+    }
+    if (!file.contentType.startsWith('image/')) {
+      throw new Error(`${ref} is not an image`);
+    }
+    return uploadVehicleImage(file.buffer, path.basename(new URL(ref).pathname) || 'photo');
+  }
+  
+  if (!photos) {
+    throw new Error(hadArchive
+      ? `The ZIP of photos is no longer available for "${ref}"; import this row again together with the ZIP`
+      : `Photo "${ref}" needs a ZIP of photos uploaded with the import`);
+  }
+  const photo = photos.get(path.basename(ref).toLowerCase());
+  if (!photo) {
+    throw new Error(`Photo "${ref}" is not in the ZIP archive`);
+  }
+  return uploadVehicleImage(photo.data, photo.name);
+}
+
+// Creates or updates one listing; returns { created } / { updated } / { errors }
+async function importVehicleRecord(job, record, photos) {
+  const { fields, location, imageRefs, status, errors } = readImportRecord(record);
+  if (errors.length > 0) {
+    return { errors };
+  }
+  
+  const scope = job.organizationId
+    ? { organizationId: job.organizationId }
+    : { sellerId: job.userId, organizationId: { $exists: false } };
+  const vehicle = (fields.stockNumber && await Vehicle.findOne({ ...scope, stockNumber: fields.stockNumber }))
+    || new Vehicle({ sellerId: job.userId, organizationId: job.organizationId, status: status === 'draft' ? 'draft' : 'available' });
+  const isNew = vehicle.isNew;
+  if (isNew) {
+    // New listings are stored under the catalog's spelling of their brand and model
+    Object.assign(fields, normalizeMakeModel(fields.brand, fields.model));
+  }
+  
+  const changes = [];
+  if (!isNew) {
+    if (vehicle.status === 'sold' || vehicle.status === 'pending_sale') {
+      return { errors: ['Listings with a confirmed sale can no longer be updated'] };
+    }
+    
+    for (const [field, value] of Object.entries(fields)) {
+      const current = field === 'features' ? vehicle.features.join(',') : vehicle[field];
+      if ((field === 'features' ? value.join(',') : value) !== current) {
+        changes.push({ field, from: field === 'features' ? [...vehicle.features] : vehicle[field], to: value });
+      }
+    }
+    if (location && locationLabel(location) !== locationLabel(vehicle.location)) {
+      changes.push({ field: 'location', from: locationLabel(vehicle.location) || undefined, to: locationLabel(location) });
+    }
+    
+    const hasBids = await Bid.exists({ vehicleId: vehicle._id, status: 'pending' });
+    const locked = hasBids && changes.filter(change => BID_LOCKED_VEHICLE_FIELDS.includes(change.field)
+      || (change.field === 'price' && change.to > vehicle.price));
+    if (locked && locked.length > 0) {
+      return { errors: [`This listing has bids, so ${locked.map(change => change.field).join(', ')} can no longer be changed`] };
+    }
+    
+    changes.forEach(change => {
+      vehicle[change.field] = change.field === 'location' ? location : change.to;
+    });
+    if (vehicle.status !== 'draft' && changes.length > 0) {
+      vehicle.editHistory.push({ editedBy: job.userId, hadBids: Boolean(hasBids), changes });
+    }
+  } else {
+    vehicle.set({ ...fields, location });
+    if (vehicle.status === 'available') {
+      vehicle.publishedAt = new Date();
+      vehicle.alertsPendingAt = vehicle.publishedAt;
+      vehicle.expiresAt = new Date(Date.now() + LISTING_EXPIRY_DAYS * DAY_MS);
+    }
+    vehicle.statusHistory.push({ status: vehicle.status, by: job.userId });
+  }
+  
+  // Validate before spending time on photo uploads
+  const validationError = vehicle.validateSync();
+  if (validationError) {
+    return { errors: validationMessages(validationError) };
+  }
+  
+  if (isNew) {
+    const duplicates = await findDuplicateListings(vehicle);
+    const repost = duplicates.find(isBlockingDuplicate);
+    if (repost) {
+      return { errors: [`${duplicateListingResponse(repost).message} (listing ${repost.vehicle._id})`] };
+    }
+    vehicle.duplicateFlags = duplicates.map(match => ({ vehicleId: match.vehicle._id, reasons: match.reasons }));
+  }
+  
+  // Photos already on the listing are kept as they are instead of being uploaded again
+  const newRefs = imageRefs.filter(ref => !vehicle.images.includes(ref));
+  if (vehicle.status !== 'draft' && imageRefs.length === 0 && vehicle.images.length === 0) {
+    return { errors: ['At least one image is required'] };
+  }
+  
+  const uploaded = new Map();
+  const photoErrors = [];
+  for (const ref of newRefs) {
+    try {
+      uploaded.set(ref, await uploadImportPhoto(ref, photos, job.hasPhotoArchive));
+    } catch (error) {
+      photoErrors.push(error.message);
+    }
+  }
+  if (photoErrors.length > 0) {
+    const images = [...uploaded.values()];
+    await deleteStoredFiles(imageFileUrls(images, images.map(image => image.url)));
+    return { errors: photoErrors };
+  }
+  
+  let removedFiles = [];
+  if (imageRefs.length > 0) {
+    const images = imageRefs.map(ref => (uploaded.has(ref) ? uploaded.get(ref).url : ref));
+    removedFiles = imageFileUrls(vehicle.imageDetails, vehicle.images.filter(url => !images.includes(url)));
+    if (!isNew && images.join('\n') !== vehicle.images.join('\n')) {
+      changes.push({ field: 'images', from: vehicle.images.length, to: images.length });
+    }
+    vehicle.images = images;
+    vehicle.imageDetails = [...vehicle.imageDetails, ...uploaded.values()].filter(image => images.includes(image.url));
+  }
+  
+  if (!isNew) {
+    vehicle.updatedAt = new Date();
+  }
+  await vehicle.save();
+  await deleteStoredFiles(removedFiles);
+  
+  return isNew ? { created: true } : { updated: true };
+}
+
+// Works through the job's remaining rows, saving progress after every batch. Runs after the
+// upload request has been answered; GET /api/imports/:id resumes jobs whose instance went away.
+// Only the holder of the job's lease works on it, so a resumed job never runs twice at once, and
+// progress is only saved while the lease is still held.
+async function runImportJob(jobId) {
+  if (activeImports.has(String(jobId))) return;
+  activeImports.add(String(jobId));
+  
+  const leaseId = crypto.randomBytes(12).toString('hex');
+  const renewLease = () => ImportJob.findOneAndUpdate(
+    { _id: jobId, leaseId },
+    { $set: { leaseExpiresAt: new Date(Date.now() + IMPORT_LEASE_MS), heartbeatAt: new Date() } }
+  );
+  
+  let job;
+  try {
+    await connectToDatabase();
+    
+    const now = new Date();
+    job = await ImportJob.findOneAndUpdate(
+      {
+        _id: jobId,
+        status: { $in: ['queued', 'running'] },
+        $or: [{ leaseExpiresAt: { $exists: false } }, { leaseExpiresAt: { $lte: now } }]
+      },
+      {
+        $set: { leaseId, leaseExpiresAt: new Date(now.getTime() + IMPORT_LEASE_MS), heartbeatAt: now, status: 'running' },
+        $min: { startedAt: now }
+      },
+      { new: true }
+    ).select('+rows');
+    if (!job) return;
+    
+    const photos = importPhotoArchives.get(job.id) || null;
+    
+    while (job.processed < job.total) {
+      const batch = job.rows.slice(job.processed, job.processed + IMPORT_BATCH_SIZE);
+      const counts = { created: 0, updated: 0, failed: 0 };
+      const rowErrors = [];
+      
+      for (const { row, record } of batch) {
+        let result;
+        try {
+          result = await importVehicleRecord(job, record, photos);
+        } catch (error) {
+          console.error(`Import ${job.id} row ${row} error:`, error);
+          result = { errors: [error.message] };
+        }
+        
+        if (result.errors) {
+          counts.failed += 1;
+          rowErrors.push({ row, stockNumber: readImportRecord(record).fields.stockNumber, messages: result.errors });
+        } else if (result.updated) {
+          counts.updated += 1;
+        } else {
+          counts.created += 1;
+        }
+        
+        if (!(await renewLease())) {
+          console.error(`Import ${job.id} lost its lease; another instance carries on`);
+          job = null;
+          return;
+        }
+      }
+      
+      const saved = await ImportJob.findOneAndUpdate(
+        { _id: job._id, leaseId, processed: job.processed },
+        {
+          $inc: { processed: batch.length, ...counts },
+          $push: { rowErrors: { $each: rowErrors } },
+          $set: { heartbeatAt: new Date() }
+        },
+        { new: true }
+      ).select('+rows');
+      if (!saved) {
+        job = null;
+        return;
+      }
+      job = saved;
+    }
+    
+    job.status = 'completed';
+  } catch (error) {
+    console.error('Import job error:', error);
+    if (job) {
+      job.status = 'failed';
+      job.error = error.message;
+    }
+  } finally {
+    if (job && (job.status === 'completed' || job.status === 'failed')) {
+      job.finishedAt = new Date();
+      job.rows = [];
+      job.leaseExpiresAt = undefined;
+      importPhotoArchives.delete(job.id);
+      await job.save().catch(error => console.error('Import job save error:', error));
+    }
+    activeImports.delete(String(jobId));
+  }
+}
+
+const importJobSummary = (job) => {
+  const { rows, ...summary } = job.toObject();
+  return summary;
+};
+
+// Start Inventory Import
+// Multipart: `file` (.csv or .json) and optional `photos` (.zip); `organizationId` imports into a
+// dealership's inventory. Answers 202 straight away; poll GET /api/imports/:id for progress.
+app.post('/api/imports', authenticateToken, authorize('dealer'), requireVerifiedEmail, importUpload.fields([
+  { name: 'file', maxCount: 1 },
+  { name: 'photos', maxCount: 1 }
+]), async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const file = req.files?.file?.[0];
+    const archive = req.files?.photos?.[0];
+    if (!file) {
+      return res.status(400).json({ message: 'Upload a CSV or JSON inventory file' });
+    }
+    
+    const source = /\.json$/i.test(file.originalname) ? 'json' : 'csv';
+    let rows;
+    try {
+      const text = file.buffer.toString('utf8');
+      if (source === 'csv') {
+        rows = parseCsv(text).map(record => ({ row: record.line, record }));
+      } else {
+        const data = JSON.parse(text);
+        const list = Array.isArray(data) ? data : data.vehicles;
+        if (!Array.isArray(list) || list.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+          throw new Error('expected an array of vehicle objects');
+        }
+        rows = list.map((record, index) => ({ row: index + 1, record }));
+      }
+    } catch (error) {
+      return res.status(400).json({ message: `Could not read ${file.originalname}: ${error.message}` });
+    }
+    
+    if (rows.length === 0) {
+      return res.status(400).json({ message: 'The file does not contain any vehicles' });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ message: `Import at most ${MAX_IMPORT_ROWS} vehicles at a time` });
+    }
+    
+    const { organizationId } = req.body;
+    if (organizationId) {
+      const organization = mongoose.Types.ObjectId.isValid(organizationId)
+        ? await Organization.findById(organizationId)
+        : null;
+      if (!organization || !organization.can(req.user.userId, 'manageInventory')) {
+        return res.status(403).json({ message: 'You cannot manage this dealership\'s inventory' });
+      }
+    }
+    
+    let photos = null;
+    if (archive) {
+      let entries;
+      try {
+        entries = new AdmZip(archive.buffer).getEntries()
+          .filter(entry => !entry.isDirectory && /\.(jpe?g|png|gif|webp)$/i.test(entry.entryName));
+      } catch (error) {
+        return res.status(400).json({ message: 'Photos must be a valid ZIP archive' });
+      }
+      
+      // Sizes are checked before anything is decompressed, so a small zip bomb can't fill memory
+      if (entries.length > MAX_ARCHIVE_PHOTOS) {
+        return res.status(400).json({ message: `The ZIP can hold at most ${MAX_ARCHIVE_PHOTOS} photos` });
+      }
+      const oversized = entries.find(entry => entry.header.size > MAX_ARCHIVE_PHOTO_BYTES);
+      if (oversized) {
+        return res.status(400).json({ message: `${oversized.entryName} in the ZIP is larger than 5MB` });
+      }
+      if (entries.reduce((total, entry) => total + entry.header.size, 0) > MAX_ARCHIVE_BYTES) {
+        return res.status(400).json({ message: `The photos in the ZIP add up to more than ${MAX_ARCHIVE_BYTES / 1000000}MB` });
+      }
+      
+      try {
+        photos = new Map();
+        entries.forEach(entry => {
+          const name = path.basename(entry.entryName);
+          photos.set(name.toLowerCase(), { name, data: entry.getData() });
+        });
+      } catch (error) {
+        return res.status(400).json({ message: 'Photos must be a valid ZIP archive' });
+      }
+    }
+    
+    const job = await ImportJob.create({
+      userId: req.user.userId,
+      organizationId: organizationId || undefined,
+      source,
+      rows,
+      total: rows.length,
+      hasPhotoArchive: Boolean(photos)
+    });
+    if (photos) {
+      importPhotoArchives.set(job.id, photos);
+    }
+    
+    runImportJob(job._id);
+    
+    res.status(202).json({ message: `Importing ${rows.length} vehicles`, job: importJobSummary(job) });
+  } catch (error) {
+    console.error('Start import error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List My Imports
+app.get('/api/imports', authenticateToken, async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const jobs = await ImportJob.find({ userId: req.user.userId })
+      .select('-rowErrors')
+      .sort({ createdAt: -1 })
+      .limit(20);
+    
+    res.json(jobs);
+  } catch (error) {
+    console.error('List imports error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get Import Progress
+// ?format=csv downloads the per-row error report
+app.get('/api/imports/:id', authenticateToken, async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+    
+    const job = await ImportJob.findById(req.params.id);
+    if (!job || (job.userId.toString() !== req.user.userId && !(req.user.roles || []).includes('admin'))) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+    
+    // The instance running this job was frozen or restarted (its lease ran out), or nobody picked
+    // the job up; carry on from the last saved batch
+    const isStale = ['queued', 'running'].includes(job.status) && (job.leaseExpiresAt
+      ? job.leaseExpiresAt.getTime() < Date.now()
+      : Date.now() - job.createdAt.getTime() > IMPORT_STALE_MS);
+    if (isStale) {
+      runImportJob(job._id);
+    }
+    
+    if (req.query.format === 'csv') {
+      const report = job.rowErrors.map(entry => ({
+        row: entry.row,
+        stockNumber: entry.stockNumber,
+        errors: entry.messages.join('; ')
+      }));
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="import-${job.id}-errors.csv"`);
+      return res.send(toCsv(report, ['row', 'stockNumber', 'errors']));
+    }
+    
+    res.json(job);
+  } catch (error) {
+    console.error('Get import error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Place Bid
+app.post('/api/bids', authenticateToken, authorize('buyer', 'dealer'), requireVerifiedEmail, async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const { vehicleId, amount } = req.body;
+    
+    if (!vehicleId || !amount) {
+      return res.status(400).json({ message: 'Vehicle ID and amount required' });
+    }
+    
+    const vehicle = await Vehicle.findById(vehicleId);
+    if (!vehicle) {
+      return res.status(404).json({ message: 'Vehicle not found' });
+    }
+    
+    if (vehicle.status !== 'available') {
+      return res.status(400).json({ message: 'Vehicle is no longer available' });
+    }
+    
+    if (vehicle.sellerId.toString() === req.user.userId) {
+      return res.status(400).json({ message: 'You cannot bid on your own vehicle' });
+    }
+    
+    if (parseFloat(amount) <= vehicle.price) {
+      return res.status(400).json({ message: 'Bid must be higher than current price' });
+    }
+    
+    const highestBid = await Bid.findOne({ vehicleId, status: 'pending' })
+      .sort({ amount: -1 });
+    
+    if (highestBid && parseFloat(amount) <= highestBid.amount) {
+      return res.status(400).json({ message: 'Bid must be higher than current highest bid' });
+    }
+    
+    const bid = new Bid({
+      vehicleId,
+      userId: req.user.userId,
+      amount: parseFloat(amount)
+    });
+    
+    await bid.save();
+    
+    res.status(201).json({ message: 'Bid placed successfully', bid });
+  } catch (error) {
+    console.error('Bid error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get Bids for Vehicle
+app.get('/api/vehicles/:id/bids', async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const bids = await Bid.find({ vehicleId: req.params.id, status: 'pending' })
+      .populate('userId', 'name email')
+      .sort({ amount: -1 });
+    
+    res.json(bids);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Confirm Booking
+app.post('/api/bookings', authenticateToken, async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const { vehicleId } = req.body;
+    
+    const vehicle = await Vehicle.findById(vehicleId);
+    if (!vehicle) {
+      return res.status(404).json({ message: 'Vehicle not found' });
+    }
+    
+    if (!vehicle.canTransitionTo('pending_sale')) {
+      return res.status(400).json({ message: `This listing is ${vehicle.status.replace('_', ' ')}` });
+    }
+    
+    if (!(await hasListingPermission(vehicle, req.user, 'confirmBookings'))) {
+      return res.status(403).json({ message: 'Only seller can confirm booking' });
+    }
+    
+    const highestBid = await Bid.findOne({ vehicleId, status: 'pending' })
+      .sort({ amount: -1 });
+    
+    if (!highestBid) {
+      return res.status(400).json({ message: 'No bids available' });
+    }
+    
+    const booking = new Booking({
+      vehicleId,
+      buyerId: highestBid.userId,
+      sellerId: vehicle.sellerId,
+      bidId: highestBid._id,
+      finalPrice: highestBid.amount
+    });
+    
+    await booking.save();
+    
+    vehicle.transitionTo('pending_sale', req.user.userId);
+    await vehicle.save();
+    
+    highestBid.status = 'accepted';
+    await highestBid.save();
+    
+    await Bid.updateMany(
+      { vehicleId, _id: { $ne: highestBid._id }, status: 'pending' },
+      { status: 'rejected' }
+    );
+    
+    res.status(201).json({ message: 'Booking confirmed', booking });
+  } catch (error) {
+    console.error('Booking error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get User's Posted Vehicles
+app.get('/api/user/vehicles', authenticateToken, async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    await runListingLifecycle();
+    
+    const filter = { sellerId: req.user.userId };
+    if (req.query.status) {
+      filter.status = { $in: String(req.query.status).split(',').filter(value => VEHICLE_STATUSES.includes(value)) };
+    }
+    
+    const vehicles = await Vehicle.find(filter)
+      .sort({ createdAt: -1 });
+    res.json(vehicles);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get User's Bids
+app.get('/api/user/bids', authenticateToken, async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const bids = await Bid.find({ userId: req.user.userId })
+      .populate('vehicleId', '-imageDetails.hash -imageDetails.hashBands')
+      .sort({ createdAt: -1 });
+    res.json(bids);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get User's Bookings
+app.get('/api/user/bookings', authenticateToken, async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const bookings = await Booking.find({
+      $or: [
+        { buyerId: req.user.userId },
+        { sellerId: req.user.userId }
+      ]
+    })
+    .populate('vehicleId', '-imageDetails.hash -imageDetails.hashBands')
+    .populate('buyerId', 'name email phone')
+    .populate('sellerId', 'name email phone')
+    .sort({ createdAt: -1 });
+    
+    res.json(bookings);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Saved Searches & Alerts
+//
+// Listings that are published or relisted are flagged with alertsPendingAt. A scheduled job
+// (GET /api/cron/saved-searches) matches them against the saved searches that can match (other
+// than the seller's own): "instant" searches get an in-app notification and an email on that run;
+// "daily" searches collect matches in pendingVehicleIds and get one digest a day. None of this
+// happens while a seller or a buyer waits for a response.
+
+// Search form fields a saved search may hold (sort, status and paging are not part of a search)
+const SAVED_SEARCH_FILTERS = [
+  'q', 'brand', 'type', 'condition', 'minPrice', 'maxPrice', 'minYear', 'maxYear', 'fuelType', 'transmission',
+  'drivetrain', 'color', 'features', 'minSeats', 'minEngineSize', 'maxEngineSize', 'near', 'radius'
+];
+const NUMERIC_SAVED_SEARCH_FILTERS = ['minPrice', 'maxPrice', 'minYear', 'maxYear', 'minSeats', 'minEngineSize', 'maxEngineSize', 'radius'];
+const MAX_SAVED_SEARCHES = 20;
+const SAVED_SEARCH_ALERT_LIMIT = 10; // vehicles listed in one email
+// Work done by one run of the alerts job, so it finishes well inside a serverless time limit
+const ALERT_VEHICLES_PER_RUN = 50;
+const DIGESTS_PER_RUN = 100;
+
+// The part of a search's filters that can be looked up by index. Brands only count when they are a
+// catalog make: listings are stored under the catalog spelling, anything else stays unset (any).
+function savedSearchCriteria(filters) {
+  const price = (value) => (value !== undefined && Number.isFinite(Number(value)) ? Number(value) : undefined);
+  const make = filters.brand && canonicalMake(filters.brand);
+  return {
+    type: filters.type || undefined,
+    brandKey: make ? nameKey(make) : undefined,
+    minPrice: price(filters.minPrice),
+    maxPrice: price(filters.maxPrice)
+  };
+}
+
+// Reads { name, filters, frequency } from a request body; every field is optional on update.
+// Resolves { fields } or { error }.
+async function readSavedSearchBody(body, isNew) {
+  const fields = {};
+  
+  if (body.filters !== undefined || isNew) {
+    if (!body.filters || typeof body.filters !== 'object' || Array.isArray(body.filters)) {
+      return { error: 'filters must be an object of search parameters' };
+    }
+    const filters = {};
+    for (const key of SAVED_SEARCH_FILTERS) {
+      const value = body.filters[key];
+      if (value !== undefined && value !== null && String(value).trim() !== '') {
+        filters[key] = String(value).trim().slice(0, 200);
+      }
+    }
+    if (Object.keys(filters).length === 0) {
+      return { error: 'Choose at least one search filter' };
+    }
+    const invalid = NUMERIC_SAVED_SEARCH_FILTERS.find(key => key in filters && !Number.isFinite(Number(filters[key])));
+    if (invalid) {
+      return { error: `${invalid} must be a number` };
+    }
+    const { error } = await buildVehicleFilter(filters);
+    if (error) {
+      return { error };
+    }
+    fields.filters = filters;
+    fields.criteria = savedSearchCriteria(filters);
+  }
+  
+  if (body.name !== undefined || isNew) {
+    const name = String(body.name || '').trim().slice(0, 100)
+      || [fields.filters.q, fields.filters.brand, fields.filters.type, fields.filters.condition].filter(Boolean).join(' ')
+      || 'My search';
+    fields.name = name;
+  }
+  
+  if (body.frequency !== undefined) {
+    if (!SAVED_SEARCH_FREQUENCIES.includes(body.frequency)) {
+      return { error: `frequency must be one of: ${SAVED_SEARCH_FREQUENCIES.join(', ')}` };
+    }
+    fields.frequency = body.frequency;
+  }
+  
+  return { fields };
+}
+
+const savedSearchSummary = (search) => ({
+  _id: search._id,
+  name: search.name,
+  filters: search.filters,
+  frequency: search.frequency,
+  pendingCount: (search.pendingVehicleIds || []).length,
+  lastMatchedAt: search.lastMatchedAt,
+  lastNotifiedAt: search.lastNotifiedAt,
+  createdAt: search.createdAt
+});
+
+// Creates the in-app notification and emails the owner about vehicles matching a saved search
+async function sendSavedSearchAlert(search, vehicles) {
+  if (vehicles.length === 0) return;
+  
+  const title = vehicles.length === 1
+    ? `New match for "${search.name}"`
+    : `${vehicles.length} new matches for "${search.name}"`;
+  const message = vehicles.slice(0, 3)
+    .map(vehicle => `${vehicle.year} ${vehicle.brand} ${vehicle.model} - $${vehicle.price.toLocaleString()}`)
+    .join(', ') + (vehicles.length > 3 ? ` and ${vehicles.length - 3} more` : '');
+  
+  await Notification.create({
+    userId: search.userId,
+    type: 'saved_search',
+    title,
+    message,
+    savedSearchId: search._id,
+    vehicleIds: vehicles.map(vehicle => vehicle._id)
+  });
+  
+  const user = await User.findById(search.userId).select('name email emailVerified deletedAt');
+  if (!user || user.deletedAt || user.emailVerified === false) return;
+  
+  const baseUrl = process.env.BASE_URL || 'https://your-frontend-domain.vercel.app';
+  const listed = vehicles.slice(0, SAVED_SEARCH_ALERT_LIMIT).map(vehicle => ({
+    title: `${vehicle.year} ${vehicle.brand} ${vehicle.model}`,
+    details: [`$${vehicle.price.toLocaleString()}`, `${vehicle.mileage.toLocaleString()} mi`, vehicle.location?.city].filter(Boolean).join(' · '),
+    url: `${baseUrl}/frontend/index.html?vehicle=${vehicle._id}`
+  }));
+  
+  try {
+    await mailer.send('saved-search-alert', {
+      to: user.email,
+      name: user.name,
+      searchName: search.name,
+      summary: title,
+      // Built here because templates have no loops; every value is escaped
+      vehicleListHtml: listed.map(vehicle => `<p><a href="${escapeHtml(vehicle.url)}"><strong>${escapeHtml(vehicle.title)}</strong></a><br>${escapeHtml(vehicle.details)}</p>`).join('\n'),
+      vehicleListText: listed.map(vehicle => `${vehicle.title}\n${vehicle.details}\n${vehicle.url}`).join('\n\n'),
+      moreCount: vehicles.length > listed.length ? `${vehicles.length - listed.length} more matching vehicles are waiting on AutoHub.` : '',
+      searchUrl: `${baseUrl}/frontend/index.html?savedSearch=${search._id}`,
+      frequency: search.frequency === 'daily' ? 'a daily digest' : 'instant alerts'
+    });
+  } catch (error) {
+    // The in-app notification is already there
+    console.error('Saved search email error:', error);
+  }
+}
+
+// Checks newly published listings against the saved searches that can match them. Each
+// candidate search is then run as a query restricted to those listings, so matching agrees
+// exactly with what the search returns (text search, distance and all).
+async function matchSavedSearches(vehicles) {
+  if (vehicles.length === 0) return 0;
+  
+  const byId = new Map(vehicles.map(vehicle => [vehicle._id.toString(), vehicle]));
+  const candidates = new Map(); // search id -> { search, vehicleIds }
+  
+  for (const vehicle of vehicles) {
+    // Searches saved before criteria existed have none and are candidates for everything
+    const searches = await SavedSearch.find({
+      userId: { $ne: vehicle.sellerId },
+      'criteria.type': { $in: [null, vehicle.type] },
+      'criteria.brandKey': { $in: [null, nameKey(canonicalMake(vehicle.brand) || vehicle.brand)] },
+      $and: [
+        { $or: [{ 'criteria.minPrice': null }, { 'criteria.minPrice': { $lte: vehicle.price } }] },
+        { $or: [{ 'criteria.maxPrice': null }, { 'criteria.maxPrice': { $gte: vehicle.price } }] }
+      ]
+    });
+    for (const search of searches) {
+      const entry = candidates.get(search.id) || { search, vehicleIds: [] };
+      entry.vehicleIds.push(vehicle._id);
+      candidates.set(search.id, entry);
+    }
+  }
+  
+  const now = new Date();
+  let alerts = 0;
+  for (const { search, vehicleIds } of candidates.values()) {
+    try {
+      const { filter, error } = await buildVehicleFilter(search.filters || {});
+      if (error) continue;
+      
+      const matches = (await Vehicle.find({ ...filter, status: 'available', _id: { $in: vehicleIds } }).select('_id sellerId').lean())
+        .filter(match => !match.sellerId.equals(search.userId))
+        .map(match => byId.get(match._id.toString()));
+      if (matches.length === 0) continue;
+      
+      if (search.frequency === 'daily') {
+        await SavedSearch.updateOne(
+          { _id: search._id },
+          { $addToSet: { pendingVehicleIds: { $each: matches.map(vehicle => vehicle._id) } }, $set: { lastMatchedAt: now } }
+        );
+      } else {
+        await SavedSearch.updateOne({ _id: search._id }, { $set: { lastMatchedAt: now, lastNotifiedAt: now } });
+        await sendSavedSearchAlert(search, matches);
+        alerts += 1;
+      }
+    } catch (error) {
+      // One broken search must not stop the others' alerts
+      console.error(`Saved search ${search.id} matching error:`, error);
+    }
+  }
+  return alerts;
+}
+
+// Sends the digest of every saved search that has matches waiting and no alert in the last day
+async function sendSavedSearchDigests() {
+  const cutoff = new Date(Date.now() - DAY_MS);
+  const due = await SavedSearch.find({
+    'pendingVehicleIds.0': { $exists: true },
+    $or: [{ lastNotifiedAt: { $lte: cutoff } }, { lastNotifiedAt: { $exists: false } }]
+  }).select('_id').limit(DIGESTS_PER_RUN);
+  
+  let sent = 0;
+  for (const { _id } of due) {
+    // Claimed atomically so two instances never send the same digest
+    const search = await SavedSearch.findOneAndUpdate(
+      { _id, $or: [{ lastNotifiedAt: { $lte: cutoff } }, { lastNotifiedAt: { $exists: false } }] },
+      { $set: { pendingVehicleIds: [], lastNotifiedAt: new Date() } }
+    );
+    if (!search) continue;
+    
+    // Listings sold or withdrawn since they matched are left out
+    const vehicles = await Vehicle.find({ _id: { $in: search.pendingVehicleIds }, status: 'available' })
+      .sort({ publishedAt: -1 });
+    await sendSavedSearchAlert(search, vehicles);
+    if (vehicles.length > 0) sent += 1;
+  }
+  return sent;
+}
+
+// Saved Search Alerts Job
+// Run every few minutes by Vercel Cron (see vercel.json), or any scheduler, with
+// Authorization: Bearer $CRON_SECRET. Matches a batch of newly published listings and sends
+// the digests that are due; listings left over are picked up by the next run.
+app.get('/api/cron/saved-searches', async (req, res) => {
+  const secret = process.env.CRON_SECRET;
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const given = Buffer.from(String(req.headers['authorization'] || ''));
+  if (!secret || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ message: 'Unauthorized' });
+  }
+  
+  try {
+    await connectToDatabase();
+    await runListingLifecycle();
+    
+    // Each listing is claimed on its own, so overlapping runs never alert about it twice
+    const vehicles = [];
+    while (vehicles.length < ALERT_VEHICLES_PER_RUN) {
+      const vehicle = await Vehicle.findOneAndUpdate(
+        { alertsPendingAt: { $exists: true } },
+        { $unset: { alertsPendingAt: 1 } },
+        { sort: { alertsPendingAt: 1 } }
+      );
+      if (!vehicle) break;
+      if (vehicle.status === 'available') vehicles.push(vehicle);
+    }
+    
+    const alerts = await matchSavedSearches(vehicles);
+    const digests = await sendSavedSearchDigests();
+    
+    res.json({ matched: vehicles.length, alerts, digests });
+  } catch (error) {
+    console.error('Saved search alerts job error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List Saved Searches
+app.get('/api/saved-searches', authenticateToken, async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const searches = await SavedSearch.find({ userId: req.user.userId }).sort({ createdAt: -1 });
+    res.json(searches.map(savedSearchSummary));
+  } catch (error) {
+    console.error('List saved searches error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create Saved Search
+// Body: { name?, filters, frequency? }; filters are GET /api/vehicles query parameters
+app.post('/api/saved-searches', authenticateToken, async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const { fields, error } = await readSavedSearchBody(req.body, true);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    const count = await SavedSearch.countDocuments({ userId: req.user.userId });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({ message: `You can save up to ${MAX_SAVED_SEARCHES} searches. Delete one to add another.` });
+    }
+    
+    const search = await SavedSearch.create({ ...fields, userId: req.user.userId });
+    res.status(201).json({ message: 'Search saved. We will let you know about new matches.', savedSearch: savedSearchSummary(search) });
+  } catch (error) {
+    console.error('Create saved search error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update Saved Search
+app.put('/api/saved-searches/:id', authenticateToken, async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+    const search = await SavedSearch.findOne({ _id: req.params.id, userId: req.user.userId });
+    if (!search) {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+    
+    const { fields, error } = await readSavedSearchBody(req.body, false);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    // Matches collected for a daily digest are still sent by the next digest run
+    search.set(fields);
+    await search.save();
+    
+    res.json({ message: 'Saved search updated', savedSearch: savedSearchSummary(search) });
+  } catch (error) {
+    console.error('Update saved search error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete Saved Search
+app.delete('/api/saved-searches/:id', authenticateToken, async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+    const result = await SavedSearch.deleteOne({ _id: req.params.id, userId: req.user.userId });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+    
+    res.json({ message: 'Saved search deleted' });
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List Notifications (newest first, with the unread count)
+app.get('/api/notifications', authenticateToken, async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const [notifications, unread] = await Promise.all([
+      Notification.find({ userId: req.user.userId }).sort({ createdAt: -1 }).limit(50),
+      Notification.countDocuments({ userId: req.user.userId, readAt: { $exists: false } })
+    ]);
+    res.json({ notifications, unread });
+  } catch (error) {
+    console.error('List notifications error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark Notifications Read
+// Body: { ids? }; without ids every notification is marked as read
+app.post('/api/notifications/read', authenticateToken, async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const filter = { userId: req.user.userId, readAt: { $exists: false } };
+    if (Array.isArray(req.body.ids)) {
+      filter._id = { $in: req.body.ids.filter(id => mongoose.Types.ObjectId.isValid(id)) };
+    }
+    await Notification.updateMany(filter, { $set: { readAt: new Date() } });
+    
+    res.json({ message: 'Notifications marked as read' });
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Dealer Organization Routes
+
+// Loads the organization in req.params.id and checks the caller's membership/permission
+const loadOrganization = (permission) => async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Dealership not found' });
+    }
+    
+    const organization = await Organization.findById(req.params.id);
+    if (!organization) {
+      return res.status(404).json({ message: 'Dealership not found' });
+    }
+    
+    const isAdmin = req.user.roles.includes('admin');
+    if (!isAdmin && !organization.roleOf(req.user.userId)) {
+      return res.status(403).json({ message: 'You are not a member of this dealership' });
+    }
+    
+    if (permission && !isAdmin && !organization.can(req.user.userId, permission)) {
+      return res.status(403).json({ message: 'Your dealership role does not allow this action' });
+    }
+    
+    req.organization = organization;
+    next();
+  } catch (error) {
+    console.error('Load organization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Create Dealership
+app.post('/api/organizations', authenticateToken, authorize('dealer'), async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const { name, email, phone, address } = req.body;
+    
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ message: 'Dealership name is required' });
+    }
+    
+    const organization = new Organization({
+      name: String(name).trim(),
+      email,
+      phone,
+      address,
+      members: [{ userId: req.user.userId, role: 'owner' }],
+      createdBy: req.user.userId
+    });
+    
+    await organization.save();
+    
+    res.status(201).json({ message: 'Dealership created', organization });
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get User's Dealerships
+app.get('/api/user/organizations', authenticateToken, async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const organizations = await Organization.find({ 'members.userId': req.user.userId })
+      .sort({ createdAt: -1 });
+    
+    res.json(organizations.map(organization => ({
+      ...organization.toObject(),
+      myRole: organization.roleOf(req.user.userId)
+    })));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get Dealership
+app.get('/api/organizations/:id', authenticateToken, loadOrganization(), async (req, res) => {
+  try {
+    await req.organization.populate('members.userId', 'name email phone');
+    
+    res.json({
+      ...req.organization.toObject(),
+      myRole: req.organization.roleOf(req.user.userId)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update Dealership Details
+app.put('/api/organizations/:id', authenticateToken, loadOrganization('manageMembers'), async (req, res) => {
+  try {
+    const { name, email, phone, address } = req.body;
+    
+    if (name !== undefined) {
+      if (!String(name).trim()) {
+        return res.status(400).json({ message: 'Dealership name is required' });
+      }
+      req.organization.name = String(name).trim();
+    }
+    if (email !== undefined) req.organization.email = email;
+    if (phone !== undefined) req.organization.phone = phone;
+    if (address !== undefined) req.organization.address = address;
+    
+    await req.organization.save();
+    
+    res.json({ message: 'Dealership updated', organization: req.organization });
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get Dealership Inventory
+app.get('/api/organizations/:id/vehicles', authenticateToken, loadOrganization(), async (req, res) => {
+  try {
+    const vehicles = await Vehicle.find({ organizationId: req.organization._id })
+      .populate('sellerId', 'name email')
+      .sort({ createdAt: -1 });
+    
+    res.json(vehicles);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Invite Staff Member
+app.post('/api/organizations/:id/invitations', authenticateToken, loadOrganization('manageMembers'), async (req, res) => {
   try {
-    await connectToDatabase();
-    
-    const { name, email, password, phone } = req.body;
+    const { email, role } = req.body;
     
-    if (!name || !email || !password || !phone) {
-      return res.status(400).json({ message: 'All fields are required' });
+    if (!email || !role) {
+      return res.status(400).json({ message: 'Email and role are required' });
     }
     
-    if (password.length < 8) {
-      return res.status(400).json({ message: 'Password must be at least 8 characters' });
+    if (!['manager', 'sales'].includes(role)) {
+      return res.status(400).json({ message: 'Role must be manager or sales' });
     }
     
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({ message: 'Email already registered' });
+    const existingUser = await User.findOne({ email: typedEmail(email) });
+    if (existingUser && req.organization.roleOf(existingUser._id)) {
+      return res.status(400).json({ message: 'This person is already a member' });
     }
     
-    const hashedPassword = await bcrypt.hash(password, 10);
+    const token = crypto.randomBytes(32).toString('hex');
     
-    const user = new User({
-      name,
+    await Invitation.deleteMany({ organizationId: req.organization._id, email });
+    const invitation = await Invitation.create({
+      organizationId: req.organization._id,
       email,
-      password: hashedPassword,
-      phone
+      role,
+      token: hashToken(token),
+      invitedBy: req.user.userId
     });
     
-    await user.save();
+    const inviter = await User.findById(req.user.userId);
+    await sendInvitationEmail(invitation, req.organization, inviter, token);
     
-    res.status(201).json({ message: 'Registration successful' });
+    res.status(201).json({
+      message: `Invitation sent to ${email}`,
+      invitation: { _id: invitation._id, email, role, createdAt: invitation.createdAt }
+    });
   } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ message: 'Server error' });
+    console.error('Invitation error:', error);
+    res.status(500).json({ message: 'Error sending invitation. Please try again.' });
   }
 });
 
-// User Login
-app.post('/api/login', async (req, res) => {
+// Get Pending Invitations
+app.get('/api/organizations/:id/invitations', authenticateToken, loadOrganization('manageMembers'), async (req, res) => {
   try {
-    await connectToDatabase();
-    
-    const { email, password } = req.body;
+    const invitations = await Invitation.find({ organizationId: req.organization._id })
+      .select('-token')
+      .sort({ createdAt: -1 });
     
-    if (!email || !password) {
-      return res.status(400).json({ message: 'Email and password required' });
+    res.json(invitations);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel Invitation
+app.delete('/api/organizations/:id/invitations/:invitationId', authenticateToken, loadOrganization('manageMembers'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.invitationId)) {
+      return res.status(404).json({ message: 'Invitation not found' });
     }
     
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(401).json({ message: 'Invalid credentials' });
-    }
+    const result = await Invitation.deleteOne({
+      _id: req.params.invitationId,
+      organizationId: req.organization._id
+    });
     
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Invitation not found' });
     }
     
-    const token = jwt.sign(
-      { userId: user._id, email: user.email },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
-    
-    res.json({
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email
-      }
-    });
+    res.json({ message: 'Invitation cancelled' });
   } catch (error) {
-    console.error('Login error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get User Profile
-app.get('/api/user/profile', authenticateToken, async (req, res) => {
+// Takes back the dealer role that accepting an invitation gave, once the user is in no dealership
+// any more. Dealers who had the role before joining keep it.
+async function revokeMembershipDealerRole(userId) {
+  if (await Organization.exists({ 'members.userId': userId })) return;
+  await User.updateOne(
+    { _id: userId, dealerViaOrganization: true },
+    { $pull: { roles: 'dealer' }, $unset: { dealerViaOrganization: 1 } }
+  );
+}
+
+// Accept Invitation
+app.post('/api/invitations/accept', authenticateToken, async (req, res) => {
   try {
     await connectToDatabase();
-    const user = await User.findById(req.user.userId).select('-password');
-    res.json(user);
+    
+    const { token } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({ message: 'Invitation token required' });
+    }
+    
+    const invitation = await Invitation.findOne({ token: hashToken(token) });
+    if (!invitation) {
+      return res.status(400).json({ message: 'Invalid or expired invitation' });
+    }
+    
+    const user = await User.findById(req.user.userId);
+    if (!user || user.email.toLowerCase() !== invitation.email.toLowerCase()) {
+      return res.status(403).json({ message: `This invitation was sent to ${invitation.email}. Please login with that account.` });
+    }
+    
+    const organization = await Organization.findById(invitation.organizationId);
+    if (!organization) {
+      await Invitation.deleteOne({ _id: invitation._id });
+      return res.status(404).json({ message: 'Dealership not found' });
+    }
+    
+    if (!organization.roleOf(user._id)) {
+      organization.members.push({ userId: user._id, role: invitation.role });
+      await organization.save();
+    }
+    
+    // Dealership staff act as dealers everywhere roles are checked
+    if (!user.roles.includes('dealer')) {
+      user.roles.push('dealer');
+      user.dealerViaOrganization = true;
+      await user.save();
+    }
+    
+    await Invitation.deleteOne({ _id: invitation._id });
+    
+    res.json({ message: `You have joined ${organization.name}`, organization });
   } catch (error) {
+    console.error('Accept invitation error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Post Vehicle with Cloudinary Upload
-app.post('/api/vehicles', authenticateToken, upload.array('images', 10), async (req, res) => {
+// Change Member Role (transferring "owner" demotes the current owner to manager)
+app.put('/api/organizations/:id/members/:userId', authenticateToken, loadOrganization('manageMembers'), async (req, res) => {
   try {
-    await connectToDatabase();
+    const { role } = req.body;
+    const organization = req.organization;
+    const actorRole = organization.roleOf(req.user.userId);
     
-    const { brand, model, year, price, type, condition, mileage, description, contactName, contactPhone } = req.body;
+    if (!ORGANIZATION_ROLES.includes(role)) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
     
-    if (!brand || !model || !year || !price || !type || !condition || !mileage || !contactName || !contactPhone) {
-      return res.status(400).json({ message: 'All required fields must be filled' });
+    const member = organization.members.find(m => m.userId.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
     }
     
-    if (!req.files || req.files.length === 0) {
-      return res.status(400).json({ message: 'At least one image is required' });
+    if (member.role === 'owner') {
+      return res.status(400).json({ message: 'Transfer ownership to another member instead' });
     }
     
-    // Upload images to Cloudinary
-    const imageUploadPromises = req.files.map(file => 
-      uploadToCloudinary(file.buffer, file.originalname)
-    );
+    if ((role === 'owner' || role === 'manager') && actorRole !== 'owner' && !req.user.roles.includes('admin')) {
+      return res.status(403).json({ message: 'Only the owner can promote members to manager or owner' });
+    }
     
-    const imageUrls = await Promise.all(imageUploadPromises);
+    // Otherwise a manager could demote another manager to sales and then remove them
+    if (member.role === 'manager' && actorRole !== 'owner' && !req.user.roles.includes('admin')) {
+      return res.status(403).json({ message: 'Only the owner can change a manager\'s role' });
+    }
     
-    const vehicle = new Vehicle({
-      sellerId: req.user.userId,
-      brand,
-      model,
-      year: parseInt(year),
-      price: parseFloat(price),
-      type,
-      condition,
-      mileage: parseInt(mileage),
-      description,
-      images: imageUrls,
-      contactName,
-      contactPhone
-    });
+    if (role === 'owner') {
+      organization.members.forEach(m => {
+        if (m.role === 'owner') m.role = 'manager';
+      });
+    }
     
-    await vehicle.save();
+    member.role = role;
+    await organization.save();
     
-    res.status(201).json({ message: 'Vehicle posted successfully', vehicle });
+    res.json({ message: 'Member role updated', organization });
   } catch (error) {
-    console.error('Vehicle post error:', error);
-    res.status(500).json({ message: 'Server error: ' + error.message });
+    console.error('Update member error:', error);
+    res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get All Vehicles
-app.get('/api/vehicles', async (req, res) => {
+// Remove Member (members may also remove themselves)
+app.delete('/api/organizations/:id/members/:userId', authenticateToken, loadOrganization(), async (req, res) => {
   try {
-    await connectToDatabase();
+    const organization = req.organization;
+    const isSelf = req.params.userId === req.user.userId;
     
-    const { brand, type, minPrice, maxPrice, minYear, maxYear, status } = req.query;
+    if (!isSelf && !organization.can(req.user.userId, 'manageMembers') && !req.user.roles.includes('admin')) {
+      return res.status(403).json({ message: 'Your dealership role does not allow this action' });
+    }
     
-    let filter = {};
+    const member = organization.members.find(m => m.userId.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
     
-    if (brand) filter.brand = new RegExp(brand, 'i');
-    if (type) filter.type = type;
-    if (minPrice || maxPrice) {
-      filter.price = {};
-      if (minPrice) filter.price.$gte = parseFloat(minPrice);
-      if (maxPrice) filter.price.$lte = parseFloat(maxPrice);
+    if (member.role === 'owner') {
+      return res.status(400).json({ message: 'The owner cannot be removed. Transfer ownership first.' });
     }
-    if (minYear || maxYear) {
-      filter.year = {};
-      if (minYear) filter.year.$gte = parseInt(minYear);
-      if (maxYear) filter.year.$lte = parseInt(maxYear);
+    
+    if (member.role === 'manager' && !isSelf && organization.roleOf(req.user.userId) !== 'owner' && !req.user.roles.includes('admin')) {
+      return res.status(403).json({ message: 'Only the owner can remove managers' });
     }
-    if (status) filter.status = status;
-    else filter.status = 'available';
     
-    const vehicles = await Vehicle.find(filter)
-      .populate('sellerId', 'name email')
-      .sort({ createdAt: -1 });
+    organization.members = organization.members.filter(m => m.userId.toString() !== req.params.userId);
+    await organization.save();
+    await revokeMembershipDealerRole(member.userId);
     
-    res.json(vehicles);
+    res.json({ message: isSelf ? 'You have left the dealership' : 'Member removed' });
   } catch (error) {
-    console.error('Get vehicles error:', error);
+    console.error('Remove member error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get Single Vehicle
-app.get('/api/vehicles/:id', async (req, res) => {
+// Export Personal Data (JSON, or ZIP with ?format=zip)
+app.get('/api/user/export', authenticateToken, async (req, res) => {
   try {
     await connectToDatabase();
     
-    const vehicle = await Vehicle.findById(req.params.id)
-      .populate('sellerId', 'name email phone');
+    const userId = req.user.userId;
     
-    if (!vehicle) {
-      return res.status(404).json({ message: 'Vehicle not found' });
+    const [profile, vehicles, bids, bookings, sessions, organizations, savedSearches] = await Promise.all([
+      User.findById(userId).select(PRIVATE_USER_FIELDS).lean(),
+      Vehicle.find({ sellerId: userId }).lean(),
+      Bid.find({ userId }).populate('vehicleId', 'brand model year price status').lean(),
+      Booking.find({ $or: [{ buyerId: userId }, { sellerId: userId }] })
+        .populate('vehicleId', 'brand model year')
+        .populate('buyerId', 'name')
+        .populate('sellerId', 'name')
+        .lean(),
+      Session.find({ userId }).select('-refreshTokenHash').lean(),
+      Organization.find({ 'members.userId': userId }).select('name email phone members.$').lean(),
+      SavedSearch.find({ userId }).select('-pendingVehicleIds').lean()
+    ]);
+    
+    if (!profile) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const bundle = {
+      exportedAt: new Date().toISOString(),
+      profile,
+      vehicles,
+      bids,
+      bookings,
+      sessions,
+      organizations,
+      savedSearches
+    };
+    
+    const filename = `autohub-data-${userId}-${Date.now()}`;
+    
+    if (req.query.format === 'zip') {
+      const zip = new AdmZip();
+      Object.entries(bundle).forEach(([name, data]) => {
+        if (name !== 'exportedAt') {
+          zip.addFile(`${name}.json`, Buffer.from(JSON.stringify(data, null, 2)));
+        }
+      });
+      zip.addFile('README.txt', Buffer.from(`AutoHub personal data export\nGenerated ${bundle.exportedAt}\n`));
+      
+      res.set('Content-Type', 'application/zip');
+      res.set('Content-Disposition', `attachment; filename="${filename}.zip"`);
+      return res.send(zip.toBuffer());
     }
     
-    res.json(vehicle);
+    res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+    res.json(bundle);
   } catch (error) {
+    console.error('Data export error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Place Bid
-app.post('/api/bids', authenticateToken, async (req, res) => {
+// Delete Account
+// The User document is kept as an anonymized tombstone so completed bookings and bid history still resolve.
+app.delete('/api/user', authenticateToken, async (req, res) => {
   try {
     await connectToDatabase();
     
-    const { vehicleId, amount } = req.body;
+    const { password, code } = req.body;
     
-    if (!vehicleId || !amount) {
-      return res.status(400).json({ message: 'Vehicle ID and amount required' });
+    if (!password) {
+      return res.status(400).json({ message: 'Password is required to delete your account' });
     }
     
-    const vehicle = await Vehicle.findById(vehicleId);
-    if (!vehicle) {
-      return res.status(404).json({ message: 'Vehicle not found' });
+    if (typeof password !== 'string') {
+      return res.status(400).json({ message: 'Password must be text' });
     }
     
-    if (vehicle.status !== 'available') {
-      return res.status(400).json({ message: 'Vehicle is no longer available' });
+    const user = await User.findById(req.user.userId);
+    if (!user || user.deletedAt) {
+      return res.status(404).json({ message: 'User not found' });
     }
     
-    if (vehicle.sellerId.toString() === req.user.userId) {
-      return res.status(400).json({ message: 'You cannot bid on your own vehicle' });
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      return res.status(401).json({ message: 'Incorrect password' });
     }
     
-    if (parseFloat(amount) <= vehicle.price) {
-      return res.status(400).json({ message: 'Bid must be higher than current price' });
+    if (user.twoFactor?.enabled) {
+      const twoFactor = await checkTwoFactorCode(user, code);
+      if (twoFactor.block) {
+        return sendTooManyAttempts(res, twoFactor.block);
+      }
+      if (!twoFactor.valid) {
+        return res.status(400).json({ message: 'A valid two-factor code is required', code: 'TWO_FACTOR_REQUIRED' });
+      }
     }
     
-    const highestBid = await Bid.findOne({ vehicleId, status: 'pending' })
-      .sort({ amount: -1 });
+    const ownedOrganization = await Organization.findOne({ members: { $elemMatch: { userId: user._id, role: 'owner' } } });
+    if (ownedOrganization) {
+      return res.status(400).json({ message: `Transfer ownership of ${ownedOrganization.name} before deleting your account` });
+    }
     
-    if (highestBid && parseFloat(amount) <= highestBid.amount) {
-      return res.status(400).json({ message: 'Bid must be higher than current highest bid' });
+    // A confirmed booking can only be completed or cancelled by the seller, so neither side may
+    // disappear while one is open
+    const openSale = await Booking.exists({ status: 'confirmed', $or: [{ buyerId: user._id }, { sellerId: user._id }] })
+      || await Vehicle.exists({ sellerId: user._id, status: 'pending_sale' });
+    if (openSale) {
+      return res.status(409).json({
+        message: 'You have a sale in progress. Complete or cancel it before deleting your account.',
+        code: 'PENDING_SALE'
+      });
     }
     
-    const bid = new Bid({
-      vehicleId,
-      userId: req.user.userId,
-      amount: parseFloat(amount)
-    });
+    // Dealership inventory belongs to the dealership, so hand this member's listings to the owner
+    const memberships = await Organization.find({ 'members.userId': user._id });
+    for (const organization of memberships) {
+      const owner = organization.members.find(m => m.role === 'owner');
+      await Vehicle.updateMany(
+        { sellerId: user._id, organizationId: organization._id },
+        { sellerId: owner.userId }
+      );
+      organization.members = organization.members.filter(m => !m.userId.equals(user._id));
+      await organization.save();
+    }
     
-    await bid.save();
+    // Unsold listings go away entirely, along with their images, documents and any open bids on them
+    const unsoldVehicles = await Vehicle.find({ sellerId: user._id, status: { $nin: ['sold', 'pending_sale'] } });
+    const unsoldIds = unsoldVehicles.map(vehicle => vehicle._id);
     
-    res.status(201).json({ message: 'Bid placed successfully', bid });
+    await deleteStoredFiles(unsoldVehicles.flatMap(vehicle => [
+      ...imageFileUrls(vehicle.imageDetails, vehicle.images),
+      ...vehicle.documents.map(doc => doc.url)
+    ]));
+    await Bid.deleteMany({ vehicleId: { $in: unsoldIds } });
+    await Vehicle.deleteMany({ _id: { $in: unsoldIds } });
+    
+    // Sold listings stay for the buyer's records but lose the seller's contact details
+    await Vehicle.updateMany(
+      { sellerId: user._id, status: { $in: ['sold', 'pending_sale'] } },
+      { contactName: 'Deleted User', contactPhone: 'N/A' }
+    );
+    
+    // Open bids from this user can no longer be accepted
+    await Bid.updateMany(
+      { userId: user._id, status: 'pending' },
+      { status: 'withdrawn' }
+    );
+    
+    await Promise.all([
+      Session.deleteMany({ userId: user._id }),
+      SavedSearch.deleteMany({ userId: user._id }),
+      Notification.deleteMany({ userId: user._id }),
+      ResetToken.deleteMany({ userId: user._id }),
+      VerificationToken.deleteMany({ userId: user._id }),
+      Attempt.deleteMany({ key: { $in: ['login:account', 'forgot:account', 'resend:account'].map(scope => attemptKey(scope, user.email)) } })
+    ]);
+    
+    user.name = 'Deleted User';
+    user.email = `deleted-${user._id}@deleted.invalid`;
+    user.phone = 'N/A';
+    user.password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+    user.roles = [];
+    user.pendingEmail = undefined;
+    user.identities = [];
+    user.twoFactor = { enabled: false, backupCodes: [] };
+    user.deletedAt = new Date();
+    await user.save();
+    
+    res.json({ message: 'Your account has been deleted' });
   } catch (error) {
-    console.error('Bid error:', error);
+    console.error('Account deletion error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get Bids for Vehicle
-app.get('/api/vehicles/:id/bids', async (req, res) => {
+// Admin Routes
+
+// List Users
+app.get('/api/admin/users', authenticateToken, authorize('admin'), async (req, res) => {
   try {
     await connectToDatabase();
     
-    const bids = await Bid.find({ vehicleId: req.params.id, status: 'pending' })
-      .populate('userId', 'name email')
-      .sort({ amount: -1 });
+    const { role, email } = req.query;
     
-    res.json(bids);
+    const filter = {};
+    if (role) filter.roles = role;
+    if (email) filter.email = email;
+    
+    const users = await User.find(filter)
+      .select(PRIVATE_USER_FIELDS)
+      .sort({ createdAt: -1 });
+    
+    res.json(users);
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Confirm Booking
-app.post('/api/bookings', authenticateToken, async (req, res) => {
+// Update User Roles
+app.put('/api/admin/users/:id/roles', authenticateToken, authorize('admin'), async (req, res) => {
   try {
     await connectToDatabase();
     
-    const { vehicleId } = req.body;
+    const { roles } = req.body;
     
-    const vehicle = await Vehicle.findById(vehicleId);
-    if (!vehicle) {
-      return res.status(404).json({ message: 'Vehicle not found' });
+    if (!Array.isArray(roles) || roles.length === 0) {
+      return res.status(400).json({ message: 'At least one role is required' });
     }
     
-    if (vehicle.status !== 'available') {
-      return res.status(400).json({ message: 'Vehicle already booked' });
+    const invalidRoles = roles.filter(role => !USER_ROLES.includes(role));
+    if (invalidRoles.length > 0) {
+      return res.status(400).json({ message: `Invalid roles: ${invalidRoles.join(', ')}` });
     }
     
-    if (vehicle.sellerId.toString() !== req.user.userId) {
-      return res.status(403).json({ message: 'Only seller can confirm booking' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'User not found' });
     }
     
-    const highestBid = await Bid.findOne({ vehicleId, status: 'pending' })
-      .sort({ amount: -1 });
-    
-    if (!highestBid) {
-      return res.status(400).json({ message: 'No bids available' });
+    if (req.params.id === req.user.userId && !roles.includes('admin')) {
+      return res.status(400).json({ message: 'You cannot remove your own admin role' });
     }
     
-    const booking = new Booking({
-      vehicleId,
-      buyerId: highestBid.userId,
-      sellerId: vehicle.sellerId,
-      bidId: highestBid._id,
-      finalPrice: highestBid.amount
-    });
-    
-    await booking.save();
-    
-    vehicle.status = 'sold';
-    await vehicle.save();
-    
-    highestBid.status = 'accepted';
-    await highestBid.save();
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      // An admin's choice of roles stands even if the user later leaves a dealership
+      { $set: { roles: [...new Set(roles)] }, $unset: { dealerViaOrganization: 1 } },
+      { new: true, runValidators: true }
+    ).select(PRIVATE_USER_FIELDS);
     
-    await Bid.updateMany(
-      { vehicleId, _id: { $ne: highestBid._id }, status: 'pending' },
-      { status: 'rejected' }
-    );
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
     
-    res.status(201).json({ message: 'Booking confirmed', booking });
+    res.json({ message: 'Roles updated', user });
   } catch (error) {
-    console.error('Booking error:', error);
+    console.error('Update roles error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get User's Posted Vehicles
-app.get('/api/user/vehicles', authenticateToken, async (req, res) => {
+// List Listings Flagged as Possible Duplicates
+app.get('/api/admin/vehicles/duplicates', authenticateToken, authorize('admin'), async (req, res) => {
   try {
     await connectToDatabase();
     
-    const vehicles = await Vehicle.find({ sellerId: req.user.userId })
+    const vehicles = await Vehicle.find({ 'duplicateFlags.0': { $exists: true } })
+      .select('-imageDetails -editHistory -statusHistory')
+      .populate('sellerId', 'name email')
+      .populate('duplicateFlags.vehicleId', 'brand model year status sellerId images')
       .sort({ createdAt: -1 });
+    
     res.json(vehicles);
   } catch (error) {
+    console.error('List duplicates error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get User's Bids
-app.get('/api/user/bids', authenticateToken, async (req, res) => {
+// Dismiss Duplicate Flags
+app.delete('/api/admin/vehicles/:id/duplicate-flags', authenticateToken, authorize('admin'), async (req, res) => {
   try {
     await connectToDatabase();
     
-    const bids = await Bid.find({ userId: req.user.userId })
-      .populate('vehicleId')
-      .sort({ createdAt: -1 });
-    res.json(bids);
-  } catch (error) {
-    res.status(500).json({ message: 'Server error' });
-  }
-});
-
-// Get User's Bookings
-app.get('/api/user/bookings', authenticateToken, async (req, res) => {
-  try {
-    await connectToDatabase();
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Vehicle not found' });
+    }
     
-    const bookings = await Booking.find({
-      $or: [
-        { buyerId: req.user.userId },
-        { sellerId: req.user.userId }
-      ]
-    })
-    .populate('vehicleId')
-    .populate('buyerId', 'name email phone')
-    .populate('sellerId', 'name email phone')
-    .sort({ createdAt: -1 });
+    const vehicle = await Vehicle.findByIdAndUpdate(req.params.id, { duplicateFlags: [] }, { new: true });
+    if (!vehicle) {
+      return res.status(404).json({ message: 'Vehicle not found' });
+    }
     
-    res.json(bookings);
+    res.json({ message: 'Duplicate flags dismissed' });
   } catch (error) {
+    console.error('Dismiss duplicates error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -602,7 +5132,20 @@ app.post('/api/forgot-password', async (req, res) => {
       return res.status(400).json({ message: 'Email is required' });
     }
     
-    const user = await User.findOne({ email });
+    // Every request counts (not just failures) since each one can send an email
+    const ipKey = attemptKey('forgot:ip', req.ip);
+    const accountKey = attemptKey('forgot:account', email);
+    
+    const block = await checkAttempts(ipKey, ATTEMPT_POLICIES.forgotIp)
+      || await checkAttempts(accountKey, ATTEMPT_POLICIES.forgotAccount);
+    if (block) {
+      return sendTooManyAttempts(res, block);
+    }
+    
+    await recordAttempt(ipKey, ATTEMPT_POLICIES.forgotIp);
+    await recordAttempt(accountKey, ATTEMPT_POLICIES.forgotAccount);
+    
+    const user = await User.findOne({ email: typedEmail(email) });
     
     if (!user) {
       return res.json({ message: 'If an account exists with this email, a reset link has been sent.' });
@@ -619,95 +5162,9 @@ app.post('/api/forgot-password', async (req, res) => {
     });
     
     const baseUrl = process.env.BASE_URL || 'https://your-frontend-domain.vercel.app';
-    const resetUrl = `${baseUrl}/frontend/pages/reset-password.html?token=${resetToken}&email=${email}`;
-    
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: user.email,
-      subject: 'AutoHub - Password Reset Request',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <style>
-            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-            .header { 
-              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
-              color: white; 
-              padding: 30px; 
-              text-align: center; 
-              border-radius: 10px 10px 0 0; 
-            }
-            .content { 
-              background: #f9f9f9; 
-              padding: 30px; 
-              border-radius: 0 0 10px 10px; 
-            }
-            .button { 
-              display: inline-block; 
-              padding: 15px 30px; 
-              background: #2563eb; 
-              color: white; 
-              text-decoration: none; 
-              border-radius: 5px; 
-              margin: 20px 0; 
-            }
-            .footer { 
-              text-align: center; 
-              margin-top: 20px; 
-              color: #666; 
-              font-size: 12px; 
-            }
-            .warning { 
-              background: #fff3cd; 
-              padding: 15px; 
-              border-left: 4px solid #ffc107; 
-              margin: 20px 0; 
-            }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="header">
-              <h1>🔒 Password Reset Request</h1>
-            </div>
-            <div class="content">
-              <p>Hello <strong>${user.name}</strong>,</p>
-              
-              <p>We received a request to reset your password for your AutoHub account.</p>
-              
-              <p>Click the button below to reset your password:</p>
-              
-              <center>
-                <a href="${resetUrl}" class="button">Reset Password</a>
-              </center>
-              
-              <p>Or copy and paste this link into your browser:</p>
-              <p style="background: #fff; padding: 10px; border: 1px solid #ddd; word-break: break-all;">${resetUrl}</p>
-              
-              <div class="warning">
-                <strong>⚠️ Important:</strong>
-                <ul>
-                  <li>This link will expire in <strong>1 hour</strong></li>
-                  <li>If you didn't request this, please ignore this email</li>
-                  <li>Your password won't change until you create a new one</li>
-                </ul>
-              </div>
-              
-              <p>Best regards,<br><strong>AutoHub Team</strong></p>
-            </div>
-            <div class="footer">
-              <p>This is an automated email. Please do not reply.</p>
-              <p>&copy; 2025 AutoHub. All rights reserved.</p>
-            </div>
-          </div>
-        </body>
-        </html>
-      `
-    };
+    const resetUrl = `${baseUrl}/frontend/pages/reset-password.html?token=${resetToken}&email=${encodeURIComponent(user.email)}`;
     
-    await transporter.sendMail(mailOptions);
+    await mailer.send('password-reset', { to: user.email, name: user.name, resetUrl });
     
     res.json({ 
       message: 'If an account exists with this email, a reset link has been sent.'
@@ -719,6 +5176,35 @@ app.post('/api/forgot-password', async (req, res) => {
   }
 });
 
+// Unlock Account from the Lockout Email
+app.post('/api/unlock-account', async (req, res) => {
+  try {
+    await connectToDatabase();
+    
+    const { token, email } = req.body;
+    
+    if (!token || !email) {
+      return res.status(400).json({ message: 'Token and email are required' });
+    }
+    
+    const record = await Attempt.findOne({
+      key: attemptKey('login:account', email),
+      unlockTokenHash: hashToken(token)
+    });
+    
+    if (!record) {
+      return res.status(400).json({ message: 'Invalid or expired unlock link' });
+    }
+    
+    await Attempt.deleteOne({ _id: record._id });
+    
+    res.json({ message: 'Your account has been unlocked. You can now login.', unlocked: true });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({ message: 'Error unlocking account. Please try again.' });
+  }
+});
+
 // Verify Reset Token
 app.get('/api/verify-reset-token', async (req, res) => {
   try {
@@ -730,8 +5216,15 @@ app.get('/api/verify-reset-token', async (req, res) => {
       return res.status(400).json({ message: 'Token and email are required' });
     }
     
-    const user = await User.findOne({ email });
+    const ipKey = attemptKey('reset:ip', req.ip);
+    const block = await checkAttempts(ipKey, ATTEMPT_POLICIES.resetIp);
+    if (block) {
+      return sendTooManyAttempts(res, block);
+    }
+    
+    const user = await User.findOne({ email: typedEmail(email) });
     if (!user) {
+      await recordAttempt(ipKey, ATTEMPT_POLICIES.resetIp);
       return res.status(400).json({ message: 'Invalid reset link' });
     }
     
@@ -743,6 +5236,7 @@ app.get('/api/verify-reset-token', async (req, res) => {
     });
     
     if (!resetToken) {
+      await recordAttempt(ipKey, ATTEMPT_POLICIES.resetIp);
       return res.status(400).json({ message: 'Invalid or expired reset link' });
     }
     
@@ -765,12 +5259,23 @@ app.post('/api/reset-password', async (req, res) => {
       return res.status(400).json({ message: 'All fields are required' });
     }
     
+    if (typeof newPassword !== 'string') {
+      return res.status(400).json({ message: 'Password must be text' });
+    }
+    
     if (newPassword.length < 8) {
       return res.status(400).json({ message: 'Password must be at least 8 characters' });
     }
     
-    const user = await User.findOne({ email });
+    const ipKey = attemptKey('reset:ip', req.ip);
+    const block = await checkAttempts(ipKey, ATTEMPT_POLICIES.resetIp);
+    if (block) {
+      return sendTooManyAttempts(res, block);
+    }
+    
+    const user = await User.findOne({ email: typedEmail(email) });
     if (!user) {
+      await recordAttempt(ipKey, ATTEMPT_POLICIES.resetIp);
       return res.status(400).json({ message: 'Invalid reset link' });
     }
     
@@ -782,6 +5287,7 @@ app.post('/api/reset-password', async (req, res) => {
     });
     
     if (!resetToken) {
+      await recordAttempt(ipKey, ATTEMPT_POLICIES.resetIp);
       return res.status(400).json({ message: 'Invalid or expired reset link' });
     }
     
@@ -792,73 +5298,13 @@ app.post('/api/reset-password', async (req, res) => {
     
     await ResetToken.deleteOne({ _id: resetToken._id });
     
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: user.email,
-      subject: 'AutoHub - Password Changed Successfully',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <style>
-            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-            .header { 
-              background: linear-gradient(135deg, #10b981 0%, #059669 100%); 
-              color: white; 
-              padding: 30px; 
-              text-align: center; 
-              border-radius: 10px 10px 0 0; 
-            }
-            .content { 
-              background: #f9f9f9; 
-              padding: 30px; 
-              border-radius: 0 0 10px 10px; 
-            }
-            .success { 
-              background: #d1fae5; 
-              padding: 15px; 
-              border-left: 4px solid #10b981; 
-              margin: 20px 0; 
-            }
-            .footer { 
-              text-align: center; 
-              margin-top: 20px; 
-              color: #666; 
-              font-size: 12px; 
-            }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="header">
-              <h1>✅ Password Changed Successfully</h1>
-            </div>
-            <div class="content">
-              <p>Hello <strong>${user.name}</strong>,</p>
-              
-              <div class="success">
-                <strong>✅ Success!</strong><br>
-                Your AutoHub password has been changed successfully.
-              </div>
-              
-              <p>You can now log in with your new password.</p>
-              
-              <p><strong>If you didn't make this change:</strong><br>
-              Please contact our support team immediately at support@autohub.com</p>
-              
-              <p>Best regards,<br><strong>AutoHub Team</strong></p>
-            </div>
-            <div class="footer">
-              <p>&copy; 2025 AutoHub. All rights reserved.</p>
-            </div>
-          </div>
-        </body>
-        </html>
-      `
-    };
+    // Sign out every device that was using the old password
+    await Session.updateMany({ userId: user._id, revokedAt: null }, { revokedAt: new Date() });
+    
+    // Proving ownership of the inbox also lifts any login lockout
+    await clearAttempts(attemptKey('login:account', user.email));
     
-    await transporter.sendMail(mailOptions);
+    await sendPasswordChangedEmail(user);
     
     res.json({ message: 'Password reset successful! You can now login with your new password.' });
     
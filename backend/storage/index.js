@@ -0,0 +1,145 @@
+// File storage for uploaded photos and documents
+//
+// STORAGE_DRIVER selects where files go:
+//   cloudinary (default) CLOUDINARY_CLOUD_NAME/CLOUDINARY_API_KEY/CLOUDINARY_API_SECRET
+//   local      writes to STORAGE_LOCAL_DIR (default: backend/uploads); the app serves it under
+//              /uploads and STORAGE_PUBLIC_URL is the API's public base URL (default: http://localhost:5000)
+//   s3         any S3-compatible service: S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID/S3_SECRET_ACCESS_KEY,
+//              S3_ENDPOINT for non-AWS services (R2, MinIO, ...), S3_PUBLIC_URL (default: the bucket URL)
+//
+// Every driver has put(key, buffer, contentType) -> public URL and remove(url). Keys are paths
+// such as "autohub-vehicles/1700000000000-1a2b3c4d-front.jpg"; remove() ignores URLs the driver
+// did not create.
+
+const fs = require('fs');
+const path = require('path');
+
+const CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+function cloudinaryDriver() {
+  const cloudinary = require('cloudinary').v2;
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET
+  });
+  
+  return {
+    name: 'cloudinary',
+    
+    put(key, buffer) {
+      return new Promise((resolve, reject) => {
+        const uploadStream = cloudinary.uploader.upload_stream(
+          // Cloudinary adds the extension itself
+          { public_id: key.replace(/\.[a-z0-9]+$/i, ''), resource_type: 'auto' },
+          (error, result) => {
+            if (error) reject(error);
+            else resolve(result.secure_url);
+          }
+        );
+        uploadStream.end(buffer);
+      });
+    },
+    
+    async remove(url) {
+      // https://res.cloudinary.com/<cloud>/image/upload/v123/autohub-vehicles/name.jpg -> autohub-vehicles/name
+      const match = /res\.cloudinary\.com\/.+\/upload\/(?:v\d+\/)?(.+?)(?:\.[a-z0-9]+)?$/i.exec(url || '');
+      if (match) {
+        await cloudinary.uploader.destroy(decodeURIComponent(match[1]));
+      }
+    }
+  };
+}
+
+function localDriver(options) {
+  const directory = path.resolve(options.localDir || process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', 'uploads'));
+  const baseUrl = `${(options.publicUrl || process.env.STORAGE_PUBLIC_URL || 'http://localhost:5000').replace(/\/$/, '')}/uploads/`;
+  
+  // Keeps "../" in a crafted URL from reaching outside the upload directory
+  const fileFor = (key) => {
+    const file = path.resolve(directory, key);
+    return file.startsWith(directory + path.sep) ? file : null;
+  };
+  
+  return {
+    name: 'local',
+    directory,
+    
+    async put(key, buffer) {
+      const file = fileFor(key);
+      if (!file) throw new Error(`Invalid storage key "${key}"`);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+      return baseUrl + key;
+    },
+    
+    async remove(url) {
+      if (!url || !url.startsWith(baseUrl)) return;
+      const file = fileFor(decodeURIComponent(url.slice(baseUrl.length)));
+      if (!file) return;
+      await fs.promises.unlink(file).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+  };
+}
+
+function s3Driver(options) {
+  const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+  
+  const bucket = options.bucket || process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for STORAGE_DRIVER=s3');
+  }
+  const region = process.env.S3_REGION || 'us-east-1';
+  const endpoint = process.env.S3_ENDPOINT;
+  
+  const client = new S3Client({
+    region,
+    endpoint,
+    // Most S3-compatible services only support path-style bucket addressing
+    forcePathStyle: Boolean(endpoint),
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+      : undefined
+  });
+  const baseUrl = `${(process.env.S3_PUBLIC_URL
+    || (endpoint ? `${endpoint}/${bucket}` : `https://${bucket}.s3.${region}.amazonaws.com`)).replace(/\/$/, '')}/`;
+  
+  return {
+    name: 's3',
+    
+    async put(key, buffer, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+        CacheControl: CACHE_CONTROL
+      }));
+      return baseUrl + key.split('/').map(encodeURIComponent).join('/');
+    },
+    
+    async remove(url) {
+      if (!url || !url.startsWith(baseUrl)) return;
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: decodeURIComponent(url.slice(baseUrl.length)) }));
+    }
+  };
+}
+
+function createStorage(options = {}) {
+  const driver = options.driver || process.env.STORAGE_DRIVER || 'cloudinary';
+  
+  switch (driver) {
+    case 'cloudinary':
+      return cloudinaryDriver(options);
+    case 'local':
+      return localDriver(options);
+    case 's3':
+      return s3Driver(options);
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+  }
+}
+
+module.exports = { createStorage, CACHE_CONTROL };
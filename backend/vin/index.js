@@ -0,0 +1,105 @@
+// Vehicle Identification Numbers (ISO 3779 / 49 CFR 565)
+//
+// Validation and decoding are fully offline. ./wmi.json maps World Manufacturer
+// Identifiers (the first three characters) to a make and country; anything not in
+// the table still gets a region from the first character.
+//
+//   position  1-3   WMI (manufacturer)
+//             4-8   vehicle descriptor
+//             9     check digit (mandatory in North America, optional elsewhere)
+//             10    model year
+//             11    plant
+//             12-17 serial number
+
+const WMI = require('./wmi.json');
+
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+
+const TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+
+const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// Model year codes repeat every 30 years, starting at 1980 (A) and 2010 (A)
+const MODEL_YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+
+const REGIONS = [
+  { pattern: /^[A-H]/, region: 'Africa' },
+  { pattern: /^[J-R]/, region: 'Asia' },
+  { pattern: /^[S-Z]/, region: 'Europe' },
+  { pattern: /^[1-5]/, region: 'North America' },
+  { pattern: /^[6-7]/, region: 'Oceania' },
+  { pattern: /^[8-9]/, region: 'South America' }
+];
+
+const normalizeVin = (vin) => String(vin ?? '').toUpperCase().replace(/[\s-]/g, '');
+
+const transliterate = (char) => (/\d/.test(char) ? Number(char) : TRANSLITERATION[char]);
+
+function checkDigit(vin) {
+  const sum = [...vin].reduce((total, char, index) => total + transliterate(char) * WEIGHTS[index], 0);
+  const remainder = sum % 11;
+  return remainder === 10 ? 'X' : String(remainder);
+}
+
+const regionOf = (vin) => (REGIONS.find(({ pattern }) => pattern.test(vin)) || {}).region || null;
+
+// Returns { valid, vin, error? }. The check digit is only enforced for North American
+// VINs, where it is mandatory; many European and Asian VINs do not use it.
+function validateVin(input) {
+  const vin = normalizeVin(input);
+
+  if (vin.length !== 17) {
+    return { valid: false, vin, error: 'VIN must be 17 characters' };
+  }
+  if (!VIN_PATTERN.test(vin)) {
+    return { valid: false, vin, error: 'VIN may only contain letters and digits, excluding I, O and Q' };
+  }
+  if (regionOf(vin) === 'North America' && checkDigit(vin) !== vin[8]) {
+    return { valid: false, vin, error: 'VIN check digit does not match' };
+  }
+
+  return { valid: true, vin };
+}
+
+// Position 7 is a letter for 2010+ passenger vehicles in North America; elsewhere pick
+// the most recent cycle that is not in the future.
+function modelYearOf(vin, now = new Date()) {
+  const index = MODEL_YEAR_CODES.indexOf(vin[9]);
+  if (index === -1) return null;
+
+  const candidates = [1980 + index, 2010 + index, 2040 + index];
+  if (regionOf(vin) === 'North America') {
+    return /[A-Z]/.test(vin[6]) ? candidates[1] : candidates[0];
+  }
+
+  const latest = now.getFullYear() + 1;
+  return candidates.filter(year => year <= latest).pop() || null;
+}
+
+// Returns null when the VIN is invalid
+function decodeVin(input) {
+  const { valid, vin } = validateVin(input);
+  if (!valid) return null;
+
+  const manufacturer = WMI[vin.slice(0, 3)] || null;
+
+  return {
+    vin,
+    wmi: vin.slice(0, 3),
+    brand: manufacturer ? manufacturer.make : null,
+    country: manufacturer ? manufacturer.country : null,
+    region: regionOf(vin),
+    year: modelYearOf(vin),
+    checkDigitValid: checkDigit(vin) === vin[8],
+    serialNumber: vin.slice(11)
+  };
+}
+
+// Keeps the manufacturer, descriptor, year and plant; hides the serial number
+const maskVin = (vin) => (vin ? `${vin.slice(0, 11)}${'*'.repeat(vin.length - 11)}` : vin);
+
+module.exports = { validateVin, decodeVin, normalizeVin, maskVin, checkDigit };
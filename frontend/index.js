@@ -4,7 +4,12 @@ const API_URL = window.APP_CONFIG?.API_URL || 'https://imran-auto-hub-backend.ve
 let currentUser = null;
 let currentVehicleId = null;
 let selectedImages = [];
-let cachedVehicles = [];
+// Filters and cursor of the search shown in #vehicleGrid, for loading further pages
+let vehicleSearch = { filters: {}, nextCursor: null, total: 0, loading: false };
+let pendingTwoFactorChallenge = null;
+let userOrganizations = [];
+let dashboardVehicles = [];
+let editingVehicle = null;
 
 const STORAGE_KEYS = {
     favorites: 'favorites',
@@ -17,13 +22,21 @@ console.log('🔍 Config object:', window.APP_CONFIG);
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
-    checkAuth();
+    checkAuth().then(async () => {
+        await handleSsoRedirect();
+        loadUserOrganizations();
+        handleInvitationLink();
+        handleAlertLinks();
+    });
+    loadSsoProviders();
     loadVehicles();
     initializeEventListeners();
     initScrollReveal();
     initFAQ();
     initFinanceTools();
     initCompareUI();
+    initInfiniteScroll();
+    initTypeaheads();
     renderCompareDrawer();
     updateFavoriteButtons();
 });
@@ -42,6 +55,38 @@ function initializeEventListeners() {
         loginForm.addEventListener('submit', handleLogin);
     }
     
+    // Two-Factor Login Form
+    const twoFactorForm = document.getElementById('twoFactorForm');
+    if (twoFactorForm) {
+        twoFactorForm.addEventListener('submit', handleTwoFactorLogin);
+    }
+    
+    // Account Settings Forms
+    const profileForm = document.getElementById('profileForm');
+    if (profileForm) {
+        profileForm.addEventListener('submit', handleProfileUpdate);
+    }
+    
+    const profileEmail = document.getElementById('profileEmail');
+    if (profileEmail) {
+        profileEmail.addEventListener('input', () => {
+            const passwordGroup = document.getElementById('profilePasswordGroup');
+            if (passwordGroup) {
+                passwordGroup.classList.toggle('hidden', profileEmail.value.trim() === (currentUser?.email || ''));
+            }
+        });
+    }
+    
+    const changePasswordForm = document.getElementById('changePasswordForm');
+    if (changePasswordForm) {
+        changePasswordForm.addEventListener('submit', handleChangePassword);
+    }
+    
+    const deleteAccountForm = document.getElementById('deleteAccountForm');
+    if (deleteAccountForm) {
+        deleteAccountForm.addEventListener('submit', handleDeleteAccount);
+    }
+    
     // Sell Vehicle Form
     const sellVehicleForm = document.getElementById('sellVehicleForm');
     if (sellVehicleForm) {
@@ -60,6 +105,19 @@ function initializeEventListeners() {
         regPassword.addEventListener('input', checkPasswordStrength);
     }
     
+    // Specification fields
+    const sellSpecs = document.getElementById('sellSpecs');
+    if (sellSpecs) {
+        sellSpecs.innerHTML = specFieldsHtml('sell');
+    }
+    populateSpecFilters();
+    
+    // VIN Decoder
+    const sellVin = document.getElementById('sellVin');
+    if (sellVin) {
+        sellVin.addEventListener('input', handleSellVinInput);
+    }
+    
     // Image Upload Handler
     const sellImages = document.getElementById('sellImages');
     if (sellImages) {
@@ -171,18 +229,26 @@ function removeImage(index) {
 }
 
 // Authentication
-function checkAuth() {
+async function checkAuth() {
     const token = localStorage.getItem('token');
     const user = localStorage.getItem('user');
     
     if (token && user) {
         try {
             currentUser = JSON.parse(user);
-            updateAuthUI(true);
         } catch (error) {
             console.error('Error parsing user data:', error);
-            localStorage.removeItem('token');
-            localStorage.removeItem('user');
+            clearAuthStorage();
+            updateAuthUI(false);
+            return;
+        }
+        
+        updateAuthUI(true);
+        
+        // Renew an expired access token up front so the session survives page reloads
+        if (isTokenExpired(token) && !(await refreshAccessToken())) {
+            clearAuthStorage();
+            currentUser = null;
             updateAuthUI(false);
         }
     } else {
@@ -190,6 +256,92 @@ function checkAuth() {
     }
 }
 
+// Mirrors the backend authorize() check; users stored before roles existed get the defaults
+function hasRole(...roles) {
+    const userRoles = currentUser?.roles || ['buyer', 'seller'];
+    return userRoles.includes('admin') || roles.some(role => userRoles.includes(role));
+}
+
+function clearAuthStorage() {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('user');
+}
+
+function isTokenExpired(token) {
+    try {
+        const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+        return !payload.exp || payload.exp * 1000 <= Date.now() + 10000;
+    } catch (error) {
+        return true;
+    }
+}
+
+// Exchange the stored refresh token for a new token pair.
+// Concurrent callers share one request so the rotated token is not replayed.
+let refreshPromise = null;
+
+function refreshAccessToken() {
+    if (refreshPromise) return refreshPromise;
+    
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) return Promise.resolve(false);
+    
+    refreshPromise = (async () => {
+        try {
+            const response = await fetch(`${API_URL}/token/refresh`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ refreshToken })
+            });
+            
+            if (!response.ok) return false;
+            
+            const data = await response.json();
+            localStorage.setItem('token', data.token);
+            localStorage.setItem('refreshToken', data.refreshToken);
+            return true;
+        } catch (error) {
+            console.error('Token refresh error:', error);
+            return false;
+        } finally {
+            refreshPromise = null;
+        }
+    })();
+    
+    return refreshPromise;
+}
+
+// fetch() with the access token attached (when there is one), retrying once after a refresh on 401
+async function authFetch(url, options = {}) {
+    const send = () => {
+        const token = localStorage.getItem('token');
+        return fetch(url, {
+            ...options,
+            headers: {
+                ...(options.headers || {}),
+                ...(token && { 'Authorization': `Bearer ${token}` })
+            }
+        });
+    };
+    
+    let response = await send();
+    
+    if (response.status === 401 && await refreshAccessToken()) {
+        response = await send();
+    }
+    
+    if (response.status === 401) {
+        clearAuthStorage();
+        currentUser = null;
+        updateAuthUI(false);
+    }
+    
+    return response;
+}
+
 function updateAuthUI(isAuthenticated) {
     const authButtons = document.getElementById('authButtons');
     const userMenu = document.getElementById('userMenu');
@@ -198,9 +350,11 @@ function updateAuthUI(isAuthenticated) {
         if (isAuthenticated) {
             authButtons.classList.add('hidden');
             userMenu.classList.remove('hidden');
+            startNotificationPolling();
         } else {
             authButtons.classList.remove('hidden');
             userMenu.classList.add('hidden');
+            stopNotificationPolling();
         }
     }
 }
@@ -241,7 +395,7 @@ async function handleRegister(e) {
         const data = await response.json();
         
         if (response.ok) {
-            showSuccess('registerSuccess', 'Registration successful! Please login.');
+            showSuccess('registerSuccess', 'Registration successful! Check your email to verify your account, then login.');
             e.target.reset();
             setTimeout(() => showLogin(), 2000);
         } else {
@@ -265,6 +419,7 @@ async function handleLogin(e) {
     const submitBtn = e.target.querySelector('button[type="submit"]');
     submitBtn.disabled = true;
     submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Logging in...';
+    let retryAfter = 0;
     
     try {
         const response = await fetch(`${API_URL}/login`, {
@@ -277,74 +432,331 @@ async function handleLogin(e) {
         
         const data = await response.json();
         
-        if (response.ok) {
-            localStorage.setItem('token', data.token);
-            localStorage.setItem('user', JSON.stringify(data.user));
-            currentUser = data.user;
-            updateAuthUI(true);
-            showSuccess('loginSuccess', 'Login successful!');
-            setTimeout(() => showHome(), 1000);
+        if (response.ok && data.twoFactorRequired) {
+            pendingTwoFactorChallenge = data.challengeToken;
+            toggleTwoFactorStep(true);
+        } else if (response.ok) {
+            completeLogin(data);
         } else {
             showError('loginError', data.message || 'Login failed');
+            if (response.status === 429) {
+                retryAfter = data.retryAfter;
+            }
         }
     } catch (error) {
         console.error('Login error:', error);
         showError('loginError', 'Network error. Please check your connection and try again.');
     } finally {
-        submitBtn.disabled = false;
-        submitBtn.innerHTML = '<i class="fas fa-sign-in-alt"></i> Login';
+        if (retryAfter) {
+            holdButtonForRetry(submitBtn, retryAfter, '<i class="fas fa-sign-in-alt"></i> Login');
+        } else {
+            submitBtn.disabled = false;
+            submitBtn.innerHTML = '<i class="fas fa-sign-in-alt"></i> Login';
+        }
     }
 }
 
-function logout() {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+async function handleTwoFactorLogin(e) {
+    e.preventDefault();
+    
+    const code = document.getElementById('twoFactorCode').value.trim();
+    
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Verifying...';
+    let retryAfter = 0;
+    
+    try {
+        const response = await fetch(`${API_URL}/login/2fa`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ challengeToken: pendingTwoFactorChallenge, code })
+        });
+        
+        const data = await response.json();
+        
+        if (response.ok) {
+            completeLogin(data);
+        } else {
+            showError('loginError', data.message || 'Verification failed');
+            if (response.status === 429) {
+                retryAfter = data.retryAfter;
+            } else if (response.status === 401 && data.message !== 'Invalid verification code') {
+                cancelTwoFactorLogin();
+            }
+        }
+    } catch (error) {
+        console.error('2FA login error:', error);
+        showError('loginError', 'Network error. Please check your connection and try again.');
+    } finally {
+        if (retryAfter) {
+            holdButtonForRetry(submitBtn, retryAfter, 'Verify');
+        } else {
+            submitBtn.disabled = false;
+            submitBtn.innerHTML = 'Verify';
+        }
+    }
+}
+
+function completeLogin(data) {
+    localStorage.setItem('token', data.token);
+    localStorage.setItem('refreshToken', data.refreshToken);
+    localStorage.setItem('user', JSON.stringify(data.user));
+    currentUser = data.user;
+    updateAuthUI(true);
+    cancelTwoFactorLogin();
+    const loginForm = document.getElementById('loginForm');
+    if (loginForm) loginForm.reset();
+    showSuccess('loginSuccess', 'Login successful!');
+    loadUserOrganizations();
+    acceptPendingInvitation();
+    setTimeout(() => showHome(), 1000);
+}
+
+// Single Sign-On
+async function loadSsoProviders() {
+    const options = document.getElementById('ssoOptions');
+    const buttons = document.getElementById('ssoButtons');
+    if (!options || !buttons) return;
+    
+    try {
+        const response = await fetch(`${API_URL}/auth/oidc/providers`);
+        const providers = response.ok ? await response.json() : [];
+        
+        buttons.innerHTML = providers.map(provider => `
+            <a class="btn btn-secondary" href="${API_URL}/auth/oidc/${encodeURIComponent(provider.id)}/start">
+                <i class="fas fa-building"></i> Continue with ${escapeHtml(provider.name)}
+            </a>
+        `).join('');
+        options.classList.toggle('hidden', providers.length === 0);
+    } catch (error) {
+        console.error('Error loading sign-in providers:', error);
+    }
+}
+
+// The SSO callback lands on index.html?sso=<one-time code> (or ?ssoError=<message>)
+async function handleSsoRedirect() {
+    const params = new URLSearchParams(window.location.search);
+    const code = params.get('sso');
+    const ssoError = params.get('ssoError');
+    
+    if (!code && !ssoError) return;
+    
+    params.delete('sso');
+    params.delete('ssoError');
+    const query = params.toString();
+    window.history.replaceState({}, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+    
+    showLogin();
+    
+    if (ssoError) {
+        showError('loginError', ssoError);
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${API_URL}/auth/oidc/exchange`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ code })
+        });
+        
+        const data = await response.json();
+        
+        if (response.ok && data.twoFactorRequired) {
+            pendingTwoFactorChallenge = data.challengeToken;
+            toggleTwoFactorStep(true);
+        } else if (response.ok) {
+            completeLogin(data);
+        } else {
+            showError('loginError', data.message || 'Sign-in failed');
+        }
+    } catch (error) {
+        console.error('SSO sign-in error:', error);
+        showError('loginError', 'Network error. Please check your connection and try again.');
+    }
+}
+
+function toggleTwoFactorStep(show) {
+    const loginForm = document.getElementById('loginForm');
+    const twoFactorForm = document.getElementById('twoFactorForm');
+    if (loginForm) loginForm.classList.toggle('hidden', show);
+    if (twoFactorForm) {
+        twoFactorForm.classList.toggle('hidden', !show);
+        twoFactorForm.reset();
+    }
+    if (show) {
+        document.getElementById('twoFactorCode')?.focus();
+    }
+}
+
+function cancelTwoFactorLogin() {
+    pendingTwoFactorChallenge = null;
+    toggleTwoFactorStep(false);
+}
+
+async function logout() {
+    const refreshToken = localStorage.getItem('refreshToken');
+    
+    if (refreshToken) {
+        try {
+            await fetch(`${API_URL}/logout`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ refreshToken })
+            });
+        } catch (error) {
+            console.error('Logout error:', error);
+        }
+    }
+    
+    clearAuthStorage();
     currentUser = null;
+    userOrganizations = [];
+    savedSearches = [];
+    populateSellOrganizations();
     updateAuthUI(false);
     showHome();
 }
 
+// Offer to resend the verification link when the backend rejects an unverified account
+async function promptEmailVerification(message) {
+    if (!currentUser || !confirm(`${message}\n\nResend the verification email to ${currentUser.email}?`)) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${API_URL}/resend-verification`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ email: currentUser.email })
+        });
+        
+        const data = await response.json();
+        showToast(data.message || 'Verification email sent.');
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        showToast('Network error. Please try again.');
+    }
+}
+
 // Vehicle Operations
-async function loadVehicles(filters = {}) {
+
+// Photos are stored with WebP variants (thumb 400px, medium 800px, large 1600px wide); photos
+// uploaded before that only have the original
+function vehicleImageUrl(vehicle, url, variant = 'thumb') {
+    const details = (vehicle.imageDetails || []).find(image => image.url === url);
+    return details?.variants?.[variant] || url;
+}
+
+// append loads the next page of the current search below the results already shown
+async function loadVehicles(filters = {}, append = false) {
+    if (append && (vehicleSearch.loading || !vehicleSearch.nextCursor)) return;
+    vehicleSearch.loading = true;
+    if (!append) loadFacets(filters);
+    
     try {
-        const params = new URLSearchParams(filters);
+        const params = new URLSearchParams(append ? { ...filters, cursor: vehicleSearch.nextCursor } : filters);
         const response = await fetch(`${API_URL}/vehicles?${params}`);
         
+        if (response.status === 400 && !append) {
+            vehicleSearch = { filters, nextCursor: null, total: 0, loading: false };
+            renderVehiclePager();
+            const data = await response.json();
+            const grid = document.getElementById('vehicleGrid');
+            if (grid) {
+                grid.innerHTML = `<p style="text-align: center; grid-column: 1 / -1; color: var(--text-light);">${escapeHtml(data.message)}</p>`;
+            }
+            return;
+        }
         if (!response.ok) {
             throw new Error('Failed to load vehicles');
         }
         
-        const vehicles = await response.json();
-        const isFiltered = Object.keys(filters).length > 0;
-        if (!isFiltered || cachedVehicles.length === 0) {
-            cachedVehicles = vehicles;
+        const { vehicles, total, nextCursor } = await response.json();
+        vehicleSearch = { filters, nextCursor, total, loading: false };
+        
+        if (append) {
+            displayVehicles(vehicles, true);
+        } else {
+            displayVehicles(vehicles);
+            displayFeaturedVehicles(vehicles);
+            renderFavorites();
+            renderRecentViews();
         }
-        displayVehicles(vehicles);
-        displayFeaturedVehicles(vehicles);
-        renderFavorites();
-        renderRecentViews();
+        renderVehiclePager();
     } catch (error) {
         console.error('Error loading vehicles:', error);
+        if (append) {
+            showToast('Could not load more vehicles. Please try again.');
+            return;
+        }
         const grid = document.getElementById('vehicleGrid');
         if (grid) {
             grid.innerHTML = '<p style="text-align: center; grid-column: 1 / -1; color: var(--text-light);">Failed to load vehicles. Please try again later.</p>';
         }
+    } finally {
+        vehicleSearch.loading = false;
+    }
+}
+
+function loadMoreVehicles() {
+    loadVehicles(vehicleSearch.filters, true);
+}
+
+function renderVehiclePager() {
+    const pager = document.getElementById('vehiclePager');
+    if (!pager) return;
+    
+    const shown = document.querySelectorAll('#vehicleGrid .vehicle-card').length;
+    if (vehicleSearch.total === 0) {
+        pager.innerHTML = '';
+        return;
     }
+    
+    pager.innerHTML = `
+        <p class="muted">Showing ${shown.toLocaleString()} of ${vehicleSearch.total.toLocaleString()} vehicles</p>
+        ${vehicleSearch.nextCursor ? `
+            <button class="btn btn-secondary" onclick="loadMoreVehicles()">
+                <i class="fas fa-chevron-down"></i> Load more
+            </button>
+        ` : ''}
+    `;
 }
 
-function displayVehicles(vehicles) {
+// The next page loads as the pager scrolls into view; the button covers browsers without IntersectionObserver
+function initInfiniteScroll() {
+    const pager = document.getElementById('vehiclePager');
+    if (!pager || !('IntersectionObserver' in window)) return;
+    
+    new IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting)) loadMoreVehicles();
+    }, { rootMargin: '400px' }).observe(pager);
+}
+
+function displayVehicles(vehicles, append = false) {
     const grid = document.getElementById('vehicleGrid');
     if (!grid) return;
     
     if (vehicles.length === 0) {
-        grid.innerHTML = '<p style="text-align: center; grid-column: 1 / -1; color: var(--text-light);">No vehicles found</p>';
+        if (!append) {
+            grid.innerHTML = '<p style="text-align: center; grid-column: 1 / -1; color: var(--text-light);">No vehicles found</p>';
+        }
         return;
     }
     
-    grid.innerHTML = vehicles.map(vehicle => {
+    const cards = vehicles.map(vehicle => {
         // Use Cloudinary URL directly from backend
         const imageUrl = vehicle.images && vehicle.images.length > 0 
-            ? vehicle.images[0]
+            ? vehicleImageUrl(vehicle, vehicle.images[0])
             : 'https://via.placeholder.com/400x300?text=No+Image';
         const favoriteActive = isFavorited(vehicle._id);
         const compareActive = isInCompare(vehicle._id);
@@ -365,17 +777,20 @@ function displayVehicles(vehicles) {
                             data-mileage="${vehicle.mileage}"
                             data-type="${vehicle.type}"
                             data-condition="${vehicle.condition}"
+                            ${compareSpecAttribute(vehicle)}
                             onclick="event.stopPropagation(); toggleCompareFromCard(this)">
                             <i class="fas fa-scale-balanced"></i>
                         </button>
                     </div>
                     <img src="${imageUrl}" alt="${vehicle.brand} ${vehicle.model}" class="vehicle-image" onerror="this.src='https://via.placeholder.com/400x300?text=No+Image'">
                     <div class="vehicle-badge">${vehicle.condition}</div>
+                    ${inspectionBadge(vehicle)}
                     ${vehicle.images && vehicle.images.length > 1 ? `<div class="vehicle-badge" style="left: 1rem; right: auto; background: rgba(0,0,0,0.7);"><i class="fas fa-images"></i> ${vehicle.images.length}</div>` : ''}
                 </div>
                 <div class="vehicle-info">
                     <h3 class="vehicle-title">${vehicle.brand} ${vehicle.model}</h3>
                     <div class="vehicle-price">$${vehicle.price.toLocaleString()}</div>
+                    ${vehicleLocationLine(vehicle)}
                     <div class="vehicle-details">
                         <div class="vehicle-detail">
                             <i class="fas fa-calendar"></i>
@@ -399,18 +814,20 @@ function displayVehicles(vehicles) {
             </div>
         `;
     }).join('');
+    
+    if (append) {
+        grid.insertAdjacentHTML('beforeend', cards);
+    } else {
+        grid.innerHTML = cards;
+    }
 }
 
+// Visitors can look too; the server leaves out what is only for signed-in users
 async function showVehicleDetails(vehicleId) {
-    if (!currentUser) {
-        showLogin();
-        return;
-    }
-    
     currentVehicleId = vehicleId;
     
     try {
-        const response = await fetch(`${API_URL}/vehicles/${vehicleId}`);
+        const response = await authFetch(`${API_URL}/vehicles/${vehicleId}`);
         
         if (!response.ok) {
             throw new Error('Failed to load vehicle details');
@@ -420,21 +837,23 @@ async function showVehicleDetails(vehicleId) {
         trackRecentlyViewed(vehicle);
         
         const isSeller = currentUser && vehicle.sellerId._id === currentUser.id;
+        const canConfirmSale = canManageVehicle(vehicle);
+        const canAttachDocuments = canConfirmSale || hasRole('inspector');
         
-        // Create image gallery with Cloudinary URLs
+        // Create image gallery; thumbnails swap in the large variant
         let imageGalleryHTML = '';
         if (vehicle.images && vehicle.images.length > 0) {
             imageGalleryHTML = `
                 <div style="position: relative;">
-                    <img id="mainImage" src="${vehicle.images[0]}" alt="${vehicle.brand} ${vehicle.model}" 
+                    <img id="mainImage" src="${vehicleImageUrl(vehicle, vehicle.images[0], 'large')}" alt="${vehicle.brand} ${vehicle.model}" 
                          style="width: 100%; height: 400px; object-fit: cover; border-radius: 10px; margin-bottom: 1rem;" 
                          onerror="this.src='https://via.placeholder.com/800x400?text=No+Image'">
                     
                     ${vehicle.images.length > 1 ? `
                         <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(100px, 1fr)); gap: 0.5rem; margin-bottom: 2rem;">
                             ${vehicle.images.map((img, index) => `
-                                <img src="${img}" 
-                                     onclick="document.getElementById('mainImage').src=this.src" 
+                                <img src="${vehicleImageUrl(vehicle, img)}" data-large="${vehicleImageUrl(vehicle, img, 'large')}"
+                                     onclick="document.getElementById('mainImage').src=this.dataset.large" 
                                      style="width: 100%; height: 80px; object-fit: cover; border-radius: 5px; cursor: pointer; border: 2px solid ${index === 0 ? 'var(--primary)' : 'transparent'};" 
                                      onerror="this.src='https://via.placeholder.com/100x80?text=No+Image'">
                             `).join('')}
@@ -487,12 +906,49 @@ async function showVehicleDetails(vehicleId) {
                     <label>Starting Price</label>
                     <p style="color: var(--primary); font-size: 1.3rem;">$${vehicle.price.toLocaleString()}</p>
                 </div>
+                ${Object.entries(VEHICLE_SPEC_FIELDS).filter(([field]) => vehicle[field] !== undefined && vehicle[field] !== null).map(([field, label]) => `
+                    <div class="detail-item">
+                        <label>${label}</label>
+                        <p>${escapeHtml(formatSpec(field, vehicle[field]))}</p>
+                    </div>
+                `).join('')}
+                ${vehicle.location?.postcode ? `
+                    <div class="detail-item">
+                        <label>Location</label>
+                        <p>${escapeHtml([vehicle.location.address, `${vehicle.location.city}, ${vehicle.location.state} ${vehicle.location.postcode}`].filter(Boolean).join(', '))}</p>
+                    </div>
+                ` : ''}
+                ${vehicle.vin ? `
+                    <div class="detail-item">
+                        <label>VIN</label>
+                        <p style="font-family: monospace;">${escapeHtml(vehicle.vin)}</p>
+                    </div>
+                ` : ''}
                 <div class="detail-item">
                     <label>Status</label>
-                    <p style="color: ${vehicle.status === 'available' ? 'var(--secondary)' : 'var(--danger)'}; text-transform: capitalize;">${vehicle.status}</p>
+                    <p style="color: ${vehicleStatusColor(vehicle.status)};">${VEHICLE_STATUS_LABELS[vehicle.status] || vehicle.status}</p>
                 </div>
             </div>
             
+            ${vehicle.features?.length > 0 ? `
+                <div style="margin-top: 1.5rem;">
+                    <h3 style="margin-bottom: 0.5rem;">Features</h3>
+                    <div class="feature-chips">
+                        ${vehicle.features.map(feature => `<span class="feature-chip"><i class="fas fa-check"></i> ${escapeHtml(formatSpec('features', [feature]))}</span>`).join('')}
+                    </div>
+                </div>
+            ` : ''}
+            
+            ${renderInspection(vehicle, !isSeller && hasRole('inspector'))}
+            
+            ${renderVehicleDocuments(vehicle, canAttachDocuments)}
+            
+            ${vehicle.editHistory?.some(edit => edit.hadBids) ? `
+                <p class="muted" style="margin-top: 1rem;">
+                    <i class="fas fa-pen"></i> The seller edited this listing after bidding started (last change ${new Date(vehicle.updatedAt).toLocaleDateString()}).
+                </p>
+            ` : ''}
+            
             ${vehicle.description ? `
                 <div style="margin: 2rem 0;">
                     <h3 style="margin-bottom: 0.5rem;">Description</h3>
@@ -509,7 +965,7 @@ async function showVehicleDetails(vehicleId) {
             ${vehicle.status === 'available' ? `
                 <div class="bid-section">
                     <h3><i class="fas fa-gavel"></i> Place Your Bid</h3>
-                    ${!isSeller ? `
+                    ${!isSeller && hasRole('buyer', 'dealer') ? `
                         <form class="bid-form" onsubmit="placeBid(event, '${vehicleId}')">
                             <input type="number" id="bidAmount" placeholder="Enter bid amount" min="${vehicle.price + 1}" required>
                             <button type="submit" class="btn btn-secondary">
@@ -518,7 +974,7 @@ async function showVehicleDetails(vehicleId) {
                         </form>
                     ` : `
                         <p style="background: rgba(255,255,255,0.1); padding: 1rem; border-radius: 8px; margin-bottom: 1rem;">
-                            <i class="fas fa-info-circle"></i> You cannot bid on your own vehicle
+                            <i class="fas fa-info-circle"></i> ${isSeller ? 'You cannot bid on your own vehicle' : 'Your account is not allowed to place bids'}
                         </p>
                     `}
                     
@@ -527,7 +983,7 @@ async function showVehicleDetails(vehicleId) {
                         <div class="spinner"></div>
                     </div>
                     
-                    ${isSeller ? `
+                    ${canConfirmSale ? `
                         <button class="btn btn-success" onclick="confirmBooking('${vehicleId}')" style="width: 100%; margin-top: 1rem;">
                             <i class="fas fa-check-circle"></i> Confirm Sale to Highest Bidder
                         </button>
@@ -536,7 +992,12 @@ async function showVehicleDetails(vehicleId) {
             ` : `
                 <div style="background: var(--danger); color: white; padding: 1.5rem; border-radius: 10px; text-align: center;">
                     <i class="fas fa-times-circle" style="font-size: 3rem; margin-bottom: 1rem;"></i>
-                    <h3>This vehicle has been sold</h3>
+                    <h3>${{
+                        pending_sale: 'A sale to the highest bidder is in progress',
+                        withdrawn: 'This listing has been withdrawn by the seller',
+                        expired: 'This listing has expired',
+                        draft: 'This listing is a draft and not yet public'
+                    }[vehicle.status] || 'This vehicle has been sold'}</h3>
                 </div>
             `}
         `;
@@ -589,67 +1050,321 @@ async function loadVehicleBids(vehicleId) {
     }
 }
 
-async function placeBid(e, vehicleId) {
-    e.preventDefault();
+// Inspection & Documents
+const INSPECTION_ITEM_LABELS = {
+    bodywork: 'Bodywork',
+    paint: 'Paint',
+    glass: 'Glass',
+    lights: 'Lights',
+    tires: 'Tires',
+    brakes: 'Brakes',
+    suspension: 'Suspension',
+    steering: 'Steering',
+    engine: 'Engine',
+    transmission: 'Transmission',
+    exhaust: 'Exhaust',
+    electrical: 'Electrical',
+    interior: 'Interior',
+    air_conditioning: 'Air Conditioning',
+    road_test: 'Road Test'
+};
+
+const INSPECTION_RESULT_LABELS = {
+    pass: 'Pass',
+    advisory: 'Advisory',
+    fail: 'Fail'
+};
+
+const DOCUMENT_TYPE_LABELS = {
+    inspection_report: 'Inspection Report',
+    service_history: 'Service History',
+    title: 'Title',
+    other: 'Other'
+};
+
+function inspectionScoreColor(score) {
+    if (score >= 80) return 'var(--secondary)';
+    if (score >= 60) return 'var(--warning)';
+    return 'var(--danger)';
+}
+
+function inspectionBadge(vehicle) {
+    const score = vehicle.inspection?.score;
+    if (score === undefined || score === null) return '';
+    return `
+        <div class="vehicle-badge inspection-badge" style="background: ${inspectionScoreColor(score)};" title="Inspection score">
+            <i class="fas fa-clipboard-check"></i> ${score}/100
+        </div>
+    `;
+}
+
+function renderInspection(vehicle, canInspect) {
+    const inspection = vehicle.inspection;
+    const inspected = inspection && inspection.score !== undefined && inspection.score !== null;
     
-    const amount = document.getElementById('bidAmount').value;
-    const token = localStorage.getItem('token');
+    if (!inspected && !canInspect) return '';
     
-    if (!token) {
-        showLogin();
-        return;
+    return `
+        <div class="inspection-section">
+            <h3><i class="fas fa-clipboard-check"></i> Inspection</h3>
+            ${inspected ? `
+                <p>
+                    <span class="inspection-score" style="background: ${inspectionScoreColor(inspection.score)};">${inspection.score}/100</span>
+                    Inspected ${new Date(inspection.inspectedAt).toLocaleDateString()}
+                </p>
+                ${inspection.summary ? `<p style="color: var(--text-light);">${escapeHtml(inspection.summary)}</p>` : ''}
+                <div class="inspection-checklist">
+                    ${inspection.checklist.map(entry => `
+                        <div class="inspection-entry inspection-${entry.result}" title="${escapeHtml(entry.notes || '')}">
+                            <span>${INSPECTION_ITEM_LABELS[entry.item] || entry.item}</span>
+                            <strong>${INSPECTION_RESULT_LABELS[entry.result]}</strong>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : '<p class="muted">This vehicle has not been inspected yet.</p>'}
+            ${canInspect ? `
+                <button class="btn btn-secondary" onclick="openInspectionForm('${vehicle._id}')" style="margin-top: 1rem;">
+                    <i class="fas fa-clipboard-list"></i> ${inspected ? 'Update Inspection' : 'Record Inspection'}
+                </button>
+            ` : ''}
+        </div>
+    `;
+}
+
+function renderVehicleDocuments(vehicle, canAttach) {
+    const documents = vehicle.documents || [];
+    if (documents.length === 0 && !canAttach) return '';
+    
+    return `
+        <div class="documents-section">
+            <h3><i class="fas fa-file-pdf"></i> Documents</h3>
+            ${documents.length > 0 ? `
+                <ul class="document-list">
+                    ${documents.map(doc => `
+                        <li>
+                            <span class="document-type">${DOCUMENT_TYPE_LABELS[doc.documentType] || doc.documentType}</span>
+                            ${doc.url ? `<a href="${doc.url}" target="_blank" rel="noopener">${escapeHtml(doc.name)}</a>` : '<span class="muted">Log in to view</span>'}
+                            ${canAttach ? `
+                                <button class="btn btn-danger" type="button" onclick="removeVehicleDocument('${vehicle._id}', '${doc._id}')">
+                                    <i class="fas fa-trash"></i>
+                                </button>
+                            ` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : '<p class="muted">No documents attached yet.</p>'}
+            ${canAttach ? `
+                <div class="error-message" id="documentError"></div>
+                <form class="document-form" onsubmit="uploadVehicleDocuments(event, '${vehicle._id}')">
+                    <select id="documentType" required>
+                        ${Object.entries(DOCUMENT_TYPE_LABELS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                    <input type="file" id="documentFiles" accept="application/pdf" multiple required>
+                    <button type="submit" class="btn btn-primary"><i class="fas fa-paperclip"></i> Attach</button>
+                </form>
+            ` : ''}
+        </div>
+    `;
+}
+
+async function uploadVehicleDocuments(e, vehicleId) {
+    e.preventDefault();
+    
+    const files = document.getElementById('documentFiles').files;
+    const formData = new FormData();
+    formData.append('documentType', document.getElementById('documentType').value);
+    for (let i = 0; i < files.length; i++) {
+        formData.append('documents', files[i]);
     }
     
     const submitBtn = e.target.querySelector('button[type="submit"]');
     submitBtn.disabled = true;
-    submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Placing Bid...';
+    submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Uploading...';
     
     try {
-        const response = await fetch(`${API_URL}/bids`, {
+        const response = await authFetch(`${API_URL}/vehicles/${vehicleId}/documents`, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`
-            },
-            body: JSON.stringify({ vehicleId, amount })
+            body: formData
         });
-        
         const data = await response.json();
         
         if (response.ok) {
-            document.getElementById('bidAmount').value = '';
-            loadVehicleBids(vehicleId);
-            alert('Bid placed successfully!');
+            showToast(data.message);
+            showVehicleDetails(vehicleId);
         } else {
-            alert(data.message || 'Failed to place bid');
+            showError('documentError', data.message || 'Failed to attach documents');
         }
     } catch (error) {
-        console.error('Bid error:', error);
-        alert('Network error. Failed to place bid. Please try again.');
+        console.error('Attach document error:', error);
+        showError('documentError', 'Network error. Please try again.');
     } finally {
         submitBtn.disabled = false;
-        submitBtn.innerHTML = '<i class="fas fa-gavel"></i> Place Bid';
+        submitBtn.innerHTML = '<i class="fas fa-paperclip"></i> Attach';
     }
 }
 
-async function confirmBooking(vehicleId) {
-    if (!confirm('Confirm sale to the highest bidder?')) {
-        return;
-    }
-    
-    const token = localStorage.getItem('token');
+async function removeVehicleDocument(vehicleId, documentId) {
+    if (!confirm('Remove this document?')) return;
     
-    if (!token) {
+    try {
+        const response = await authFetch(`${API_URL}/vehicles/${vehicleId}/documents/${documentId}`, { method: 'DELETE' });
+        const data = await response.json();
+        
+        showToast(data.message || 'Failed to remove document');
+        if (response.ok) {
+            showVehicleDetails(vehicleId);
+        }
+    } catch (error) {
+        console.error('Remove document error:', error);
+        showToast('Network error. Please try again.');
+    }
+}
+
+async function openInspectionForm(vehicleId) {
+    const modalBody = document.getElementById('modalBody');
+    const modalTitle = document.getElementById('modalTitle');
+    if (!modalBody || !modalTitle) return;
+    
+    try {
+        const response = await authFetch(`${API_URL}/vehicles/${vehicleId}`);
+        if (!response.ok) {
+            throw new Error('Failed to load vehicle');
+        }
+        const vehicle = await response.json();
+        const previous = {};
+        (vehicle.inspection?.checklist || []).forEach(entry => {
+            previous[entry.item] = entry;
+        });
+        
+        modalTitle.textContent = `Inspect ${vehicle.brand} ${vehicle.model}`;
+        modalBody.innerHTML = `
+            <div class="error-message" id="inspectionError"></div>
+            <form id="inspectionForm" class="auth-form" onsubmit="handleInspectionSubmit(event, '${vehicleId}')">
+                <div class="inspection-form-grid">
+                    ${Object.entries(INSPECTION_ITEM_LABELS).map(([item, label]) => `
+                        <div class="form-group">
+                            <label>${label}</label>
+                            <select name="result-${item}" required>
+                                <option value="">Select...</option>
+                                ${Object.entries(INSPECTION_RESULT_LABELS).map(([result, resultLabel]) => `
+                                    <option value="${result}" ${previous[item]?.result === result ? 'selected' : ''}>${resultLabel}</option>
+                                `).join('')}
+                            </select>
+                            <input type="text" name="notes-${item}" placeholder="Notes (optional)" value="${escapeHtml(previous[item]?.notes || '')}">
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="form-group">
+                    <label>Summary</label>
+                    <textarea name="summary" rows="3">${escapeHtml(vehicle.inspection?.summary || '')}</textarea>
+                </div>
+                <button type="submit" class="btn btn-primary" style="width: 100%;">
+                    <i class="fas fa-save"></i> Save Inspection
+                </button>
+            </form>
+        `;
+    } catch (error) {
+        console.error('Inspection form error:', error);
+        showToast('Failed to load vehicle. Please try again.');
+    }
+}
+
+async function handleInspectionSubmit(e, vehicleId) {
+    e.preventDefault();
+    
+    const form = e.target;
+    const checklist = Object.keys(INSPECTION_ITEM_LABELS).map(item => ({
+        item,
+        result: form.elements[`result-${item}`].value,
+        notes: form.elements[`notes-${item}`].value.trim()
+    }));
+    
+    const submitBtn = form.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    
+    try {
+        const response = await authFetch(`${API_URL}/vehicles/${vehicleId}/inspection`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ checklist, summary: form.elements.summary.value })
+        });
+        const data = await response.json();
+        
+        if (response.ok) {
+            showToast(data.message);
+            showVehicleDetails(vehicleId);
+        } else {
+            showError('inspectionError', data.message || 'Failed to save inspection');
+        }
+    } catch (error) {
+        console.error('Save inspection error:', error);
+        showError('inspectionError', 'Network error. Please try again.');
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
+async function placeBid(e, vehicleId) {
+    e.preventDefault();
+    
+    const amount = document.getElementById('bidAmount').value;
+    const token = localStorage.getItem('token');
+    
+    if (!token) {
+        showLogin();
+        return;
+    }
+    
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Placing Bid...';
+    
+    try {
+        const response = await authFetch(`${API_URL}/bids`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ vehicleId, amount })
+        });
+        
+        const data = await response.json();
+        
+        if (response.ok) {
+            document.getElementById('bidAmount').value = '';
+            loadVehicleBids(vehicleId);
+            alert('Bid placed successfully!');
+        } else if (data.code === 'EMAIL_NOT_VERIFIED') {
+            promptEmailVerification(data.message);
+        } else {
+            alert(data.message || 'Failed to place bid');
+        }
+    } catch (error) {
+        console.error('Bid error:', error);
+        alert('Network error. Failed to place bid. Please try again.');
+    } finally {
+        submitBtn.disabled = false;
+        submitBtn.innerHTML = '<i class="fas fa-gavel"></i> Place Bid';
+    }
+}
+
+async function confirmBooking(vehicleId) {
+    if (!confirm('Confirm sale to the highest bidder?')) {
+        return;
+    }
+    
+    const token = localStorage.getItem('token');
+    
+    if (!token) {
         showLogin();
         return;
     }
     
     try {
-        const response = await fetch(`${API_URL}/bookings`, {
+        const response = await authFetch(`${API_URL}/bookings`, {
             method: 'POST',
             headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`
+                'Content-Type': 'application/json'
             },
             body: JSON.stringify({ vehicleId })
         });
@@ -657,7 +1372,7 @@ async function confirmBooking(vehicleId) {
         const data = await response.json();
         
         if (response.ok) {
-            alert('Booking confirmed! The buyer will be notified.');
+            alert('Booking confirmed! The listing is now Sale Pending. Mark it as sold from your dashboard once the sale completes.');
             closeModal();
             loadVehicles();
         } else {
@@ -683,6 +1398,7 @@ async function handleSellVehicle(e) {
     const successDiv = document.getElementById('sellSuccess');
     
     // Get form data
+    const vin = document.getElementById('sellVin')?.value.trim() || '';
     const brand = document.getElementById('sellBrand').value;
     const model = document.getElementById('sellModel').value;
     const year = document.getElementById('sellYear').value;
@@ -693,6 +1409,10 @@ async function handleSellVehicle(e) {
     const description = document.getElementById('sellDescription').value;
     const contactName = document.getElementById('sellContactName').value;
     const contactPhone = document.getElementById('sellContactPhone').value;
+    const postcode = document.getElementById('sellPostcode')?.value.trim() || '';
+    const address = document.getElementById('sellAddress')?.value.trim() || '';
+    const organizationId = document.getElementById('sellOrganization')?.value || '';
+    const publishAt = document.getElementById('sellPublishAt')?.value || '';
     const imageFiles = document.getElementById('sellImages').files;
     
     // Validation
@@ -713,6 +1433,9 @@ async function handleSellVehicle(e) {
     
     // Create FormData
     const formData = new FormData();
+    if (vin) {
+        formData.append('vin', vin);
+    }
     formData.append('brand', brand);
     formData.append('model', model);
     formData.append('year', year);
@@ -723,6 +1446,19 @@ async function handleSellVehicle(e) {
     formData.append('description', description);
     formData.append('contactName', contactName);
     formData.append('contactPhone', contactPhone);
+    if (postcode || address) {
+        formData.append('postcode', postcode);
+        formData.append('address', address);
+    }
+    Object.entries(readSpecFields('sell')).forEach(([name, value]) => {
+        if (value) formData.append(name, value);
+    });
+    if (organizationId) {
+        formData.append('organizationId', organizationId);
+    }
+    if (publishAt) {
+        formData.append('publishAt', new Date(publishAt).toISOString());
+    }
     
     // Append all images
     for (let i = 0; i < imageFiles.length; i++) {
@@ -743,21 +1479,22 @@ async function handleSellVehicle(e) {
     if (successDiv) successDiv.style.display = 'none';
     
     try {
-        const response = await fetch(`${API_URL}/vehicles`, {
+        const response = await authFetch(`${API_URL}/vehicles`, {
             method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${token}`
-            },
             body: formData
         });
         
         const data = await response.json();
         
         if (response.ok) {
-            showSuccess('sellSuccess', 'Vehicle listed successfully!');
+            showSuccess('sellSuccess', publishAt ? 'Listing scheduled! You can find it under Drafts until it goes live.' : 'Vehicle listed successfully!');
+            if (data.warning) {
+                showToast(data.warning);
+            }
             
             // Reset form
             e.target.reset();
+            resetSellVinInfo();
             const imagePreviewContainer = document.getElementById('imagePreviewContainer');
             if (imagePreviewContainer) {
                 imagePreviewContainer.style.display = 'none';
@@ -768,6 +1505,11 @@ async function handleSellVehicle(e) {
             setTimeout(() => {
                 showHome();
             }, 2000);
+        } else if (data.code === 'EMAIL_NOT_VERIFIED') {
+            showError('sellError', data.message);
+            promptEmailVerification(data.message);
+        } else if (data.code === 'DUPLICATE_LISTING') {
+            showDuplicateListingError(data);
         } else {
             showError('sellError', data.message || 'Failed to list vehicle');
         }
@@ -781,23 +1523,415 @@ async function handleSellVehicle(e) {
     }
 }
 
+// The seller already has this car listed; point them at the existing listing
+function showDuplicateListingError(data) {
+    const errorDiv = document.getElementById('sellError');
+    if (!errorDiv) return;
+    
+    const existing = data.duplicateOf;
+    const title = [existing.year, existing.brand, existing.model].filter(Boolean).join(' ') || 'your existing listing';
+    errorDiv.innerHTML = `
+        ${escapeHtml(data.message)}
+        <a href="#" onclick="event.preventDefault(); showDashboard();">View ${escapeHtml(title)} in your dashboard</a>
+    `;
+    errorDiv.style.display = 'block';
+}
+
+// Save whatever has been filled in so far; drafts skip the required-field checks
+async function saveVehicleDraft() {
+    if (!currentUser) {
+        showLogin();
+        return;
+    }
+    
+    const fields = {
+        vin: 'sellVin',
+        brand: 'sellBrand',
+        model: 'sellModel',
+        year: 'sellYear',
+        price: 'sellPrice',
+        type: 'sellType',
+        condition: 'sellCondition',
+        mileage: 'sellMileage',
+        description: 'sellDescription',
+        contactName: 'sellContactName',
+        contactPhone: 'sellContactPhone',
+        postcode: 'sellPostcode',
+        address: 'sellAddress',
+        organizationId: 'sellOrganization'
+    };
+    
+    const formData = new FormData();
+    formData.append('status', 'draft');
+    Object.entries(fields).forEach(([name, id]) => {
+        const value = document.getElementById(id)?.value;
+        if (value) formData.append(name, value);
+    });
+    
+    const imageFiles = document.getElementById('sellImages').files;
+    if (imageFiles.length > 10) {
+        showError('sellError', 'Maximum 10 images allowed');
+        return;
+    }
+    Object.entries(readSpecFields('sell')).forEach(([name, value]) => {
+        if (value) formData.append(name, value);
+    });
+    for (let i = 0; i < imageFiles.length; i++) {
+        formData.append('images', imageFiles[i]);
+    }
+    
+    const draftBtn = document.getElementById('saveDraftBtn');
+    draftBtn.disabled = true;
+    draftBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Saving...';
+    
+    try {
+        const response = await authFetch(`${API_URL}/vehicles`, {
+            method: 'POST',
+            body: formData
+        });
+        
+        const data = await response.json();
+        
+        if (response.ok) {
+            document.getElementById('sellVehicleForm').reset();
+            resetSellVinInfo();
+            const imagePreviewContainer = document.getElementById('imagePreviewContainer');
+            if (imagePreviewContainer) {
+                imagePreviewContainer.style.display = 'none';
+            }
+            selectedImages = [];
+            showToast('Draft saved. Finish it any time from the Drafts tab in your dashboard.');
+        } else if (data.code === 'EMAIL_NOT_VERIFIED') {
+            showError('sellError', data.message);
+            promptEmailVerification(data.message);
+        } else if (data.code === 'DUPLICATE_LISTING') {
+            showDuplicateListingError(data);
+        } else {
+            showError('sellError', data.message || 'Failed to save draft');
+        }
+    } catch (error) {
+        console.error('Save draft error:', error);
+        showError('sellError', 'Network error. Please check your connection and try again.');
+    } finally {
+        draftBtn.disabled = false;
+        draftBtn.innerHTML = '<i class="fas fa-save"></i> Save as Draft';
+    }
+}
+
+// Decode the VIN as the seller types and fill in what it tells us, without overwriting their input
+let sellVinTimer = null;
+
+function handleSellVinInput(e) {
+    const vin = e.target.value.toUpperCase().replace(/[\s-]/g, '');
+    clearTimeout(sellVinTimer);
+    
+    if (vin.length < 17) {
+        resetSellVinInfo();
+        return;
+    }
+    
+    sellVinTimer = setTimeout(() => decodeSellVin(vin), 300);
+}
+
+async function decodeSellVin(vin) {
+    const info = document.getElementById('sellVinInfo');
+    if (!info) return;
+    
+    try {
+        const response = await fetch(`${API_URL}/vin/${encodeURIComponent(vin)}`);
+        const data = await response.json();
+        
+        if (!response.ok) {
+            info.innerHTML = `<i class="fas fa-exclamation-circle" style="color: var(--danger);"></i> ${escapeHtml(data.message || 'Invalid VIN')}`;
+            return;
+        }
+        
+        const brandInput = document.getElementById('sellBrand');
+        const yearInput = document.getElementById('sellYear');
+        if (data.brand && brandInput && !brandInput.value) brandInput.value = data.brand;
+        if (data.year && yearInput && !yearInput.value) yearInput.value = data.year;
+        
+        const origin = [data.region, data.country].filter(Boolean).join(' · ');
+        info.innerHTML = `<i class="fas fa-check-circle" style="color: var(--secondary);"></i> ${escapeHtml([data.brand || 'Unknown manufacturer', data.year, origin].filter(Boolean).join(' · '))}`;
+    } catch (error) {
+        console.error('VIN decode error:', error);
+        resetSellVinInfo();
+    }
+}
+
+function resetSellVinInfo() {
+    const info = document.getElementById('sellVinInfo');
+    if (info) info.textContent = 'Enter the 17-character VIN to fill in the brand and year automatically.';
+}
+
+// Search parameter -> search form input
+const SEARCH_FILTER_INPUTS = {
+    q: 'searchQuery',
+    brand: 'searchBrand',
+    type: 'searchType',
+    condition: 'searchCondition',
+    minPrice: 'searchMinPrice',
+    maxPrice: 'searchMaxPrice',
+    minYear: 'searchMinYear',
+    maxYear: 'searchMaxYear',
+    fuelType: 'searchFuelType',
+    transmission: 'searchTransmission',
+    drivetrain: 'searchDrivetrain',
+    minSeats: 'searchMinSeats',
+    features: 'searchFeature',
+    near: 'searchNear',
+    radius: 'searchRadius',
+    status: 'searchStatus',
+    sort: 'searchSort'
+};
+
+// The search form as GET /api/vehicles parameters, without the empty ones
+function readSearchFilters() {
+    const filters = {};
+    Object.entries(SEARCH_FILTER_INPUTS).forEach(([key, inputId]) => {
+        const value = document.getElementById(inputId)?.value.trim();
+        if (value) filters[key] = value;
+    });
+    // A radius means nothing without somewhere to measure from
+    if (!filters.near) delete filters.radius;
+    
+    return filters;
+}
+
+// Puts saved filters back into the search form; fields the filters don't mention are cleared
+function fillSearchForm(filters) {
+    Object.entries(SEARCH_FILTER_INPUTS).forEach(([key, inputId]) => {
+        const input = document.getElementById(inputId);
+        if (!input) return;
+        input.value = filters[key] || '';
+        // Selects fall back to their default option when the value is not one of their options
+        if (input.tagName === 'SELECT' && input.selectedIndex === -1) {
+            input.selectedIndex = Math.max([...input.options].findIndex(option => option.defaultSelected), 0);
+        }
+    });
+}
+
 function handleSearch(e) {
     e.preventDefault();
     
-    const filters = {
-        brand: document.getElementById('searchBrand')?.value || '',
-        type: document.getElementById('searchType')?.value || '',
-        minPrice: document.getElementById('searchMinPrice')?.value || '',
-        maxPrice: document.getElementById('searchMaxPrice')?.value || '',
-        minYear: document.getElementById('searchMinYear')?.value || ''
+    loadVehicles(readSearchFilters());
+}
+
+// "12.4 mi away · Austin, TX" on search results; just the city when no distance was asked for
+function vehicleLocationLine(vehicle) {
+    const place = vehicle.location?.city ? `${vehicle.location.city}, ${vehicle.location.state}` : '';
+    const distance = typeof vehicle.distance === 'number' ? `${vehicle.distance.toLocaleString()} mi away` : '';
+    if (!place && !distance) return '';
+    
+    return `
+        <div class="vehicle-location">
+            <i class="fas fa-location-dot"></i> ${escapeHtml([distance, place].filter(Boolean).join(' · '))}
+        </div>
+    `;
+}
+
+function useMyLocation() {
+    if (!navigator.geolocation) {
+        showToast('Location is not available in this browser.');
+        return;
+    }
+    
+    navigator.geolocation.getCurrentPosition(position => {
+        const near = document.getElementById('searchNear');
+        if (near) {
+            near.value = `${position.coords.latitude.toFixed(4)},${position.coords.longitude.toFixed(4)}`;
+        }
+        handleSearch({ preventDefault: () => {} });
+    }, () => showToast('Could not get your location. Enter a ZIP code instead.'));
+}
+
+// Brand and model type-ahead (GET /api/vehicles/suggest). This is a list under the input rather
+// than a <datalist> because browsers hide datalist options that don't contain the typed text,
+// and the suggestions include typo corrections ("Toyta" -> "Toyota").
+
+// Brands in the current search results (from the facets), offered before anything is typed
+let searchBrandFacets = [];
+
+// options: { field: 'brand' | 'model', brandInputId?, emptyItems?: () => [{ value, count }] }
+function initTypeahead(inputId, options) {
+    const input = document.getElementById(inputId);
+    if (!input) return;
+    
+    const list = document.createElement('div');
+    list.className = 'typeahead-list hidden';
+    list.setAttribute('role', 'listbox');
+    input.setAttribute('autocomplete', 'off');
+    input.parentElement.classList.add('typeahead');
+    input.parentElement.appendChild(list);
+    
+    let timer = null;
+    let requestId = 0;
+    let active = -1;
+    
+    const close = () => {
+        list.classList.add('hidden');
+        active = -1;
+    };
+    
+    const render = (items) => {
+        active = -1;
+        list.innerHTML = items.map(({ value, count }) => `
+            <div class="typeahead-option" role="option" data-value="${escapeHtml(value)}">
+                <span>${escapeHtml(value)}</span>
+                ${count > 0 ? `<small>${count.toLocaleString()}</small>` : ''}
+            </div>
+        `).join('');
+        list.classList.toggle('hidden', items.length === 0 || document.activeElement !== input);
+    };
+    
+    const load = async () => {
+        const q = input.value.trim();
+        if (!q && options.emptyItems) {
+            render(options.emptyItems().slice(0, 8));
+            return;
+        }
+        
+        const params = new URLSearchParams({ field: options.field, q });
+        const brand = options.brandInputId && document.getElementById(options.brandInputId)?.value.trim();
+        if (brand) params.set('brand', brand);
+        
+        const id = ++requestId;
+        try {
+            const response = await fetch(`${API_URL}/vehicles/suggest?${params}`);
+            if (!response.ok) return;
+            const { suggestions } = await response.json();
+            // Typing faster than the responses come back must not show an older list
+            if (id === requestId) render(suggestions);
+        } catch (error) {
+            console.error('Suggestions error:', error);
+        }
+    };
+    
+    const choose = (option) => {
+        input.value = option.dataset.value;
+        close();
+        input.dispatchEvent(new Event('change', { bubbles: true }));
+    };
+    
+    const highlight = (index) => {
+        const items = list.querySelectorAll('.typeahead-option');
+        if (items.length === 0) return;
+        active = (index + items.length) % items.length;
+        items.forEach((item, i) => item.classList.toggle('active', i === active));
+        items[active].scrollIntoView({ block: 'nearest' });
     };
     
-    // Remove empty filters
-    Object.keys(filters).forEach(key => {
-        if (!filters[key]) delete filters[key];
+    input.addEventListener('input', () => {
+        clearTimeout(timer);
+        timer = setTimeout(load, 200);
+    });
+    input.addEventListener('focus', load);
+    // Wait so a click on an option lands before the list goes away
+    input.addEventListener('blur', () => setTimeout(close, 150));
+    input.addEventListener('keydown', (e) => {
+        if (list.classList.contains('hidden')) return;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            highlight(active + (e.key === 'ArrowDown' ? 1 : -1));
+        } else if (e.key === 'Enter' && active >= 0) {
+            e.preventDefault();
+            choose(list.querySelectorAll('.typeahead-option')[active]);
+        } else if (e.key === 'Escape') {
+            close();
+        }
+    });
+    list.addEventListener('mousedown', (e) => {
+        const option = e.target.closest('.typeahead-option');
+        if (option) {
+            e.preventDefault();
+            choose(option);
+        }
+    });
+}
+
+function initTypeaheads() {
+    initTypeahead('searchBrand', { field: 'brand', emptyItems: () => searchBrandFacets });
+    initTypeahead('sellBrand', { field: 'brand' });
+    initTypeahead('sellModel', { field: 'model', brandInputId: 'sellBrand' });
+}
+
+// Facet counts for the current search (see GET /api/vehicles/facets)
+async function loadFacets(filters = {}) {
+    try {
+        const { sort, ...facetFilters } = filters;
+        const response = await fetch(`${API_URL}/vehicles/facets?${new URLSearchParams(facetFilters)}`);
+        if (!response.ok) return;
+        renderFacets(await response.json());
+    } catch (error) {
+        console.error('Error loading search facets:', error);
+    }
+}
+
+// Shows "SUV (12)" and hides options with no matches, except the one currently selected
+function applyFacetCounts(selectId, counts) {
+    const select = document.getElementById(selectId);
+    if (!select) return;
+    
+    Array.from(select.options).forEach(option => {
+        if (!option.value) return;
+        option.dataset.label = option.dataset.label || option.textContent;
+        const count = counts.find(entry => entry.value.toLowerCase() === option.value.toLowerCase())?.count || 0;
+        option.textContent = `${option.dataset.label} (${count.toLocaleString()})`;
+        option.hidden = count === 0 && option.value !== select.value;
+    });
+}
+
+const formatPriceBound = (value) => (value >= 1000 ? `$${value / 1000}k` : `$${value}`);
+
+function facetRangeLabel(facet, { min, max }) {
+    if (facet === 'price') {
+        if (max === null) return `${formatPriceBound(min)}+`;
+        return min === 0 ? `Under ${formatPriceBound(max)}` : `${formatPriceBound(min)}–${formatPriceBound(max)}`;
+    }
+    if (max === null) return `${min}+`;
+    return min === 0 ? `Before ${max}` : `${min}–${max - 1}`;
+}
+
+function renderFacets(facets) {
+    applyFacetCounts('searchType', facets.type);
+    applyFacetCounts('searchCondition', facets.condition);
+    
+    searchBrandFacets = facets.brand;
+    
+    document.querySelectorAll('.category-card[data-type]').forEach(card => {
+        const count = facets.type.find(entry => entry.value === card.dataset.type)?.count || 0;
+        card.classList.toggle('hidden', count === 0);
+        const label = card.querySelector('.category-count');
+        if (label) label.textContent = `${count.toLocaleString()} ${count === 1 ? 'vehicle' : 'vehicles'}`;
     });
     
-    loadVehicles(filters);
+    const panel = document.getElementById('searchFacets');
+    if (!panel) return;
+    
+    // Bucket maxima are exclusive; the search form's maximums are inclusive
+    const groups = [
+        { facet: 'price', label: 'Price', min: 'searchMinPrice', max: 'searchMaxPrice' },
+        { facet: 'year', label: 'Year', min: 'searchMinYear', max: 'searchMaxYear' }
+    ].filter(group => facets[group.facet].length > 0);
+    
+    panel.innerHTML = groups.map(group => `
+        <div class="facet-group">
+            <span class="facet-label">${group.label}</span>
+            ${facets[group.facet].map(range => `
+                <button type="button" class="facet-chip" onclick="applyRangeFacet('${group.min}', '${group.max}', ${range.min}, ${range.max === null ? 'null' : range.max - 1})">
+                    ${facetRangeLabel(group.facet, range)} <span>${range.count.toLocaleString()}</span>
+                </button>
+            `).join('')}
+        </div>
+    `).join('');
+}
+
+function applyRangeFacet(minId, maxId, min, max) {
+    const minInput = document.getElementById(minId);
+    const maxInput = document.getElementById(maxId);
+    if (minInput) minInput.value = min || '';
+    if (maxInput) maxInput.value = max === null ? '' : max;
+    handleSearch({ preventDefault: () => {} });
 }
 
 function filterByType(type) {
@@ -880,153 +2014,1671 @@ async function loadDashboard() {
         return;
     }
     
-    const token = localStorage.getItem('token');
-    
-    if (!token) {
-        showLogin();
-        return;
-    }
+    const token = localStorage.getItem('token');
+    
+    if (!token) {
+        showLogin();
+        return;
+    }
+    
+    try {
+        // Load user vehicles
+        const vehiclesRes = await authFetch(`${API_URL}/user/vehicles`);
+        dashboardVehicles = await vehiclesRes.json();
+        const vehicles = dashboardVehicles.filter(vehicle => vehicle.status !== 'draft');
+        const drafts = dashboardVehicles.filter(vehicle => vehicle.status === 'draft');
+        
+        // Load user bids
+        const bidsRes = await authFetch(`${API_URL}/user/bids`);
+        const bids = await bidsRes.json();
+        
+        // Load user bookings
+        const bookingsRes = await authFetch(`${API_URL}/user/bookings`);
+        const bookings = await bookingsRes.json();
+        
+        // Update stats
+        const statVehicles = document.getElementById('statVehicles');
+        const statBids = document.getElementById('statBids');
+        const statBookings = document.getElementById('statBookings');
+        
+        if (statVehicles) statVehicles.textContent = vehicles.length;
+        if (statBids) statBids.textContent = bids.length;
+        if (statBookings) statBookings.textContent = bookings.length;
+        
+        renderMyVehicles();
+        
+        renderDrafts(drafts);
+        
+        // Display bids
+        const bidsGrid = document.getElementById('dashBidsGrid');
+        if (bidsGrid) {
+            if (bids.length === 0) {
+                bidsGrid.innerHTML = '<p style="text-align: center; grid-column: 1 / -1; color: var(--text-light);">No bids placed yet</p>';
+            } else {
+                bidsGrid.innerHTML = bids.map(bid => {
+                    const imageUrl = bid.vehicleId.images && bid.vehicleId.images.length > 0 
+                        ? vehicleImageUrl(bid.vehicleId, bid.vehicleId.images[0])
+                        : 'https://via.placeholder.com/400x300?text=No+Image';
+                    
+                    return `
+                        <div class="vehicle-card">
+                            <div class="vehicle-image-container">
+                                <img src="${imageUrl}" alt="${bid.vehicleId.brand} ${bid.vehicleId.model}" class="vehicle-image" onerror="this.src='https://via.placeholder.com/400x300?text=No+Image'">
+                                <div class="vehicle-badge" style="background: ${bid.status === 'pending' ? 'var(--warning)' : bid.status === 'accepted' ? 'var(--secondary)' : 'var(--danger)'}">${bid.status}</div>
+                            </div>
+                            <div class="vehicle-info">
+                                <h3 class="vehicle-title">${bid.vehicleId.brand} ${bid.vehicleId.model}</h3>
+                                <div class="vehicle-price">Your Bid: ${bid.amount.toLocaleString()}</div>
+                                <div class="vehicle-details">
+                                    <div class="vehicle-detail">
+                                        <i class="fas fa-calendar"></i>
+                                        <span>${bid.vehicleId.year}</span>
+                                    </div>
+                                    <div class="vehicle-detail">
+                                        <i class="fas fa-tag"></i>
+                                        <span>Original: ${bid.vehicleId.price.toLocaleString()}</span>
+                                    </div>
+                                </div>
+                            </div>
+                        </div>
+                    `;
+                }).join('');
+            }
+        }
+        
+        // Display bookings
+        const bookingsGrid = document.getElementById('dashBookingsGrid');
+        if (bookingsGrid) {
+            if (bookings.length === 0) {
+                bookingsGrid.innerHTML = '<p style="text-align: center; grid-column: 1 / -1; color: var(--text-light);">No bookings yet</p>';
+            } else {
+                bookingsGrid.innerHTML = bookings.map(booking => {
+                    const isBuyer = booking.buyerId._id === currentUser.id;
+                    const imageUrl = booking.vehicleId.images && booking.vehicleId.images.length > 0 
+                        ? vehicleImageUrl(booking.vehicleId, booking.vehicleId.images[0])
+                        : 'https://via.placeholder.com/400x300?text=No+Image';
+                    
+                    return `
+                        <div class="vehicle-card">
+                            <div class="vehicle-image-container">
+                                <img src="${imageUrl}" alt="${booking.vehicleId.brand} ${booking.vehicleId.model}" class="vehicle-image" onerror="this.src='https://via.placeholder.com/400x300?text=No+Image'">
+                                <div class="vehicle-badge" style="background: ${booking.status === 'cancelled' ? 'var(--danger)' : 'var(--secondary)'}; text-transform: capitalize;">${booking.status || 'confirmed'}</div>
+                            </div>
+                            <div class="vehicle-info">
+                                <h3 class="vehicle-title">${booking.vehicleId.brand} ${booking.vehicleId.model}</h3>
+                                <div class="vehicle-price">${booking.finalPrice.toLocaleString()}</div>
+                                <div style="background: var(--light); padding: 1rem; border-radius: 8px; margin-top: 1rem;">
+                                    <p><strong>${isBuyer ? 'Seller' : 'Buyer'}:</strong> ${isBuyer ? booking.sellerId.name : booking.buyerId.name}</p>
+                                    <p><strong>Phone:</strong> ${isBuyer ? booking.sellerId.phone : booking.buyerId.phone}</p>
+                                </div>
+                            </div>
+                        </div>
+                    `;
+                }).join('');
+            }
+        }
+    } catch (error) {
+        console.error('Error loading dashboard:', error);
+        alert('Failed to load dashboard. Please try again.');
+    }
+}
+
+// Vehicle Specifications
+const VEHICLE_SPEC_LABELS = {
+    fuelType: { petrol: 'Petrol', diesel: 'Diesel', hybrid: 'Hybrid', plug_in_hybrid: 'Plug-in Hybrid', electric: 'Electric', lpg: 'LPG' },
+    transmission: { automatic: 'Automatic', manual: 'Manual', semi_automatic: 'Semi-automatic' },
+    drivetrain: { fwd: 'Front-wheel drive', rwd: 'Rear-wheel drive', awd: 'All-wheel drive', '4wd': '4x4' },
+    color: {
+        black: 'Black', white: 'White', silver: 'Silver', gray: 'Gray', blue: 'Blue', red: 'Red', green: 'Green',
+        brown: 'Brown', beige: 'Beige', yellow: 'Yellow', orange: 'Orange', gold: 'Gold', purple: 'Purple', other: 'Other'
+    },
+    features: {
+        sunroof: 'Sunroof', apple_carplay: 'Apple CarPlay', android_auto: 'Android Auto', navigation: 'Navigation',
+        bluetooth: 'Bluetooth', backup_camera: 'Backup Camera', parking_sensors: 'Parking Sensors',
+        blind_spot_monitor: 'Blind Spot Monitor', adaptive_cruise: 'Adaptive Cruise', heated_seats: 'Heated Seats',
+        leather_seats: 'Leather Seats', keyless_entry: 'Keyless Entry', third_row_seating: 'Third-row Seating', tow_hitch: 'Tow Hitch'
+    }
+};
+
+// Single-value specification fields, in display order
+const VEHICLE_SPEC_FIELDS = {
+    fuelType: 'Fuel',
+    transmission: 'Transmission',
+    drivetrain: 'Drivetrain',
+    engineSize: 'Engine',
+    seats: 'Seats',
+    color: 'Color'
+};
+
+const specFieldId = (prefix, field) => `${prefix}${field[0].toUpperCase()}${field.slice(1)}`;
+
+function formatSpec(field, value) {
+    if (field === 'features') {
+        return value && value.length > 0 ? value.map(feature => VEHICLE_SPEC_LABELS.features[feature] || feature).join(', ') : '—';
+    }
+    if (value === undefined || value === null || value === '') return '—';
+    if (field === 'engineSize') return `${value} L`;
+    return VEHICLE_SPEC_LABELS[field]?.[value] || value;
+}
+
+// Form groups for the specification fields, prefilled from vehicle (used by the sell form and the listing editor)
+function specFieldsHtml(prefix, vehicle = {}) {
+    const select = field => `
+        <div class="form-group">
+            <label>${VEHICLE_SPEC_FIELDS[field]}</label>
+            <select id="${specFieldId(prefix, field)}">
+                <option value="">Not specified</option>
+                ${Object.entries(VEHICLE_SPEC_LABELS[field]).map(([value, label]) => `
+                    <option value="${value}" ${vehicle[field] === value ? 'selected' : ''}>${label}</option>
+                `).join('')}
+            </select>
+        </div>
+    `;
+    const features = vehicle.features || [];
+    
+    return `
+        ${select('fuelType')}
+        ${select('transmission')}
+        ${select('drivetrain')}
+        ${select('color')}
+        <div class="form-group">
+            <label>Engine Size (litres)</label>
+            <input type="number" id="${specFieldId(prefix, 'engineSize')}" value="${vehicle.engineSize ?? ''}" min="0" max="10" step="0.1">
+        </div>
+        <div class="form-group">
+            <label>Seats</label>
+            <input type="number" id="${specFieldId(prefix, 'seats')}" value="${vehicle.seats ?? ''}" min="1" max="20">
+        </div>
+        <div class="form-group" style="grid-column: 1 / -1;">
+            <label>Features</label>
+            <div class="spec-features" id="${prefix}Features">
+                ${Object.entries(VEHICLE_SPEC_LABELS.features).map(([value, label]) => `
+                    <label><input type="checkbox" value="${value}" ${features.includes(value) ? 'checked' : ''}> ${label}</label>
+                `).join('')}
+            </div>
+        </div>
+    `;
+}
+
+// Reads the fields rendered by specFieldsHtml; features are sent as a comma-separated list
+function readSpecFields(prefix) {
+    const specs = {};
+    Object.keys(VEHICLE_SPEC_FIELDS).forEach(field => {
+        specs[field] = document.getElementById(specFieldId(prefix, field))?.value || '';
+    });
+    specs.features = Array.from(document.querySelectorAll(`#${prefix}Features input:checked`))
+        .map(input => input.value)
+        .join(',');
+    return specs;
+}
+
+function populateSpecFilters() {
+    document.querySelectorAll('#searchForm select[data-spec]').forEach(select => {
+        Object.entries(VEHICLE_SPEC_LABELS[select.dataset.spec]).forEach(([value, label]) => {
+            select.add(new Option(label, value));
+        });
+    });
+}
+
+// The compare drawer keeps its own copy of each vehicle, specs included
+function compareSpecAttribute(vehicle) {
+    const specs = { features: vehicle.features || [] };
+    Object.keys(VEHICLE_SPEC_FIELDS).forEach(field => {
+        if (vehicle[field] !== undefined) specs[field] = vehicle[field];
+    });
+    return `data-specs="${escapeHtml(JSON.stringify(specs))}"`;
+}
+
+// Listing Lifecycle
+const VEHICLE_STATUS_LABELS = {
+    draft: 'Draft',
+    available: 'Available',
+    pending_sale: 'Sale Pending',
+    sold: 'Sold',
+    withdrawn: 'Withdrawn',
+    expired: 'Expired'
+};
+
+function vehicleStatusColor(status) {
+    if (status === 'available') return 'var(--secondary)';
+    if (status === 'pending_sale' || status === 'draft') return 'var(--warning)';
+    return 'var(--danger)';
+}
+
+function daysUntil(date) {
+    return Math.ceil((new Date(date) - Date.now()) / (24 * 60 * 60 * 1000));
+}
+
+// Buttons for what the seller can do next with a listing in its current status
+function listingActions(vehicle) {
+    const editBtn = `<button class="btn btn-primary" onclick="openEditVehicle('${vehicle._id}')"><i class="fas fa-edit"></i> Edit</button>`;
+    const removeBtn = (label) => `<button class="btn btn-danger" onclick="withdrawVehicle('${vehicle._id}')"><i class="fas fa-trash"></i> ${label}</button>`;
+    const statusBtn = (status, label, style = 'btn-secondary') => `<button class="btn ${style}" onclick="changeListingStatus('${vehicle._id}', '${status}')">${label}</button>`;
+    const renewBtn = `<button class="btn btn-secondary" onclick="renewListing('${vehicle._id}')"><i class="fas fa-redo"></i> Renew</button>`;
+    
+    switch (vehicle.status) {
+        case 'available':
+            return editBtn + (vehicle.expiresAt && daysUntil(vehicle.expiresAt) <= 7 ? renewBtn : '') + removeBtn('Withdraw');
+        case 'pending_sale':
+            return statusBtn('sold', '<i class="fas fa-check-circle"></i> Mark Sold', 'btn-success') + statusBtn('available', 'Cancel Sale');
+        case 'expired':
+            return renewBtn + editBtn + removeBtn('Withdraw');
+        case 'withdrawn':
+            return statusBtn('available', '<i class="fas fa-redo"></i> Relist') + removeBtn('Delete');
+        default:
+            return '';
+    }
+}
+
+function renderMyVehicles() {
+    const vehicleGrid = document.getElementById('dashVehicleGrid');
+    if (!vehicleGrid) return;
+    
+    const statusFilter = document.getElementById('dashStatusFilter')?.value || '';
+    const vehicles = dashboardVehicles.filter(vehicle => vehicle.status !== 'draft'
+        && (!statusFilter || vehicle.status === statusFilter));
+    
+    if (vehicles.length === 0) {
+        vehicleGrid.innerHTML = `<p style="text-align: center; grid-column: 1 / -1; color: var(--text-light);">${statusFilter ? 'No listings with this status' : 'No vehicles posted yet'}</p>`;
+        return;
+    }
+    
+    vehicleGrid.innerHTML = vehicles.map(vehicle => {
+        const imageUrl = vehicle.images && vehicle.images.length > 0 
+            ? vehicleImageUrl(vehicle, vehicle.images[0])
+            : 'https://via.placeholder.com/400x300?text=No+Image';
+        const actions = listingActions(vehicle);
+        
+        return `
+            <div class="vehicle-card">
+                <div class="vehicle-image-container">
+                    <img src="${imageUrl}" alt="${vehicle.brand} ${vehicle.model}" class="vehicle-image" onerror="this.src='https://via.placeholder.com/400x300?text=No+Image'">
+                    <div class="vehicle-badge" style="background: ${vehicleStatusColor(vehicle.status)}">${VEHICLE_STATUS_LABELS[vehicle.status] || vehicle.status}</div>
+                    ${vehicle.images && vehicle.images.length > 1 ? `<div class="vehicle-badge" style="left: 1rem; right: auto; background: rgba(0,0,0,0.7);"><i class="fas fa-images"></i> ${vehicle.images.length}</div>` : ''}
+                </div>
+                <div class="vehicle-info">
+                    <h3 class="vehicle-title">${vehicle.brand} ${vehicle.model}</h3>
+                    <div class="vehicle-price">${vehicle.price.toLocaleString()}</div>
+                    <div class="vehicle-details">
+                        <div class="vehicle-detail">
+                            <i class="fas fa-calendar"></i>
+                            <span>${vehicle.year}</span>
+                        </div>
+                        <div class="vehicle-detail">
+                            <i class="fas fa-car"></i>
+                            <span>${vehicle.type}</span>
+                        </div>
+                    </div>
+                    ${vehicle.status === 'available' && vehicle.expiresAt ? `
+                        <p class="muted"><i class="fas fa-hourglass-half"></i> Expires in ${Math.max(daysUntil(vehicle.expiresAt), 0)} days</p>
+                    ` : ''}
+                    ${actions ? `<div class="vehicle-actions">${actions}</div>` : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+async function changeListingStatus(vehicleId, status) {
+    const prompts = {
+        sold: 'Mark this sale as completed? This cannot be undone.',
+        available: 'Make this listing available for bids again?'
+    };
+    if (prompts[status] && !confirm(prompts[status])) {
+        return;
+    }
+    
+    try {
+        const response = await authFetch(`${API_URL}/vehicles/${vehicleId}/status`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ status })
+        });
+        const data = await response.json();
+        showToast(data.message || 'Failed to update listing');
+        
+        if (response.ok) {
+            loadDashboard();
+        }
+    } catch (error) {
+        console.error('Listing status error:', error);
+        showToast('Network error. Please try again.');
+    }
+}
+
+async function renewListing(vehicleId) {
+    try {
+        const response = await authFetch(`${API_URL}/vehicles/${vehicleId}/renew`, { method: 'POST' });
+        const data = await response.json();
+        showToast(data.message || 'Failed to renew listing');
+        
+        if (response.ok) {
+            loadDashboard();
+        }
+    } catch (error) {
+        console.error('Renew listing error:', error);
+        showToast('Network error. Please try again.');
+    }
+}
+
+// Drafts
+const DRAFT_FIELD_LABELS = {
+    brand: 'brand',
+    model: 'model',
+    year: 'year',
+    price: 'price',
+    type: 'type',
+    condition: 'condition',
+    mileage: 'mileage',
+    contactName: 'contact name',
+    contactPhone: 'contact phone'
+};
+
+function renderDrafts(drafts) {
+    const draftsGrid = document.getElementById('dashDraftsGrid');
+    if (!draftsGrid) return;
+    
+    if (drafts.length === 0) {
+        draftsGrid.innerHTML = '<p style="text-align: center; grid-column: 1 / -1; color: var(--text-light);">No drafts. Use "Save as Draft" on the sell form to finish a listing later.</p>';
+        return;
+    }
+    
+    draftsGrid.innerHTML = drafts.map(draft => {
+        const missing = Object.keys(DRAFT_FIELD_LABELS).filter(field => draft[field] === undefined || draft[field] === null || draft[field] === '');
+        if (!draft.images || draft.images.length === 0) missing.push('images');
+        const imageUrl = draft.images && draft.images.length > 0
+            ? vehicleImageUrl(draft, draft.images[0])
+            : 'https://via.placeholder.com/400x300?text=Draft';
+        
+        return `
+            <div class="vehicle-card">
+                <div class="vehicle-image-container">
+                    <img src="${imageUrl}" alt="Draft" class="vehicle-image" onerror="this.src='https://via.placeholder.com/400x300?text=Draft'">
+                    <div class="vehicle-badge" style="background: var(--warning)">${draft.publishAt ? 'Scheduled' : 'Draft'}</div>
+                </div>
+                <div class="vehicle-info">
+                    <h3 class="vehicle-title">${escapeHtml([draft.brand, draft.model].filter(Boolean).join(' ') || 'Untitled draft')}</h3>
+                    ${draft.publishAt ? `
+                        <p class="muted"><i class="fas fa-clock"></i> Goes live ${new Date(draft.publishAt).toLocaleString()}</p>
+                    ` : missing.length > 0 ? `
+                        <p class="muted">Still needed: ${missing.map(field => DRAFT_FIELD_LABELS[field] || field).join(', ')}</p>
+                    ` : '<p class="muted">Ready to publish</p>'}
+                    <div class="vehicle-actions">
+                        <button class="btn btn-primary" onclick="openEditVehicle('${draft._id}')">
+                            <i class="fas fa-edit"></i> Edit
+                        </button>
+                        ${draft.publishAt ? `
+                            <button class="btn btn-secondary" onclick="publishDraft('${draft._id}', null)">Unschedule</button>
+                        ` : `
+                            <button class="btn btn-secondary" onclick="publishDraft('${draft._id}')" ${missing.length > 0 ? 'disabled' : ''}>Publish</button>
+                        `}
+                        <button class="btn btn-danger" onclick="withdrawVehicle('${draft._id}')">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                    ${!draft.publishAt && missing.length === 0 ? `
+                        <div class="vehicle-actions" style="margin-top: 0.5rem;">
+                            <input type="datetime-local" id="schedule-${draft._id}" style="flex: 1;">
+                            <button class="btn btn-secondary" onclick="scheduleDraft('${draft._id}')">Schedule</button>
+                        </div>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// publishAt: undefined publishes now, a date schedules, null cancels the schedule
+async function publishDraft(vehicleId, publishAt) {
+    try {
+        const response = await authFetch(`${API_URL}/vehicles/${vehicleId}/publish`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(publishAt === undefined ? {} : { publishAt })
+        });
+        
+        const data = await response.json();
+        
+        if (data.code === 'EMAIL_NOT_VERIFIED') {
+            promptEmailVerification(data.message);
+            return;
+        }
+        
+        showToast(data.message || 'Failed to publish listing');
+        if (response.ok) {
+            loadDashboard();
+        }
+    } catch (error) {
+        console.error('Publish draft error:', error);
+        showToast('Network error. Please try again.');
+    }
+}
+
+function scheduleDraft(vehicleId) {
+    const value = document.getElementById(`schedule-${vehicleId}`)?.value;
+    if (!value) {
+        showToast('Pick a date and time first.');
+        return;
+    }
+    publishDraft(vehicleId, new Date(value).toISOString());
+}
+
+// Edit / Withdraw Listings
+function openEditVehicle(vehicleId) {
+    const vehicle = dashboardVehicles.find(v => v._id === vehicleId);
+    if (!vehicle) return;
+    
+    editingVehicle = {
+        id: vehicle._id,
+        hasBids: false,
+        images: vehicle.images.map(url => ({ url }))
+    };
+    
+    const modalBody = document.getElementById('modalBody');
+    const modalTitle = document.getElementById('modalTitle');
+    const vehicleModal = document.getElementById('vehicleModal');
+    if (!modalBody || !modalTitle || !vehicleModal) return;
+    
+    const isDraft = vehicle.status === 'draft';
+    const field = (id, label, value, type = 'text') => `
+        <div class="form-group">
+            <label>${label}</label>
+            <input type="${type}" id="${id}" value="${escapeHtml(value)}" ${isDraft ? '' : 'required'} ${type === 'number' ? 'min="0"' : ''}>
+        </div>
+    `;
+    
+    modalTitle.textContent = `Edit ${[vehicle.brand, vehicle.model].filter(Boolean).join(' ') || 'Draft'}`;
+    modalBody.innerHTML = `
+        <div class="error-message" id="editVehicleError"></div>
+        <p class="muted hidden" id="editVehicleBidNotice">
+            <i class="fas fa-info-circle"></i> This listing has bids. VIN, brand, model, year, type, condition and mileage are locked, and the price can only be lowered. Changes are shown to bidders.
+        </p>
+        <form id="editVehicleForm" class="auth-form" onsubmit="handleEditVehicle(event)">
+            <div style="display: grid; grid-template-columns: repeat(2, 1fr); gap: 1rem;">
+                <div class="form-group">
+                    <label>VIN (optional)</label>
+                    <input type="text" id="editVin" value="${escapeHtml(vehicle.vin || '')}" maxlength="17" style="text-transform: uppercase;">
+                </div>
+                <div class="form-group">
+                    <label>Stock Number (optional)</label>
+                    <input type="text" id="editStockNumber" value="${escapeHtml(vehicle.stockNumber || '')}">
+                </div>
+                ${field('editBrand', 'Brand', vehicle.brand)}
+                ${field('editModel', 'Model', vehicle.model)}
+                ${field('editYear', 'Year', vehicle.year, 'number')}
+                ${field('editPrice', 'Price ($)', vehicle.price, 'number')}
+                ${field('editType', 'Type', vehicle.type)}
+                ${field('editCondition', 'Condition', vehicle.condition)}
+                ${field('editMileage', 'Mileage (miles)', vehicle.mileage, 'number')}
+                ${field('editContactName', 'Contact Name', vehicle.contactName)}
+                ${field('editContactPhone', 'Contact Phone', vehicle.contactPhone, 'tel')}
+                <div class="form-group">
+                    <label>ZIP Code</label>
+                    <input type="text" id="editPostcode" value="${escapeHtml(vehicle.location?.postcode || '')}" inputmode="numeric">
+                </div>
+                <div class="form-group">
+                    <label>Address (optional)</label>
+                    <input type="text" id="editAddress" value="${escapeHtml(vehicle.location?.address || '')}">
+                </div>
+                ${specFieldsHtml('edit', vehicle)}
+                <div class="form-group" style="grid-column: 1 / -1;">
+                    <label>Description</label>
+                    <textarea id="editDescription" rows="4">${escapeHtml(vehicle.description || '')}</textarea>
+                </div>
+                <div class="form-group" style="grid-column: 1 / -1;">
+                    <label>Images (first image is the cover photo)</label>
+                    <div id="editImagePreviews" style="display: grid; grid-template-columns: repeat(auto-fill, minmax(120px, 1fr)); gap: 1rem;"></div>
+                    <input type="file" id="editImages" accept="image/*" multiple onchange="handleEditImagesSelected(event)" style="margin-top: 1rem;">
+                </div>
+            </div>
+            <button type="submit" class="btn btn-primary" style="width: 100%; margin-top: 1rem;">
+                <i class="fas fa-save"></i> Save Changes
+            </button>
+        </form>
+    `;
+    
+    renderEditImages();
+    vehicleModal.style.display = 'block';
+    
+    // Bids lock some fields; look them up so the form can say so before the seller hits save
+    fetch(`${API_URL}/vehicles/${vehicle._id}/bids`)
+        .then(response => response.json())
+        .then(bids => {
+            if (!editingVehicle || editingVehicle.id !== vehicle._id || bids.length === 0) return;
+            editingVehicle.hasBids = true;
+            document.getElementById('editVehicleBidNotice')?.classList.remove('hidden');
+            ['editVin', 'editBrand', 'editModel', 'editYear', 'editType', 'editCondition', 'editMileage'].forEach(id => {
+                const input = document.getElementById(id);
+                if (input) input.readOnly = true;
+            });
+        })
+        .catch(error => console.error('Error loading bids:', error));
+}
+
+function renderEditImages() {
+    const previews = document.getElementById('editImagePreviews');
+    if (!previews || !editingVehicle) return;
+    
+    previews.innerHTML = editingVehicle.images.map((image, index) => `
+        <div class="image-preview-item">
+            <img src="${image.url || image.preview}" alt="Image ${index + 1}">
+            <button type="button" class="image-preview-remove" onclick="removeEditImage(${index})">
+                <i class="fas fa-times"></i>
+            </button>
+            ${index > 0 ? `
+                <button type="button" class="image-preview-move" onclick="moveEditImage(${index}, -1)" title="Move earlier">
+                    <i class="fas fa-arrow-left"></i>
+                </button>
+            ` : '<span class="image-preview-primary">Primary</span>'}
+        </div>
+    `).join('');
+}
+
+function moveEditImage(index, delta) {
+    const images = editingVehicle.images;
+    const target = index + delta;
+    if (target < 0 || target >= images.length) return;
+    [images[index], images[target]] = [images[target], images[index]];
+    renderEditImages();
+}
+
+function removeEditImage(index) {
+    const vehicle = dashboardVehicles.find(v => v._id === editingVehicle.id);
+    if (editingVehicle.images.length === 1 && vehicle?.status !== 'draft') {
+        showError('editVehicleError', 'A listing needs at least one image');
+        return;
+    }
+    editingVehicle.images.splice(index, 1);
+    renderEditImages();
+}
+
+function handleEditImagesSelected(event) {
+    const files = Array.from(event.target.files);
+    
+    if (editingVehicle.images.length + files.length > 10) {
+        showError('editVehicleError', 'Maximum 10 images allowed');
+        event.target.value = '';
+        return;
+    }
+    
+    files.forEach(file => {
+        editingVehicle.images.push({ file, preview: URL.createObjectURL(file) });
+    });
+    event.target.value = '';
+    renderEditImages();
+}
+
+async function handleEditVehicle(e) {
+    e.preventDefault();
+    
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+    const formData = new FormData();
+    
+    const fields = {
+        stockNumber: 'editStockNumber',
+        vin: 'editVin',
+        brand: 'editBrand',
+        model: 'editModel',
+        year: 'editYear',
+        price: 'editPrice',
+        type: 'editType',
+        condition: 'editCondition',
+        mileage: 'editMileage',
+        contactName: 'editContactName',
+        contactPhone: 'editContactPhone',
+        postcode: 'editPostcode',
+        address: 'editAddress',
+        description: 'editDescription'
+    };
+    Object.entries(fields).forEach(([name, id]) => {
+        formData.append(name, document.getElementById(id).value);
+    });
+    Object.entries(readSpecFields('edit')).forEach(([name, value]) => {
+        formData.append(name, value);
+    });
+    
+    // Existing images are referenced by URL, new uploads as "new:<index>" in the order they are appended
+    let uploadIndex = 0;
+    const imageOrder = editingVehicle.images.map(image => {
+        if (image.url) return image.url;
+        formData.append('images', image.file);
+        return `new:${uploadIndex++}`;
+    });
+    formData.append('imageOrder', JSON.stringify(imageOrder));
+    
+    submitBtn.disabled = true;
+    submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Saving...';
+    
+    try {
+        const response = await authFetch(`${API_URL}/vehicles/${editingVehicle.id}`, {
+            method: 'PUT',
+            body: formData
+        });
+        
+        const data = await response.json();
+        
+        if (response.ok) {
+            editingVehicle = null;
+            closeModal();
+            showToast(data.message);
+            loadDashboard();
+        } else {
+            showError('editVehicleError', data.message || 'Failed to update listing');
+        }
+    } catch (error) {
+        console.error('Edit listing error:', error);
+        showError('editVehicleError', 'Network error. Please check your connection and try again.');
+    } finally {
+        submitBtn.disabled = false;
+        submitBtn.innerHTML = '<i class="fas fa-save"></i> Save Changes';
+    }
+}
+
+async function withdrawVehicle(vehicleId) {
+    if (!confirm('Take this listing down? Listings without bids are deleted; listings with bids are withdrawn and their bids rejected.')) {
+        return;
+    }
+    
+    try {
+        const response = await authFetch(`${API_URL}/vehicles/${vehicleId}`, { method: 'DELETE' });
+        const data = await response.json();
+        showToast(data.message || 'Failed to remove listing');
+        
+        if (response.ok) {
+            loadDashboard();
+        }
+    } catch (error) {
+        console.error('Withdraw listing error:', error);
+        showToast('Network error. Please try again.');
+    }
+}
+
+// Dealership
+const ORGANIZATION_ROLE_LABELS = {
+    owner: 'Owner',
+    manager: 'Manager',
+    sales: 'Sales'
+};
+
+async function loadUserOrganizations() {
+    if (!currentUser) {
+        userOrganizations = [];
+        return;
+    }
+    
+    try {
+        const response = await authFetch(`${API_URL}/user/organizations`);
+        userOrganizations = response.ok ? await response.json() : [];
+    } catch (error) {
+        console.error('Error loading dealerships:', error);
+        userOrganizations = [];
+    }
+    
+    populateSellOrganizations();
+}
+
+function populateSellOrganizations() {
+    const group = document.getElementById('sellOrganizationGroup');
+    const select = document.getElementById('sellOrganization');
+    if (!group || !select) return;
+    
+    select.innerHTML = '<option value="">Myself (private seller)</option>' + userOrganizations.map(organization => `
+        <option value="${organization._id}">${escapeHtml(organization.name)}</option>
+    `).join('');
+    group.classList.toggle('hidden', userOrganizations.length === 0);
+}
+
+// Mirrors the backend booking check: seller, admin, or a dealership owner/manager
+function canManageVehicle(vehicle) {
+    if (!currentUser) return false;
+    
+    const sellerId = vehicle.sellerId?._id || vehicle.sellerId;
+    if (sellerId === currentUser.id || hasRole('admin')) {
+        return true;
+    }
+    
+    const organization = userOrganizations.find(org => org._id === vehicle.organizationId);
+    return Boolean(organization && ['owner', 'manager'].includes(organization.myRole));
+}
+
+async function loadDealership() {
+    const section = document.getElementById('dealershipSection');
+    if (!section) return;
+    
+    await loadUserOrganizations();
+    
+    if (userOrganizations.length === 0) {
+        section.innerHTML = hasRole('dealer') ? `
+            <div class="insight-card" style="max-width: 520px;">
+                <h3><i class="fas fa-building"></i> Create Your Dealership</h3>
+                <p class="muted">Invite your staff and manage a shared inventory under one dealership name.</p>
+                <div class="error-message" id="organizationError"></div>
+                <form class="auth-form" onsubmit="handleCreateOrganization(event)">
+                    <div class="form-group">
+                        <label>Dealership Name</label>
+                        <input type="text" id="organizationName" required>
+                    </div>
+                    <div class="form-group">
+                        <label>Business Email</label>
+                        <input type="email" id="organizationEmail">
+                    </div>
+                    <div class="form-group">
+                        <label>Business Phone</label>
+                        <input type="tel" id="organizationPhone">
+                    </div>
+                    <button type="submit" class="btn btn-primary">Create Dealership</button>
+                </form>
+            </div>
+            ${renderImportCard()}
+        ` : `
+            <p style="text-align: center; color: var(--text-light);">You are not part of a dealership. Ask a dealership owner to invite you.</p>
+        `;
+        loadRecentImports();
+        return;
+    }
+    
+    section.innerHTML = '<div class="spinner"></div>';
+    
+    try {
+        const cards = await Promise.all(userOrganizations.map(renderOrganizationCard));
+        section.innerHTML = cards.join('') + (hasRole('dealer') ? renderImportCard() : '');
+        loadRecentImports();
+    } catch (error) {
+        console.error('Error loading dealership:', error);
+        section.innerHTML = '<p class="muted">Failed to load dealership.</p>';
+    }
+}
+
+async function renderOrganizationCard(summary) {
+    const canManage = ['owner', 'manager'].includes(summary.myRole);
+    
+    const [organization, vehicles, invitations] = await Promise.all([
+        authFetch(`${API_URL}/organizations/${summary._id}`).then(res => res.json()),
+        authFetch(`${API_URL}/organizations/${summary._id}/vehicles`).then(res => res.json()),
+        canManage
+            ? authFetch(`${API_URL}/organizations/${summary._id}/invitations`).then(res => res.json())
+            : Promise.resolve([])
+    ]);
+    
+    const members = organization.members.map(member => {
+        const user = member.userId || {};
+        const isSelf = user._id === currentUser.id;
+        const editable = canManage && member.role !== 'owner' && !isSelf;
+        
+        return `
+            <div class="session-item">
+                <div>
+                    <strong>${escapeHtml(user.name || 'Unknown')}${isSelf ? ' (you)' : ''}</strong>
+                    <p class="muted">${escapeHtml(user.email || '')}</p>
+                </div>
+                ${editable ? `
+                    <div style="display: flex; gap: 0.5rem;">
+                        <select onchange="updateMemberRole('${organization._id}', '${user._id}', this.value)">
+                            ${Object.entries(ORGANIZATION_ROLE_LABELS).map(([role, label]) => `
+                                <option value="${role}" ${role === member.role ? 'selected' : ''}>${label}</option>
+                            `).join('')}
+                        </select>
+                        <button class="btn btn-secondary" type="button" onclick="removeMember('${organization._id}', '${user._id}')">Remove</button>
+                    </div>
+                ` : `<span class="muted">${ORGANIZATION_ROLE_LABELS[member.role]}</span>`}
+            </div>
+        `;
+    }).join('');
+    
+    const inventory = vehicles.length === 0
+        ? '<p style="text-align: center; grid-column: 1 / -1; color: var(--text-light);">No vehicles listed under this dealership yet</p>'
+        : vehicles.map(vehicle => `
+            <div class="vehicle-card" onclick="showVehicleDetails('${vehicle._id}')" style="cursor: pointer;">
+                <div class="vehicle-image-container">
+                    <img src="${vehicle.images?.[0] ? vehicleImageUrl(vehicle, vehicle.images[0]) : 'https://via.placeholder.com/400x300?text=No+Image'}" alt="${escapeHtml(vehicle.brand)} ${escapeHtml(vehicle.model)}" class="vehicle-image" onerror="this.src='https://via.placeholder.com/400x300?text=No+Image'">
+                    <div class="vehicle-badge" style="background: ${vehicleStatusColor(vehicle.status)}">${VEHICLE_STATUS_LABELS[vehicle.status] || vehicle.status}</div>
+                </div>
+                <div class="vehicle-info">
+                    <h3 class="vehicle-title">${escapeHtml([vehicle.brand, vehicle.model].filter(Boolean).join(' ') || 'Untitled draft')}</h3>
+                    <div class="vehicle-price">${typeof vehicle.price === 'number' ? vehicle.price.toLocaleString() : 'No price yet'}</div>
+                    <p class="muted">Listed by ${escapeHtml(vehicle.sellerId?.name || 'Unknown')}</p>
+                </div>
+            </div>
+        `).join('');
+    
+    return `
+        <div class="settings-grid" style="margin-bottom: 2rem;">
+            <div class="insight-card">
+                <h3><i class="fas fa-building"></i> ${escapeHtml(organization.name)}</h3>
+                <p class="muted">Your role: ${ORGANIZATION_ROLE_LABELS[summary.myRole]}</p>
+                <div class="session-list">${members}</div>
+                ${summary.myRole !== 'owner' ? `
+                    <button class="btn btn-danger" type="button" onclick="removeMember('${organization._id}', '${currentUser.id}')">Leave Dealership</button>
+                ` : ''}
+            </div>
+            ${canManage ? `
+                <div class="insight-card">
+                    <h3><i class="fas fa-user-plus"></i> Invite Staff</h3>
+                    <form class="auth-form" onsubmit="inviteMember(event, '${organization._id}')">
+                        <div class="form-group">
+                            <label>Email Address</label>
+                            <input type="email" name="email" required>
+                        </div>
+                        <div class="form-group">
+                            <label>Role</label>
+                            <select name="role">
+                                <option value="sales">Sales</option>
+                                <option value="manager">Manager</option>
+                            </select>
+                        </div>
+                        <button type="submit" class="btn btn-primary">Send Invitation</button>
+                    </form>
+                    ${invitations.length > 0 ? `
+                        <h4 style="margin-top: 1.5rem;">Pending Invitations</h4>
+                        <div class="session-list">
+                            ${invitations.map(invitation => `
+                                <div class="session-item">
+                                    <div>
+                                        <strong>${escapeHtml(invitation.email)}</strong>
+                                        <p class="muted">${ORGANIZATION_ROLE_LABELS[invitation.role]} &middot; Sent ${new Date(invitation.createdAt).toLocaleDateString()}</p>
+                                    </div>
+                                    <button class="btn btn-secondary" type="button" onclick="cancelInvitation('${organization._id}', '${invitation._id}')">Cancel</button>
+                                </div>
+                            `).join('')}
+                        </div>
+                    ` : ''}
+                </div>
+            ` : ''}
+        </div>
+        <h3 style="margin-bottom: 1rem;">Shared Inventory</h3>
+        <div class="vehicle-grid" style="margin-bottom: 3rem;">${inventory}</div>
+    `;
+}
+
+// Inventory Import
+let importPollTimer = null;
+
+function renderImportCard() {
+    const organizations = userOrganizations.filter(org => ['owner', 'manager'].includes(org.myRole));
+    
+    return `
+        <div class="insight-card" style="margin-top: 1.5rem;">
+            <h3><i class="fas fa-file-import"></i> Import Inventory</h3>
+            <p class="muted">
+                Upload a CSV or JSON file with one vehicle per row. Columns: stockNumber, vin, brand, model, year, price, type,
+                condition, mileage, description, contactName, contactPhone, fuelType, transmission, drivetrain, color,
+                engineSize, seats, features, images, status. Rows with a stock number you already use update that listing.
+            </p>
+            <p class="muted">List photos in the images column as URLs, or as file names from a ZIP of photos uploaded alongside.</p>
+            <div class="error-message" id="importError"></div>
+            <form class="auth-form" onsubmit="handleImportInventory(event)">
+                <div class="form-group">
+                    <label>Inventory File (.csv or .json)</label>
+                    <input type="file" id="importFile" accept=".csv,.json" required>
+                </div>
+                <div class="form-group">
+                    <label>Photos (.zip, optional)</label>
+                    <input type="file" id="importPhotos" accept=".zip">
+                </div>
+                ${organizations.length > 0 ? `
+                    <div class="form-group">
+                        <label>Import Into</label>
+                        <select id="importOrganization">
+                            <option value="">My own listings</option>
+                            ${organizations.map(org => `<option value="${org._id}">${escapeHtml(org.name)}</option>`).join('')}
+                        </select>
+                    </div>
+                ` : ''}
+                <button type="submit" class="btn btn-primary"><i class="fas fa-upload"></i> Start Import</button>
+            </form>
+            <div id="importProgress"></div>
+            <div id="recentImports"></div>
+        </div>
+    `;
+}
+
+async function handleImportInventory(e) {
+    e.preventDefault();
+    
+    const formData = new FormData();
+    formData.append('file', document.getElementById('importFile').files[0]);
+    const photos = document.getElementById('importPhotos').files[0];
+    if (photos) formData.append('photos', photos);
+    const organizationId = document.getElementById('importOrganization')?.value;
+    if (organizationId) formData.append('organizationId', organizationId);
+    
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Uploading...';
+    
+    try {
+        const response = await authFetch(`${API_URL}/imports`, {
+            method: 'POST',
+            body: formData
+        });
+        const data = await response.json();
+        
+        if (response.ok) {
+            e.target.reset();
+            showToast(data.message);
+            renderImportProgress(data.job);
+            pollImportJob(data.job._id);
+        } else {
+            showError('importError', data.message || 'Failed to start the import');
+        }
+    } catch (error) {
+        console.error('Start import error:', error);
+        showError('importError', 'Network error. Please try again.');
+    } finally {
+        submitBtn.disabled = false;
+        submitBtn.innerHTML = '<i class="fas fa-upload"></i> Start Import';
+    }
+}
+
+function pollImportJob(jobId) {
+    clearTimeout(importPollTimer);
+    
+    importPollTimer = setTimeout(async () => {
+        try {
+            const response = await authFetch(`${API_URL}/imports/${jobId}`);
+            if (!response.ok) return;
+            
+            const job = await response.json();
+            renderImportProgress(job);
+            
+            if (job.status === 'queued' || job.status === 'running') {
+                pollImportJob(jobId);
+            } else {
+                loadRecentImports();
+                loadDashboard();
+            }
+        } catch (error) {
+            console.error('Import progress error:', error);
+        }
+    }, 2000);
+}
+
+function renderImportProgress(job) {
+    const container = document.getElementById('importProgress');
+    if (!container) return;
+    
+    const percent = job.total > 0 ? Math.round((job.processed / job.total) * 100) : 0;
+    const finished = job.status === 'completed' || job.status === 'failed';
+    
+    container.innerHTML = `
+        <div class="import-progress">
+            <div class="import-progress-bar"><span style="width: ${percent}%;"></span></div>
+            <p>
+                ${finished ? (job.status === 'failed' ? `Import failed: ${escapeHtml(job.error || 'unknown error')}` : 'Import finished') : 'Importing...'}
+                ${job.processed} of ${job.total} rows &middot; ${job.created} created, ${job.updated} updated, ${job.failed} failed
+            </p>
+            ${job.rowErrors?.length > 0 ? `
+                <table class="import-errors">
+                    <thead><tr><th>Row</th><th>Stock #</th><th>Problems</th></tr></thead>
+                    <tbody>
+                        ${job.rowErrors.slice(0, 50).map(entry => `
+                            <tr>
+                                <td>${entry.row}</td>
+                                <td>${escapeHtml(entry.stockNumber || '')}</td>
+                                <td>${entry.messages.map(escapeHtml).join('<br>')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ${finished ? `
+                    <button class="btn btn-secondary" type="button" onclick="downloadImportErrors('${job._id}')">
+                        <i class="fas fa-download"></i> Download Error Report
+                    </button>
+                ` : ''}
+            ` : ''}
+        </div>
+    `;
+}
+
+async function loadRecentImports() {
+    const container = document.getElementById('recentImports');
+    if (!container) return;
+    
+    try {
+        const response = await authFetch(`${API_URL}/imports`);
+        if (!response.ok) return;
+        
+        const jobs = await response.json();
+        container.innerHTML = jobs.length > 0 ? `
+            <h4 style="margin: 1.5rem 0 0.5rem;">Recent Imports</h4>
+            ${jobs.slice(0, 5).map(job => `
+                <div class="session-item">
+                    <div>
+                        <strong>${new Date(job.createdAt).toLocaleString()}</strong>
+                        <p class="muted">${job.status} &middot; ${job.created} created, ${job.updated} updated, ${job.failed} failed of ${job.total}</p>
+                    </div>
+                    ${job.failed > 0 ? `
+                        <button class="btn btn-secondary" type="button" onclick="downloadImportErrors('${job._id}')">Errors</button>
+                    ` : ''}
+                </div>
+            `).join('')}
+        ` : '';
+        
+        const running = jobs.find(job => job.status === 'queued' || job.status === 'running');
+        if (running) {
+            pollImportJob(running._id);
+        }
+    } catch (error) {
+        console.error('Load imports error:', error);
+    }
+}
+
+async function downloadImportErrors(jobId) {
+    try {
+        const response = await authFetch(`${API_URL}/imports/${jobId}?format=csv`);
+        if (!response.ok) {
+            throw new Error('Download failed');
+        }
+        
+        const blob = await response.blob();
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `import-${jobId}-errors.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error('Import report error:', error);
+        showToast('Failed to download the error report. Please try again.');
+    }
+}
+
+async function handleCreateOrganization(e) {
+    e.preventDefault();
+    
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    
+    try {
+        const response = await authFetch(`${API_URL}/organizations`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                name: document.getElementById('organizationName').value,
+                email: document.getElementById('organizationEmail').value,
+                phone: document.getElementById('organizationPhone').value
+            })
+        });
+        
+        const data = await response.json();
+        
+        if (response.ok) {
+            showToast(data.message);
+            loadDealership();
+        } else {
+            showError('organizationError', data.message || 'Failed to create dealership');
+        }
+    } catch (error) {
+        console.error('Create dealership error:', error);
+        showError('organizationError', 'Network error. Please try again.');
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
+async function inviteMember(e, organizationId) {
+    e.preventDefault();
+    
+    const form = e.target;
+    const submitBtn = form.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    
+    try {
+        const response = await authFetch(`${API_URL}/organizations/${organizationId}/invitations`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                email: form.elements.email.value,
+                role: form.elements.role.value
+            })
+        });
+        
+        const data = await response.json();
+        showToast(data.message || 'Failed to send invitation');
+        
+        if (response.ok) {
+            loadDealership();
+        }
+    } catch (error) {
+        console.error('Invitation error:', error);
+        showToast('Network error. Please try again.');
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
+async function cancelInvitation(organizationId, invitationId) {
+    try {
+        const response = await authFetch(`${API_URL}/organizations/${organizationId}/invitations/${invitationId}`, { method: 'DELETE' });
+        const data = await response.json();
+        showToast(data.message || 'Invitation cancelled');
+        loadDealership();
+    } catch (error) {
+        console.error('Cancel invitation error:', error);
+        showToast('Network error. Please try again.');
+    }
+}
+
+async function updateMemberRole(organizationId, userId, role) {
+    if (role === 'owner' && !confirm('Transfer ownership? You will become a manager of this dealership.')) {
+        loadDealership();
+        return;
+    }
+    
+    try {
+        const response = await authFetch(`${API_URL}/organizations/${organizationId}/members/${userId}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ role })
+        });
+        const data = await response.json();
+        showToast(data.message || 'Failed to update role');
+    } catch (error) {
+        console.error('Update member error:', error);
+        showToast('Network error. Please try again.');
+    }
+    
+    loadDealership();
+}
+
+async function removeMember(organizationId, userId) {
+    const isSelf = userId === currentUser.id;
+    if (!confirm(isSelf ? 'Leave this dealership?' : 'Remove this member from the dealership?')) {
+        return;
+    }
+    
+    try {
+        const response = await authFetch(`${API_URL}/organizations/${organizationId}/members/${userId}`, { method: 'DELETE' });
+        const data = await response.json();
+        showToast(data.message || 'Failed to remove member');
+    } catch (error) {
+        console.error('Remove member error:', error);
+        showToast('Network error. Please try again.');
+    }
+    
+    loadDealership();
+}
+
+// Invitation links land on index.html?invitation=<token>; keep the token until the user is logged in
+function handleInvitationLink() {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('invitation');
+    
+    if (token) {
+        sessionStorage.setItem('pendingInvitation', token);
+        params.delete('invitation');
+        const query = params.toString();
+        window.history.replaceState({}, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+    }
+    
+    if (!sessionStorage.getItem('pendingInvitation')) {
+        return;
+    }
+    
+    if (currentUser) {
+        acceptPendingInvitation();
+    } else {
+        showLogin();
+        showToast('Log in to accept your dealership invitation.');
+    }
+}
+
+async function acceptPendingInvitation() {
+    const token = sessionStorage.getItem('pendingInvitation');
+    if (!token) return;
+    
+    try {
+        const response = await authFetch(`${API_URL}/invitations/accept`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ token })
+        });
+        
+        const data = await response.json();
+        
+        if (response.ok) {
+            sessionStorage.removeItem('pendingInvitation');
+            // Accepting grants the dealer role, which the stored user needs for the UI checks
+            if (!hasRole('dealer')) {
+                currentUser.roles = [...(currentUser.roles || ['buyer', 'seller']), 'dealer'];
+                localStorage.setItem('user', JSON.stringify(currentUser));
+            }
+            await loadUserOrganizations();
+        } else if (response.status !== 403) {
+            // A wrong-account 403 keeps the token so the right account can still accept it
+            sessionStorage.removeItem('pendingInvitation');
+        }
+        
+        alert(data.message || 'Failed to accept invitation');
+    } catch (error) {
+        console.error('Accept invitation error:', error);
+    }
+}
+
+// Account Settings
+async function loadAccountSettings() {
+    const section = document.getElementById('twoFactorSection');
+    
+    try {
+        const response = await authFetch(`${API_URL}/user/profile`);
+        if (!response.ok) {
+            throw new Error('Failed to load profile');
+        }
+        const profile = await response.json();
+        
+        fillProfileForm(profile);
+        renderTwoFactorStatus(Boolean(profile.twoFactor?.enabled));
+        document.getElementById('deleteAccountCodeGroup')?.classList.toggle('hidden', !profile.twoFactor?.enabled);
+    } catch (error) {
+        console.error('Error loading account settings:', error);
+        if (section) {
+            section.innerHTML = '<p class="muted">Failed to load security settings.</p>';
+        }
+    }
+    
+    loadSessions();
+}
+
+function fillProfileForm(profile) {
+    const nameInput = document.getElementById('profileName');
+    const phoneInput = document.getElementById('profilePhone');
+    const emailInput = document.getElementById('profileEmail');
+    const pendingEmail = document.getElementById('profilePendingEmail');
+    const passwordGroup = document.getElementById('profilePasswordGroup');
+    
+    if (nameInput) nameInput.value = profile.name || '';
+    if (phoneInput) phoneInput.value = profile.phone || '';
+    if (emailInput) emailInput.value = profile.email || '';
+    if (passwordGroup) passwordGroup.classList.add('hidden');
+    if (pendingEmail) {
+        pendingEmail.textContent = profile.pendingEmail ? `Waiting for confirmation of ${profile.pendingEmail}` : '';
+        pendingEmail.classList.toggle('hidden', !profile.pendingEmail);
+    }
+    
+    // Keep the cached user in sync with the server copy
+    currentUser = { ...currentUser, name: profile.name, email: profile.email };
+    localStorage.setItem('user', JSON.stringify(currentUser));
+}
+
+async function handleProfileUpdate(e) {
+    e.preventDefault();
+    
+    const name = document.getElementById('profileName').value;
+    const phone = document.getElementById('profilePhone').value;
+    const email = document.getElementById('profileEmail').value.trim();
+    const currentPassword = document.getElementById('profileCurrentPassword').value;
+    
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Saving...';
+    
+    try {
+        const response = await authFetch(`${API_URL}/user/profile`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ name, phone, email, currentPassword })
+        });
+        const data = await response.json();
+        
+        if (response.ok) {
+            fillProfileForm(data.user);
+            document.getElementById('profileCurrentPassword').value = '';
+            showSuccess('profileSuccess', data.message);
+        } else {
+            showError('profileError', data.message || 'Failed to update profile');
+        }
+    } catch (error) {
+        console.error('Profile update error:', error);
+        showError('profileError', 'Network error. Please try again.');
+    } finally {
+        submitBtn.disabled = false;
+        submitBtn.innerHTML = 'Save Profile';
+    }
+}
+
+async function handleChangePassword(e) {
+    e.preventDefault();
+    
+    const currentPassword = document.getElementById('currentPassword').value;
+    const newPassword = document.getElementById('newPassword').value;
+    const confirmNewPassword = document.getElementById('confirmNewPassword').value;
+    
+    if (newPassword !== confirmNewPassword) {
+        showError('passwordChangeError', 'Passwords do not match');
+        return;
+    }
+    
+    if (newPassword.length < 8) {
+        showError('passwordChangeError', 'Password must be at least 8 characters');
+        return;
+    }
+    
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Updating...';
+    
+    try {
+        const response = await authFetch(`${API_URL}/user/change-password`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ currentPassword, newPassword })
+        });
+        const data = await response.json();
+        
+        if (response.ok) {
+            e.target.reset();
+            showSuccess('passwordChangeSuccess', data.message);
+            loadSessions();
+        } else {
+            showError('passwordChangeError', data.message || 'Failed to change password');
+        }
+    } catch (error) {
+        console.error('Change password error:', error);
+        showError('passwordChangeError', 'Network error. Please try again.');
+    } finally {
+        submitBtn.disabled = false;
+        submitBtn.innerHTML = 'Change Password';
+    }
+}
+
+async function loadSessions() {
+    const list = document.getElementById('sessionList');
+    if (!list) return;
+    
+    try {
+        const response = await authFetch(`${API_URL}/user/sessions`);
+        if (!response.ok) {
+            throw new Error('Failed to load sessions');
+        }
+        const sessions = await response.json();
+        
+        list.innerHTML = sessions.map(session => `
+            <div class="session-item">
+                <div>
+                    <strong>${session.current ? 'This device' : escapeHtml((session.userAgent || 'Unknown device').slice(0, 60))}</strong>
+                    <p class="muted">${escapeHtml(session.ip || '')} &middot; Last active ${new Date(session.lastUsedAt).toLocaleString()}</p>
+                </div>
+                ${session.current ? '' : `<button class="btn btn-secondary" type="button" onclick="revokeSession('${session.id}')">Log Out</button>`}
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading sessions:', error);
+        list.innerHTML = '<p class="muted">Failed to load sessions.</p>';
+    }
+}
+
+async function revokeSession(sessionId) {
+    try {
+        const response = await authFetch(`${API_URL}/user/sessions/${sessionId}`, { method: 'DELETE' });
+        const data = await response.json();
+        showToast(data.message || 'Session revoked');
+        loadSessions();
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        showToast('Network error. Please try again.');
+    }
+}
+
+async function logoutAllDevices() {
+    if (!confirm('Log out of AutoHub on every device, including this one?')) {
+        return;
+    }
+    
+    try {
+        await authFetch(`${API_URL}/logout-all`, { method: 'POST' });
+    } catch (error) {
+        console.error('Logout all error:', error);
+    }
+    
+    clearAuthStorage();
+    currentUser = null;
+    updateAuthUI(false);
+    showLogin();
+}
+
+async function exportUserData(format) {
+    try {
+        const response = await authFetch(`${API_URL}/user/export?format=${format}`);
+        if (!response.ok) {
+            throw new Error('Export failed');
+        }
+        
+        const blob = await response.blob();
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `autohub-data.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error('Data export error:', error);
+        showToast('Failed to export your data. Please try again.');
+    }
+}
+
+async function handleDeleteAccount(e) {
+    e.preventDefault();
+    
+    if (!confirm('Permanently delete your AutoHub account? This cannot be undone.')) {
+        return;
+    }
+    
+    const password = document.getElementById('deleteAccountPassword').value;
+    const code = document.getElementById('deleteAccountCode').value.trim();
+    
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Deleting...';
+    
+    try {
+        const response = await authFetch(`${API_URL}/user`, {
+            method: 'DELETE',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ password, code })
+        });
+        const data = await response.json();
+        
+        if (response.ok) {
+            clearAuthStorage();
+            currentUser = null;
+            updateAuthUI(false);
+            showHome();
+            showToast(data.message);
+        } else {
+            showError('deleteAccountError', data.message || 'Failed to delete account');
+        }
+    } catch (error) {
+        console.error('Account deletion error:', error);
+        showError('deleteAccountError', 'Network error. Please try again.');
+    } finally {
+        submitBtn.disabled = false;
+        submitBtn.innerHTML = 'Delete My Account';
+    }
+}
+
+function renderTwoFactorStatus(enabled) {
+    const section = document.getElementById('twoFactorSection');
+    if (!section) return;
+    
+    if (enabled) {
+        section.innerHTML = `
+            <p><i class="fas fa-check-circle" style="color: var(--secondary);"></i> Two-factor authentication is <strong>on</strong>.</p>
+            <form class="auth-form" onsubmit="regenerateBackupCodes(event)">
+                <div class="form-group">
+                    <label>Authenticator Code</label>
+                    <input type="text" id="backupCodesTotp" inputmode="numeric" autocomplete="one-time-code" required>
+                </div>
+                <button type="submit" class="btn btn-secondary">Generate New Backup Codes</button>
+            </form>
+            <form class="auth-form" onsubmit="disableTwoFactor(event)">
+                <div class="form-group">
+                    <label>Current Password</label>
+                    <input type="password" id="disableTwoFactorPassword" autocomplete="current-password" required>
+                </div>
+                <div class="form-group">
+                    <label>Authenticator or Backup Code</label>
+                    <input type="text" id="disableTwoFactorCode" autocomplete="one-time-code" required>
+                </div>
+                <button type="submit" class="btn btn-danger">Turn Off Two-Factor</button>
+            </form>
+        `;
+    } else {
+        section.innerHTML = `
+            <p><i class="fas fa-circle-exclamation" style="color: var(--warning);"></i> Two-factor authentication is <strong>off</strong>.</p>
+            <button class="btn btn-primary" type="button" onclick="startTwoFactorSetup()">Set Up Two-Factor</button>
+        `;
+    }
+}
+
+async function startTwoFactorSetup() {
+    const section = document.getElementById('twoFactorSection');
+    if (!section) return;
+    
+    try {
+        const response = await authFetch(`${API_URL}/user/2fa/setup`, { method: 'POST' });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            showError('twoFactorError', data.message || 'Failed to start setup');
+            return;
+        }
+        
+        section.innerHTML = `
+            <p>Scan this QR code with Google Authenticator, 1Password, Authy or a similar app.</p>
+            <img class="two-factor-qr" src="${data.qrCode}" alt="Two-factor QR code">
+            <p class="muted">Can't scan it? Enter this key manually:</p>
+            <p class="two-factor-secret">${data.secret}</p>
+            <form class="auth-form" onsubmit="confirmTwoFactorSetup(event)">
+                <div class="form-group">
+                    <label>6-digit Code from the App</label>
+                    <input type="text" id="twoFactorSetupCode" inputmode="numeric" autocomplete="one-time-code" required>
+                </div>
+                <button type="submit" class="btn btn-primary">Turn On Two-Factor</button>
+                <button type="button" class="btn btn-secondary" onclick="renderTwoFactorStatus(false)">Cancel</button>
+            </form>
+        `;
+    } catch (error) {
+        console.error('2FA setup error:', error);
+        showError('twoFactorError', 'Network error. Please try again.');
+    }
+}
+
+async function confirmTwoFactorSetup(e) {
+    e.preventDefault();
+    
+    const code = document.getElementById('twoFactorSetupCode').value.trim();
+    
+    try {
+        const response = await authFetch(`${API_URL}/user/2fa/enable`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ code })
+        });
+        const data = await response.json();
+        
+        if (response.ok) {
+            showSuccess('twoFactorSuccess', 'Two-factor authentication is now on.');
+            showBackupCodes(data.backupCodes);
+        } else {
+            showError('twoFactorError', data.message || 'Invalid verification code');
+        }
+    } catch (error) {
+        console.error('2FA enable error:', error);
+        showError('twoFactorError', 'Network error. Please try again.');
+    }
+}
+
+async function regenerateBackupCodes(e) {
+    e.preventDefault();
+    
+    const code = document.getElementById('backupCodesTotp').value.trim();
+    
+    try {
+        const response = await authFetch(`${API_URL}/user/2fa/backup-codes`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ code })
+        });
+        const data = await response.json();
+        
+        if (response.ok) {
+            showBackupCodes(data.backupCodes);
+        } else {
+            showError('twoFactorError', data.message || 'Invalid verification code');
+        }
+    } catch (error) {
+        console.error('Backup codes error:', error);
+        showError('twoFactorError', 'Network error. Please try again.');
+    }
+}
+
+async function disableTwoFactor(e) {
+    e.preventDefault();
+    
+    const password = document.getElementById('disableTwoFactorPassword').value;
+    const code = document.getElementById('disableTwoFactorCode').value.trim();
     
     try {
-        // Load user vehicles
-        const vehiclesRes = await fetch(`${API_URL}/user/vehicles`, {
-            headers: { 'Authorization': `Bearer ${token}` }
-        });
-        const vehicles = await vehiclesRes.json();
-        
-        // Load user bids
-        const bidsRes = await fetch(`${API_URL}/user/bids`, {
-            headers: { 'Authorization': `Bearer ${token}` }
-        });
-        const bids = await bidsRes.json();
-        
-        // Load user bookings
-        const bookingsRes = await fetch(`${API_URL}/user/bookings`, {
-            headers: { 'Authorization': `Bearer ${token}` }
+        const response = await authFetch(`${API_URL}/user/2fa/disable`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ password, code })
         });
-        const bookings = await bookingsRes.json();
-        
-        // Update stats
-        const statVehicles = document.getElementById('statVehicles');
-        const statBids = document.getElementById('statBids');
-        const statBookings = document.getElementById('statBookings');
-        
-        if (statVehicles) statVehicles.textContent = vehicles.length;
-        if (statBids) statBids.textContent = bids.length;
-        if (statBookings) statBookings.textContent = bookings.length;
-        
-        // Display vehicles
-        const vehicleGrid = document.getElementById('dashVehicleGrid');
-        if (vehicleGrid) {
-            if (vehicles.length === 0) {
-                vehicleGrid.innerHTML = '<p style="text-align: center; grid-column: 1 / -1; color: var(--text-light);">No vehicles posted yet</p>';
-            } else {
-                vehicleGrid.innerHTML = vehicles.map(vehicle => {
-                    const imageUrl = vehicle.images && vehicle.images.length > 0 
-                        ? vehicle.images[0]
-                        : 'https://via.placeholder.com/400x300?text=No+Image';
-                    
-                    return `
-                        <div class="vehicle-card">
-                            <div class="vehicle-image-container">
-                                <img src="${imageUrl}" alt="${vehicle.brand} ${vehicle.model}" class="vehicle-image" onerror="this.src='https://via.placeholder.com/400x300?text=No+Image'">
-                                <div class="vehicle-badge" style="background: ${vehicle.status === 'available' ? 'var(--secondary)' : 'var(--danger)'}">${vehicle.status}</div>
-                                ${vehicle.images && vehicle.images.length > 1 ? `<div class="vehicle-badge" style="left: 1rem; right: auto; background: rgba(0,0,0,0.7);"><i class="fas fa-images"></i> ${vehicle.images.length}</div>` : ''}
-                            </div>
-                            <div class="vehicle-info">
-                                <h3 class="vehicle-title">${vehicle.brand} ${vehicle.model}</h3>
-                                <div class="vehicle-price">${vehicle.price.toLocaleString()}</div>
-                                <div class="vehicle-details">
-                                    <div class="vehicle-detail">
-                                        <i class="fas fa-calendar"></i>
-                                        <span>${vehicle.year}</span>
-                                    </div>
-                                    <div class="vehicle-detail">
-                                        <i class="fas fa-car"></i>
-                                        <span>${vehicle.type}</span>
-                                    </div>
-                                </div>
-                            </div>
-                        </div>
-                    `;
-                }).join('');
-            }
-        }
-        
-        // Display bids
-        const bidsGrid = document.getElementById('dashBidsGrid');
-        if (bidsGrid) {
-            if (bids.length === 0) {
-                bidsGrid.innerHTML = '<p style="text-align: center; grid-column: 1 / -1; color: var(--text-light);">No bids placed yet</p>';
-            } else {
-                bidsGrid.innerHTML = bids.map(bid => {
-                    const imageUrl = bid.vehicleId.images && bid.vehicleId.images.length > 0 
-                        ? bid.vehicleId.images[0]
-                        : 'https://via.placeholder.com/400x300?text=No+Image';
-                    
-                    return `
-                        <div class="vehicle-card">
-                            <div class="vehicle-image-container">
-                                <img src="${imageUrl}" alt="${bid.vehicleId.brand} ${bid.vehicleId.model}" class="vehicle-image" onerror="this.src='https://via.placeholder.com/400x300?text=No+Image'">
-                                <div class="vehicle-badge" style="background: ${bid.status === 'pending' ? 'var(--warning)' : bid.status === 'accepted' ? 'var(--secondary)' : 'var(--danger)'}">${bid.status}</div>
-                            </div>
-                            <div class="vehicle-info">
-                                <h3 class="vehicle-title">${bid.vehicleId.brand} ${bid.vehicleId.model}</h3>
-                                <div class="vehicle-price">Your Bid: ${bid.amount.toLocaleString()}</div>
-                                <div class="vehicle-details">
-                                    <div class="vehicle-detail">
-                                        <i class="fas fa-calendar"></i>
-                                        <span>${bid.vehicleId.year}</span>
-                                    </div>
-                                    <div class="vehicle-detail">
-                                        <i class="fas fa-tag"></i>
-                                        <span>Original: ${bid.vehicleId.price.toLocaleString()}</span>
-                                    </div>
-                                </div>
-                            </div>
-                        </div>
-                    `;
-                }).join('');
-            }
-        }
+        const data = await response.json();
         
-        // Display bookings
-        const bookingsGrid = document.getElementById('dashBookingsGrid');
-        if (bookingsGrid) {
-            if (bookings.length === 0) {
-                bookingsGrid.innerHTML = '<p style="text-align: center; grid-column: 1 / -1; color: var(--text-light);">No bookings yet</p>';
-            } else {
-                bookingsGrid.innerHTML = bookings.map(booking => {
-                    const isBuyer = booking.buyerId._id === currentUser.id;
-                    const imageUrl = booking.vehicleId.images && booking.vehicleId.images.length > 0 
-                        ? booking.vehicleId.images[0]
-                        : 'https://via.placeholder.com/400x300?text=No+Image';
-                    
-                    return `
-                        <div class="vehicle-card">
-                            <div class="vehicle-image-container">
-                                <img src="${imageUrl}" alt="${booking.vehicleId.brand} ${booking.vehicleId.model}" class="vehicle-image" onerror="this.src='https://via.placeholder.com/400x300?text=No+Image'">
-                                <div class="vehicle-badge" style="background: var(--secondary)">Confirmed</div>
-                            </div>
-                            <div class="vehicle-info">
-                                <h3 class="vehicle-title">${booking.vehicleId.brand} ${booking.vehicleId.model}</h3>
-                                <div class="vehicle-price">${booking.finalPrice.toLocaleString()}</div>
-                                <div style="background: var(--light); padding: 1rem; border-radius: 8px; margin-top: 1rem;">
-                                    <p><strong>${isBuyer ? 'Seller' : 'Buyer'}:</strong> ${isBuyer ? booking.sellerId.name : booking.buyerId.name}</p>
-                                    <p><strong>Phone:</strong> ${isBuyer ? booking.sellerId.phone : booking.buyerId.phone}</p>
-                                </div>
-                            </div>
-                        </div>
-                    `;
-                }).join('');
-            }
+        if (response.ok) {
+            showSuccess('twoFactorSuccess', 'Two-factor authentication is now off.');
+            renderTwoFactorStatus(false);
+        } else {
+            showError('twoFactorError', data.message || 'Failed to turn off two-factor');
         }
     } catch (error) {
-        console.error('Error loading dashboard:', error);
-        alert('Failed to load dashboard. Please try again.');
+        console.error('2FA disable error:', error);
+        showError('twoFactorError', 'Network error. Please try again.');
     }
 }
 
+function showBackupCodes(codes) {
+    const section = document.getElementById('twoFactorSection');
+    if (!section) return;
+    
+    section.innerHTML = `
+        <p><strong>Save these backup codes somewhere safe.</strong> Each one can be used once if you lose your phone. They will not be shown again.</p>
+        <div class="backup-codes">
+            ${codes.map(code => `<span>${code}</span>`).join('')}
+        </div>
+        <button class="btn btn-primary" type="button" onclick="renderTwoFactorStatus(true)">I've Saved Them</button>
+    `;
+}
+
 // UI Enhancements
 function initScrollReveal() {
     const items = document.querySelectorAll('.reveal');
@@ -1120,8 +3772,272 @@ function handleContactSubmit(e) {
     e.target.reset();
 }
 
-function saveSearchAlert() {
-    showToast('Search alert saved. You will receive new listing notifications.');
+// Saved searches: the search form's filters, re-run by the server whenever a listing is published
+
+let savedSearches = [];
+
+// "toyota · SUV · $10,000–$30,000 · within 50 mi of 78701" for names and the dashboard list
+function describeSearchFilters(filters) {
+    const money = value => `$${Number(value).toLocaleString()}`;
+    const range = (min, max, format = value => value) => {
+        if (min && max) return `${format(min)}–${format(max)}`;
+        if (min) return `${format(min)}+`;
+        return max ? `up to ${format(max)}` : '';
+    };
+    
+    return [
+        filters.q && `"${filters.q}"`,
+        filters.brand,
+        filters.type,
+        filters.condition,
+        range(filters.minPrice, filters.maxPrice, money),
+        range(filters.minYear, filters.maxYear),
+        filters.fuelType,
+        filters.transmission,
+        filters.drivetrain,
+        filters.minSeats && `${filters.minSeats}+ seats`,
+        filters.features && filters.features.split(',').join(', '),
+        filters.near && `within ${filters.radius || 50} mi of ${filters.near}`
+    ].filter(Boolean).join(' · ');
+}
+
+async function saveSearchAlert() {
+    if (!currentUser) {
+        showLogin();
+        showToast('Log in to save searches and get alerts.');
+        return;
+    }
+    
+    // Alerts are about new listings, so sort order and sold/pending status don't apply
+    const { sort, status, ...filters } = readSearchFilters();
+    if (Object.keys(filters).length === 0) {
+        showToast('Choose some search filters first, then save the search.');
+        showHome();
+        document.getElementById('searchForm')?.scrollIntoView({ behavior: 'smooth' });
+        return;
+    }
+    
+    const name = prompt('Name this search', describeSearchFilters(filters).slice(0, 100));
+    if (name === null) return;
+    
+    try {
+        const response = await authFetch(`${API_URL}/saved-searches`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ name, filters })
+        });
+        const data = await response.json();
+        showToast(data.message || (response.ok ? 'Search saved' : 'Could not save the search'));
+        if (response.ok) loadSavedSearches();
+    } catch (error) {
+        console.error('Save search error:', error);
+        showToast('Network error. Please try again.');
+    }
+}
+
+async function loadSavedSearches() {
+    const list = document.getElementById('savedSearchList');
+    
+    try {
+        const response = await authFetch(`${API_URL}/saved-searches`);
+        if (!response.ok) {
+            throw new Error('Failed to load saved searches');
+        }
+        savedSearches = await response.json();
+        if (!list) return;
+        
+        if (savedSearches.length === 0) {
+            list.innerHTML = '<p class="muted">No saved searches yet. Search for vehicles, then choose "Save Search".</p>';
+            return;
+        }
+        
+        list.innerHTML = savedSearches.map(search => `
+            <div class="session-item saved-search-item">
+                <div>
+                    <strong>${escapeHtml(search.name)}</strong>
+                    <p class="muted">${escapeHtml(describeSearchFilters(search.filters))}</p>
+                    ${search.pendingCount > 0 ? `<p class="muted">${search.pendingCount} new ${search.pendingCount === 1 ? 'match' : 'matches'} in your next digest</p>` : ''}
+                </div>
+                <div class="saved-search-actions">
+                    <select onchange="updateSavedSearchFrequency('${search._id}', this.value)" aria-label="Alert frequency">
+                        <option value="instant" ${search.frequency === 'instant' ? 'selected' : ''}>Instant</option>
+                        <option value="daily" ${search.frequency === 'daily' ? 'selected' : ''}>Daily digest</option>
+                    </select>
+                    <button class="btn btn-secondary" type="button" onclick="runSavedSearch('${search._id}')">Run</button>
+                    <button class="btn btn-danger" type="button" onclick="deleteSavedSearch('${search._id}')">Delete</button>
+                </div>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading saved searches:', error);
+        if (list) list.innerHTML = '<p class="muted">Failed to load saved searches.</p>';
+    }
+}
+
+async function updateSavedSearchFrequency(searchId, frequency) {
+    try {
+        const response = await authFetch(`${API_URL}/saved-searches/${searchId}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ frequency })
+        });
+        const data = await response.json();
+        showToast(response.ok
+            ? (frequency === 'daily' ? 'You will get one email a day for this search.' : 'You will be alerted as soon as a match is listed.')
+            : data.message);
+        loadSavedSearches();
+    } catch (error) {
+        console.error('Update saved search error:', error);
+        showToast('Network error. Please try again.');
+    }
+}
+
+async function deleteSavedSearch(searchId) {
+    if (!confirm('Delete this saved search? You will stop getting alerts for it.')) {
+        return;
+    }
+    
+    try {
+        const response = await authFetch(`${API_URL}/saved-searches/${searchId}`, { method: 'DELETE' });
+        const data = await response.json();
+        showToast(data.message || 'Saved search deleted');
+        loadSavedSearches();
+    } catch (error) {
+        console.error('Delete saved search error:', error);
+        showToast('Network error. Please try again.');
+    }
+}
+
+// Shows the home page with the saved filters in the search form and their results below
+async function runSavedSearch(searchId) {
+    if (!savedSearches.some(search => search._id === searchId)) {
+        await loadSavedSearches();
+    }
+    const search = savedSearches.find(item => item._id === searchId);
+    if (!search) {
+        showToast('That saved search no longer exists.');
+        return;
+    }
+    
+    hideAllPages();
+    document.getElementById('homePage')?.classList.remove('hidden');
+    fillSearchForm(search.filters);
+    loadVehicles(readSearchFilters());
+    document.getElementById('vehiclesSection')?.scrollIntoView({ behavior: 'smooth' });
+}
+
+// Notifications (saved search alerts), shown under the bell in the navigation bar
+
+let notificationPoll = null;
+
+async function loadNotifications() {
+    if (!currentUser) return;
+    
+    try {
+        const response = await authFetch(`${API_URL}/notifications`);
+        if (!response.ok) {
+            throw new Error('Failed to load notifications');
+        }
+        const { notifications, unread } = await response.json();
+        
+        const badge = document.getElementById('notificationBadge');
+        if (badge) {
+            badge.textContent = unread > 9 ? '9+' : String(unread);
+            badge.classList.toggle('hidden', unread === 0);
+        }
+        
+        const list = document.getElementById('notificationList');
+        if (!list) return;
+        list.innerHTML = notifications.length === 0
+            ? '<p class="muted notification-empty">No notifications yet.</p>'
+            : notifications.map(notification => `
+                <button type="button" class="notification-item ${notification.readAt ? '' : 'unread'}" onclick="openNotification(this, '${notification._id}')"
+                    data-vehicles="${escapeHtml((notification.vehicleIds || []).join(','))}" data-search="${escapeHtml(notification.savedSearchId || '')}">
+                    <strong>${escapeHtml(notification.title)}</strong>
+                    <span>${escapeHtml(notification.message || '')}</span>
+                    <small class="muted">${new Date(notification.createdAt).toLocaleString()}</small>
+                </button>
+            `).join('');
+    } catch (error) {
+        console.error('Error loading notifications:', error);
+    }
+}
+
+// Polls while logged in; updateAuthUI starts and stops it
+function startNotificationPolling() {
+    loadNotifications();
+    if (!notificationPoll) {
+        notificationPoll = setInterval(loadNotifications, 60 * 1000);
+    }
+}
+
+function stopNotificationPolling() {
+    clearInterval(notificationPoll);
+    notificationPoll = null;
+    document.getElementById('notificationBadge')?.classList.add('hidden');
+    document.getElementById('notificationDropdown')?.classList.add('hidden');
+}
+
+function toggleNotifications() {
+    const dropdown = document.getElementById('notificationDropdown');
+    if (!dropdown) return;
+    dropdown.classList.toggle('hidden');
+    if (!dropdown.classList.contains('hidden')) loadNotifications();
+}
+
+async function markNotificationsRead(ids) {
+    try {
+        await authFetch(`${API_URL}/notifications/read`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(ids ? { ids } : {})
+        });
+    } catch (error) {
+        console.error('Mark notifications read error:', error);
+    }
+    loadNotifications();
+}
+
+// One new listing opens it; several open the search that found them
+function openNotification(item, notificationId) {
+    const vehicleIds = item.dataset.vehicles ? item.dataset.vehicles.split(',') : [];
+    
+    document.getElementById('notificationDropdown')?.classList.add('hidden');
+    markNotificationsRead([notificationId]);
+    
+    if (vehicleIds.length === 1) {
+        showVehicleDetails(vehicleIds[0]);
+    } else if (item.dataset.search) {
+        runSavedSearch(item.dataset.search);
+    }
+}
+
+// Alert emails link to index.html?vehicle=<id> and index.html?savedSearch=<id>
+function handleAlertLinks() {
+    const params = new URLSearchParams(window.location.search);
+    const vehicleId = params.get('vehicle');
+    const searchId = params.get('savedSearch');
+    if (!vehicleId && !searchId) return;
+    
+    params.delete('vehicle');
+    params.delete('savedSearch');
+    const query = params.toString();
+    window.history.replaceState({}, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+    
+    if (vehicleId) {
+        showVehicleDetails(vehicleId);
+    } else if (currentUser) {
+        runSavedSearch(searchId);
+    } else {
+        showLogin();
+        showToast('Log in to see the results of your saved search.');
+    }
 }
 
 // Utility Functions
@@ -1147,6 +4063,35 @@ function showSuccess(elementId, message) {
     }
 }
 
+// Keep a submit button disabled until the server's Retry-After window has passed
+function holdButtonForRetry(button, seconds, label) {
+    let remaining = Math.max(1, Math.ceil(seconds));
+    button.disabled = true;
+    
+    const tick = () => {
+        if (remaining <= 0) {
+            clearInterval(timer);
+            button.disabled = false;
+            button.innerHTML = label;
+            return;
+        }
+        button.innerHTML = `<i class="fas fa-hourglass-half"></i> Try again in ${remaining}s`;
+        remaining--;
+    };
+    
+    const timer = setInterval(tick, 1000);
+    tick();
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 function showToast(message) {
     const toast = document.getElementById('toast');
     if (!toast) return;
@@ -1204,11 +4149,30 @@ function updateFavoriteButtons() {
     });
 }
 
-function renderFavorites() {
+// Favorites are fetched by id, as they are rarely all on the page of results that is loaded.
+// Only the latest request renders, so quick toggles can't show an older list.
+let favoritesRequest = 0;
+
+async function renderFavorites() {
     const grid = document.getElementById('favoritesGrid');
     if (!grid) return;
     const favorites = getStoredArray(STORAGE_KEYS.favorites);
-    const favoriteVehicles = cachedVehicles.filter(vehicle => favorites.includes(vehicle._id));
+    const request = ++favoritesRequest;
+
+    let favoriteVehicles = [];
+    if (favorites.length > 0) {
+        try {
+            const params = new URLSearchParams({ ids: favorites.join(','), status: 'available,pending_sale', limit: 100 });
+            const response = await fetch(`${API_URL}/vehicles?${params}`);
+            if (!response.ok) {
+                throw new Error('Failed to load favorites');
+            }
+            ({ vehicles: favoriteVehicles } = await response.json());
+        } catch (error) {
+            console.error('Error loading favorites:', error);
+        }
+    }
+    if (request !== favoritesRequest) return;
 
     if (favoriteVehicles.length === 0) {
         grid.innerHTML = '<p style="text-align: center; grid-column: 1 / -1; color: var(--text-light);">No favorites yet</p>';
@@ -1217,7 +4181,7 @@ function renderFavorites() {
 
     grid.innerHTML = favoriteVehicles.map(vehicle => {
         const imageUrl = vehicle.images && vehicle.images.length > 0 
-            ? vehicle.images[0]
+            ? vehicleImageUrl(vehicle, vehicle.images[0])
             : 'https://via.placeholder.com/400x300?text=No+Image';
         return `
             <div class="vehicle-card" onclick="showVehicleDetails('${vehicle._id}')">
@@ -1248,7 +4212,7 @@ function displayFeaturedVehicles(vehicles) {
 
     grid.innerHTML = featured.map(vehicle => {
         const imageUrl = vehicle.images && vehicle.images.length > 0 
-            ? vehicle.images[0]
+            ? vehicleImageUrl(vehicle, vehicle.images[0])
             : 'https://via.placeholder.com/400x300?text=No+Image';
         const favoriteActive = isFavorited(vehicle._id);
         const compareActive = isInCompare(vehicle._id);
@@ -1269,16 +4233,19 @@ function displayFeaturedVehicles(vehicles) {
                             data-mileage="${vehicle.mileage}"
                             data-type="${vehicle.type}"
                             data-condition="${vehicle.condition}"
+                            ${compareSpecAttribute(vehicle)}
                             onclick="event.stopPropagation(); toggleCompareFromCard(this)">
                             <i class="fas fa-scale-balanced"></i>
                         </button>
                     </div>
                     <img src="${imageUrl}" alt="${vehicle.brand} ${vehicle.model}" class="vehicle-image" onerror="this.src='https://via.placeholder.com/400x300?text=No+Image'">
                     <div class="vehicle-badge">${vehicle.condition}</div>
+                    ${inspectionBadge(vehicle)}
                 </div>
                 <div class="vehicle-info">
                     <h3 class="vehicle-title">${vehicle.brand} ${vehicle.model}</h3>
                     <div class="vehicle-price">$${vehicle.price.toLocaleString()}</div>
+                    ${vehicleLocationLine(vehicle)}
                     <div class="vehicle-details">
                         <div class="vehicle-detail">
                             <i class="fas fa-calendar"></i>
@@ -1326,7 +4293,8 @@ function toggleCompareFromCard(button) {
             year: button.dataset.year,
             mileage: button.dataset.mileage,
             type: button.dataset.type,
-            condition: button.dataset.condition
+            condition: button.dataset.condition,
+            specs: JSON.parse(button.dataset.specs || '{}')
         });
         showToast('Added to compare.');
     }
@@ -1410,13 +4378,16 @@ function openCompareModal() {
         return;
     }
 
-    const rows = ['price', 'year', 'mileage', 'type', 'condition'];
+    const specRows = [...Object.keys(VEHICLE_SPEC_FIELDS), 'features'];
+    const rows = ['price', 'year', 'mileage', 'type', 'condition', ...specRows];
     const labels = {
         price: 'Price',
         year: 'Year',
         mileage: 'Mileage',
         type: 'Type',
-        condition: 'Condition'
+        condition: 'Condition',
+        ...VEHICLE_SPEC_FIELDS,
+        features: 'Features'
     };
 
     body.innerHTML = `
@@ -1429,6 +4400,9 @@ function openCompareModal() {
                 <div class="compare-row">
                     <div class="compare-cell compare-label">${labels[row]}</div>
                     ${compareList.map(item => {
+                        if (specRows.includes(row)) {
+                            return `<div class="compare-cell">${escapeHtml(formatSpec(row, item.specs?.[row]))}</div>`;
+                        }
                         const value = row === 'price' ? `$${Number(item[row]).toLocaleString()}` : row === 'mileage' ? `${Number(item[row]).toLocaleString()} mi` : item[row];
                         return `<div class="compare-cell">${value}</div>`;
                     }).join('')}
@@ -1476,7 +4450,7 @@ function trackRecentlyViewed(vehicle) {
     if (!vehicle) return;
     const list = getStoredArray(STORAGE_KEYS.recent);
     const imageUrl = vehicle.images && vehicle.images.length > 0
-        ? vehicle.images[0]
+        ? vehicleImageUrl(vehicle, vehicle.images[0])
         : 'https://via.placeholder.com/400x300?text=No+Image';
 
     const updated = [
@@ -1591,6 +4565,10 @@ function showSellVehicle() {
         showLogin();
         return;
     }
+    if (!hasRole('seller', 'dealer')) {
+        showToast('Your account is not allowed to list vehicles.');
+        return;
+    }
     hideAllPages();
     const sellVehiclePage = document.getElementById('sellVehiclePage');
     if (sellVehiclePage) {
@@ -1610,6 +4588,9 @@ function showDashboard() {
         dashboardPage.classList.remove('hidden');
     }
     loadDashboard();
+    loadDealership();
+    loadAccountSettings();
+    loadSavedSearches();
     renderFavorites();
 }
 